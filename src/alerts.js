@@ -0,0 +1,296 @@
+/*
+  SAVED SEARCHES, WATCHLISTS & NOTIFICATIONS
+  ===========================================
+
+  KEY CONCEPT: Tell people about what they care about
+
+  Each board member follows their own slice of deal flow -- "Seed
+  CleanTech", "FinTech scoring 7+". Instead of re-applying filters on
+  every visit they can:
+
+  - Save a search: a name plus the same filters GET /api/submissions
+    takes ({ status, industry, stage, search, min_readiness }). When a
+    new submission matches, they're notified.
+  - Watch a submission. When it changes status, gets a note or gains
+    a partner, they're notified.
+
+  Every notification is stored (the in-app list, with unread counts)
+  and, if that search or watch has email_alerts on and the member's
+  address is verified, emailed too. Nobody is notified about their
+  own action.
+
+  KEY CONCEPT: When a saved search matches
+
+  A submission is checked when it's created and again whenever its AI
+  analysis is stored -- a readiness filter can't match before there's
+  a score. Each search alerts at most once per submission (a unique
+  index on notifications), and only about submissions that arrived
+  after it was saved.
+
+  Alerts only go to people who can still read every submission
+  (submission.read_all): if someone's role changes, their searches
+  and watches go quiet rather than leak.
+*/
+
+const { hasCapability, capabilitiesFor } = require("./permissions");
+const search = require("./search");
+
+const FILTER_KEYS = ["status", "industry", "stage", "search", "min_readiness"];
+const NOTIFICATION_TYPES = ["saved_search_match", "watch_status", "watch_note", "watch_partner"];
+
+/*
+  Checks a saved search's filters. Returns an error message, or null.
+  Text filters are text; min_readiness is an AI readiness score, 0-10.
+*/
+function invalidFilters(filters) {
+  if (!filters || typeof filters !== "object" || Array.isArray(filters)) return "Send the filters as an object";
+  const keys = Object.keys(filters);
+  if (keys.length === 0) return `Choose at least one of: ${FILTER_KEYS.join(", ")}`;
+  for (const [key, value] of Object.entries(filters)) {
+    if (!FILTER_KEYS.includes(key)) return `Unknown filter "${key}"`;
+    if (key === "min_readiness") {
+      if (typeof value !== "number" || !(value >= 0 && value <= 10)) return "min_readiness must be a number from 0 to 10";
+    } else if (typeof value !== "string" || !value.trim()) {
+      return `${key} must be text`;
+    }
+  }
+  return null;
+}
+
+/*
+  SQL conditions (on submissions aliased "s") for a set of filters,
+  shared by GET /api/submissions and saved searches so a saved search
+  always finds what the list showed. "all" means no filter.
+*/
+function filterConditions({ status, industry, stage, search: searchText, min_readiness }) {
+  const conditions = [];
+  const values = [];
+  for (const [column, value] of [["status", status], ["industry", industry], ["stage", stage]]) {
+    if (value && value !== "all") {
+      conditions.push(`s.${column} = ?`);
+      values.push(value);
+    }
+  }
+  // Any of the submission's own text (see search.js)
+  if (searchText) {
+    const match = search.matchQuery(searchText);
+    conditions.push(match ? "s.id IN (SELECT submission_id FROM search_index WHERE search_index MATCH ? AND docid % 4 = 0)" : "0");
+    if (match) values.push(match);
+  }
+  if (min_readiness !== undefined && min_readiness !== null && min_readiness !== "") {
+    conditions.push("CASE WHEN json_valid(s.ai_analysis) THEN json_extract(s.ai_analysis, '$.readiness_score') END >= ?");
+    values.push(Number(min_readiness));
+  }
+  return { conditions, values };
+}
+
+// ---- Saved searches ----
+
+function serializeSavedSearch(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    filters: JSON.parse(row.filters),
+    email_alerts: !!row.email_alerts,
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+  };
+}
+
+function getSavedSearch(db, savedSearchId, userId) {
+  const row = db.prepare("SELECT * FROM saved_searches WHERE id = ? AND user_id = ?").get(savedSearchId, userId);
+  return row ? serializeSavedSearch(row) : null;
+}
+
+function listSavedSearches(db, userId) {
+  return db.prepare("SELECT * FROM saved_searches WHERE user_id = ? ORDER BY name COLLATE NOCASE")
+    .all(userId).map(serializeSavedSearch);
+}
+
+function savedSearchNamed(db, userId, name) {
+  return db.prepare("SELECT id FROM saved_searches WHERE user_id = ? AND name = ?").get(userId, name);
+}
+
+function createSavedSearch(db, userId, { name, filters, emailAlerts = true }) {
+  const result = db.prepare("INSERT INTO saved_searches (user_id, name, filters, email_alerts) VALUES (?, ?, ?, ?)")
+    .run(userId, name, JSON.stringify(filters), emailAlerts ? 1 : 0);
+  return getSavedSearch(db, result.lastInsertRowid, userId);
+}
+
+/*
+  Changes any of name, filters and emailAlerts. Returns the updated
+  search, or null if it isn't theirs.
+*/
+function updateSavedSearch(db, savedSearchId, userId, { name, filters, emailAlerts }) {
+  const existing = getSavedSearch(db, savedSearchId, userId);
+  if (!existing) return null;
+  db.prepare(`
+    UPDATE saved_searches SET name = ?, filters = ?, email_alerts = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+  `).run(
+    name === undefined ? existing.name : name,
+    JSON.stringify(filters === undefined ? existing.filters : filters),
+    (emailAlerts === undefined ? existing.email_alerts : emailAlerts) ? 1 : 0,
+    existing.id
+  );
+  return getSavedSearch(db, existing.id, userId);
+}
+
+// Its past notifications stay, just no longer linked to it
+function deleteSavedSearch(db, savedSearchId, userId) {
+  const existing = getSavedSearch(db, savedSearchId, userId);
+  if (!existing) return false;
+  db.transaction(() => {
+    db.prepare("UPDATE notifications SET saved_search_id = NULL WHERE saved_search_id = ?").run(existing.id);
+    db.prepare("DELETE FROM saved_searches WHERE id = ?").run(existing.id);
+  })();
+  return true;
+}
+
+// ---- Watchlist ----
+
+// Watching again just updates emailAlerts
+function watchSubmission(db, userId, submissionId, { emailAlerts = true } = {}) {
+  db.prepare(`
+    INSERT INTO watched_submissions (user_id, submission_id, email_alerts) VALUES (?, ?, ?)
+    ON CONFLICT(user_id, submission_id) DO UPDATE SET email_alerts = excluded.email_alerts
+  `).run(userId, submissionId, emailAlerts ? 1 : 0);
+}
+
+function unwatchSubmission(db, userId, submissionId) {
+  return db.prepare("DELETE FROM watched_submissions WHERE user_id = ? AND submission_id = ?").run(userId, submissionId).changes > 0;
+}
+
+function isWatching(db, userId, submissionId) {
+  return !!db.prepare("SELECT id FROM watched_submissions WHERE user_id = ? AND submission_id = ?").get(userId, submissionId);
+}
+
+// The submissions someone watches, most recently watched first
+function listWatched(db, userId) {
+  return db.prepare(`
+    SELECT s.id, s.company_name, s.one_liner, s.industry, s.stage, s.status, s.deleted_at IS NOT NULL as archived,
+           w.email_alerts, w.created_at as watched_at
+    FROM watched_submissions w JOIN submissions s ON w.submission_id = s.id
+    WHERE w.user_id = ?
+    ORDER BY w.created_at DESC, w.id DESC
+  `).all(userId).map(row => ({ ...row, archived: !!row.archived, email_alerts: !!row.email_alerts }));
+}
+
+// ---- Notifications ----
+
+function listNotifications(db, userId, { unreadOnly = false, limit = 50, offset = 0 } = {}) {
+  const unread = unreadOnly ? "AND n.read_at IS NULL" : "";
+  const total = db.prepare(`SELECT COUNT(*) as count FROM notifications n WHERE n.user_id = ? ${unread}`).get(userId).count;
+  const notifications = db.prepare(`
+    SELECT n.id, n.type, n.submission_id, s.company_name, n.saved_search_id, ss.name as saved_search_name,
+           n.message, n.read_at, n.created_at
+    FROM notifications n
+    LEFT JOIN submissions s ON n.submission_id = s.id
+    LEFT JOIN saved_searches ss ON n.saved_search_id = ss.id
+    WHERE n.user_id = ? ${unread}
+    ORDER BY n.created_at DESC, n.id DESC
+    LIMIT ? OFFSET ?
+  `).all(userId, limit, offset);
+  return { notifications, total };
+}
+
+function unreadCount(db, userId) {
+  return db.prepare("SELECT COUNT(*) as count FROM notifications WHERE user_id = ? AND read_at IS NULL").get(userId).count;
+}
+
+// Returns false if the notification isn't theirs
+function markRead(db, notificationId, userId) {
+  const row = db.prepare("SELECT id FROM notifications WHERE id = ? AND user_id = ?").get(notificationId, userId);
+  if (!row) return false;
+  db.prepare("UPDATE notifications SET read_at = COALESCE(read_at, CURRENT_TIMESTAMP) WHERE id = ?").run(row.id);
+  return true;
+}
+
+function markAllRead(db, userId) {
+  return db.prepare("UPDATE notifications SET read_at = CURRENT_TIMESTAMP WHERE user_id = ? AND read_at IS NULL").run(userId).changes;
+}
+
+// ---- Sending alerts ----
+
+// Whether a user (a row with a role) may still hear about a submission
+function allowed(db, user, capabilities) {
+  const withCaps = { ...user, capabilities: capabilitiesFor(db, user.role) };
+  return capabilities.every(capability => hasCapability(withCaps, capability));
+}
+
+function sendAlertEmail(email, user, template) {
+  if (!user.verified_at) return;
+  try {
+    email.sendEmail(user.email, template.subject, template.html).catch(() => {});
+  } catch (emailErr) { console.error("[Email] Error:", emailErr.message); }
+}
+
+/*
+  Notifies the owners of saved searches that a submission matches.
+  Safe to call any number of times (see the top of this file).
+  Returns how many people were notified.
+*/
+function matchSavedSearches(db, email, submissionId) {
+  const sub = db.prepare("SELECT id, company_name, one_liner, submitted_at FROM submissions WHERE id = ? AND deleted_at IS NULL")
+    .get(submissionId);
+  if (!sub) return 0;
+
+  const savedSearches = db.prepare(`
+    SELECT ss.id, ss.name, ss.filters, ss.email_alerts, u.id as user_id, u.name as user_name, u.email, u.role, u.verified_at
+    FROM saved_searches ss JOIN users u ON ss.user_id = u.id
+    WHERE u.deleted_at IS NULL AND ss.created_at <= ?
+      AND NOT EXISTS (SELECT 1 FROM notifications n WHERE n.saved_search_id = ss.id AND n.submission_id = ?)
+  `).all(sub.submitted_at, sub.id);
+
+  let notified = 0;
+  for (const saved of savedSearches) {
+    const user = { id: saved.user_id, name: saved.user_name, email: saved.email, role: saved.role, verified_at: saved.verified_at };
+    if (!allowed(db, user, ["submission.read_all"])) continue;
+
+    const { conditions, values } = filterConditions(JSON.parse(saved.filters));
+    const matches = db.prepare(`SELECT s.id FROM submissions s WHERE ${["s.id = ?", ...conditions].join(" AND ")}`)
+      .get(sub.id, ...values);
+    if (!matches) continue;
+
+    const inserted = db.prepare(`
+      INSERT OR IGNORE INTO notifications (user_id, type, submission_id, saved_search_id, message) VALUES (?, ?, ?, ?, ?)
+    `).run(user.id, "saved_search_match", sub.id, saved.id, `${sub.company_name} matches your saved search "${saved.name}"`);
+    if (inserted.changes === 0) continue;
+    notified++;
+    if (saved.email_alerts) sendAlertEmail(email, user, email.savedSearchMatchEmail(user.name, saved.name, sub.company_name, sub.one_liner));
+  }
+  return notified;
+}
+
+/*
+  Notifies everyone watching a submission, except whoever caused it.
+  `capabilities` narrows who hears (internal notes need
+  note.read_internal). Returns how many people were notified.
+*/
+function notifyWatchers(db, email, submissionId, { type, message, actorId = null, capabilities = [] }) {
+  const sub = db.prepare("SELECT id, company_name FROM submissions WHERE id = ?").get(submissionId);
+  if (!sub) return 0;
+
+  const watchers = db.prepare(`
+    SELECT u.id, u.name, u.email, u.role, u.verified_at, w.email_alerts
+    FROM watched_submissions w JOIN users u ON w.user_id = u.id
+    WHERE w.submission_id = ? AND u.deleted_at IS NULL AND u.id IS NOT ?
+  `).all(sub.id, actorId);
+
+  let notified = 0;
+  for (const watcher of watchers) {
+    if (!allowed(db, watcher, ["submission.read_all", ...capabilities])) continue;
+    db.prepare("INSERT INTO notifications (user_id, type, submission_id, message) VALUES (?, ?, ?, ?)")
+      .run(watcher.id, type, sub.id, message);
+    notified++;
+    if (watcher.email_alerts) sendAlertEmail(email, watcher, email.watchlistEmail(watcher.name, sub.company_name, message));
+  }
+  return notified;
+}
+
+module.exports = {
+  FILTER_KEYS, NOTIFICATION_TYPES, invalidFilters, filterConditions,
+  getSavedSearch, listSavedSearches, savedSearchNamed, createSavedSearch, updateSavedSearch, deleteSavedSearch,
+  watchSubmission, unwatchSubmission, isWatching, listWatched,
+  listNotifications, unreadCount, markRead, markAllRead,
+  matchSavedSearches, notifyWatchers,
+};
@@ -0,0 +1,242 @@
+/*
+  FILE ATTACHMENTS
+  =================
+
+  KEY CONCEPT: Real files, not just links
+
+  Founders attach their pitch deck, financial model and cap table to
+  a submission, and founders and partners share files in the
+  partnership workspace. The bytes go to a storage backend (see
+  storage/); the attachments table holds the metadata -- name, type,
+  size, SHA-256 -- and the key to find the bytes again.
+
+  Each attachment has a scope, which decides who can see it:
+
+    submission   -- part of the pitch. The founder uploads it; the
+                    founder and anyone who can read all submissions
+                    (the board) can download it.
+    partnership  -- shared in the partnership workspace. The founder
+                    and accepted partners can upload and download.
+
+  Only the person who uploaded a file can delete it.
+
+  KEY CONCEPT: Don't trust the browser about file types
+
+  The Content-Type a client sends is whatever it says it is. So a
+  file is only accepted if its extension is on the list below AND
+  its first bytes look like that format (every PDF starts "%PDF",
+  every .xlsx/.pptx/.docx is a ZIP and starts "PK"...). What we
+  store and serve is the type we checked, not the one we were told,
+  and downloads are always sent as attachments -- never rendered in
+  the browser.
+*/
+
+const crypto = require("crypto");
+const path = require("path");
+const { hasCapability } = require("./permissions");
+const documentText = require("./document-text");
+const { displayName } = require("./privacy");
+
+const UPLOAD_MAX_BYTES = Number(process.env.UPLOAD_MAX_BYTES) || 20 * 1024 * 1024;
+const MAX_ATTACHMENTS_PER_SUBMISSION = 25;
+
+const KINDS = ["pitch_deck", "financial_model", "cap_table", "other"];
+const SCOPES = ["submission", "partnership"];
+
+const startsWith = (signature) => (data) => data.subarray(0, signature.length).equals(signature);
+const PDF = startsWith(Buffer.from("%PDF-"));
+const ZIP = startsWith(Buffer.from([0x50, 0x4b, 0x03, 0x04])); // .xlsx/.pptx/.docx/.key
+const OLE = startsWith(Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])); // old .xls/.ppt/.doc
+const TEXT = (data) => !data.includes(0);
+
+// Extension -> the type we store and serve, and how to recognise it
+const FILE_TYPES = {
+  pdf: { contentType: "application/pdf", looksLike: PDF },
+  pptx: { contentType: "application/vnd.openxmlformats-officedocument.presentationml.presentation", looksLike: ZIP },
+  xlsx: { contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet", looksLike: ZIP },
+  docx: { contentType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document", looksLike: ZIP },
+  key: { contentType: "application/vnd.apple.keynote", looksLike: ZIP },
+  ppt: { contentType: "application/vnd.ms-powerpoint", looksLike: OLE },
+  xls: { contentType: "application/vnd.ms-excel", looksLike: OLE },
+  doc: { contentType: "application/msword", looksLike: OLE },
+  csv: { contentType: "text/csv", looksLike: TEXT },
+};
+
+// Browsers often send these when they don't know better
+const GENERIC_TYPES = ["application/octet-stream", "binary/octet-stream", "application/zip", "text/plain"];
+
+/*
+  Checks an upload. Returns { contentType } for the type it really
+  is, or { error } saying why it was refused.
+*/
+function checkFile(filename, declaredType, data) {
+  const extension = path.extname(filename).slice(1).toLowerCase();
+  const fileType = FILE_TYPES[extension];
+  if (!fileType) {
+    return { error: `Only ${Object.keys(FILE_TYPES).map(e => "." + e).join(", ")} files can be uploaded` };
+  }
+  const declared = (declaredType || "").split(";")[0].trim().toLowerCase();
+  if (declared && declared !== fileType.contentType && !GENERIC_TYPES.includes(declared)) {
+    return { error: `A .${extension} file can't have content type ${declared}` };
+  }
+  if (data.length === 0) return { error: "The file is empty" };
+  if (!fileType.looksLike(data)) return { error: `That doesn't look like a .${extension} file` };
+  return { contentType: fileType.contentType };
+}
+
+/*
+  Filenames are only ever shown back to people (the bytes are stored
+  under a random key), but keep them tidy: no folders, no control
+  characters, not absurdly long.
+*/
+function cleanFilename(filename) {
+  const base = path.basename(String(filename || "").replace(/\\/g, "/"));
+  const cleaned = base.replace(/[\u0000-\u001f\u007f"]/g, "").trim();
+  if (cleaned.length <= 200) return cleaned;
+  const extension = path.extname(cleaned);
+  return cleaned.slice(0, 200 - extension.length) + extension;
+}
+
+/*
+  Who can do what with a submission's files (see the top of this
+  file). `sub` needs id and user_id.
+*/
+function permissionsFor(db, user, sub) {
+  const isFounder = sub.user_id === user.id;
+  const isPartner = !!db.prepare(
+    "SELECT id FROM partnerships WHERE submission_id = ? AND user_id = ? AND status = 'accepted'"
+  ).get(sub.id, user.id);
+  const isBoard = hasCapability(user, "submission.read_all");
+  return {
+    view: { submission: isFounder || isBoard, partnership: isFounder || isPartner },
+    upload: { submission: isFounder, partnership: isFounder || isPartner },
+  };
+}
+
+const SELECT_ATTACHMENT = `
+  SELECT a.id, a.submission_id, a.user_id, ${displayName("u")} as uploaded_by, a.scope, a.kind,
+         a.filename, a.content_type, a.size, a.sha256, a.created_at
+  FROM attachments a
+  LEFT JOIN users u ON a.user_id = u.id
+`;
+
+function getAttachment(db, attachmentId) {
+  return db.prepare(`${SELECT_ATTACHMENT} WHERE a.id = ?`).get(attachmentId);
+}
+
+// A submission's attachments in the given scopes, newest first
+function listAttachments(db, submissionId, scopes = SCOPES) {
+  if (scopes.length === 0) return [];
+  return db.prepare(`
+    ${SELECT_ATTACHMENT}
+    WHERE a.submission_id = ? AND a.scope IN (${scopes.map(() => "?").join(", ")})
+    ORDER BY a.created_at DESC, a.id DESC
+  `).all(submissionId, ...scopes);
+}
+
+function countAttachments(db, submissionId) {
+  return db.prepare("SELECT COUNT(*) as count FROM attachments WHERE submission_id = ?").get(submissionId).count;
+}
+
+/*
+  Stores the bytes, then records the attachment. If the insert fails
+  the stored file is removed again, so no file is left unreferenced.
+
+  Returns null, keeping nothing, if the submission already has
+  MAX_ATTACHMENTS_PER_SUBMISSION files. The count is checked again
+  right before the insert: other uploads may have finished while
+  this one was being stored.
+*/
+async function saveAttachment(db, storage, { submissionId, userId, scope, kind, filename, contentType, data }) {
+  if (countAttachments(db, submissionId) >= MAX_ATTACHMENTS_PER_SUBMISSION) return null;
+
+  const storageKey = crypto.randomBytes(16).toString("hex");
+  await storage.put(storageKey, data);
+  try {
+    if (countAttachments(db, submissionId) >= MAX_ATTACHMENTS_PER_SUBMISSION) {
+      await storage.remove(storageKey).catch(() => {});
+      return null;
+    }
+    const result = db.prepare(`
+      INSERT INTO attachments (submission_id, user_id, scope, kind, filename, content_type, size, storage_key, sha256)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(submissionId, userId, scope, kind, filename, contentType, data.length, storageKey,
+      crypto.createHash("sha256").update(data).digest("hex"));
+    return getAttachment(db, result.lastInsertRowid);
+  } catch (err) {
+    await storage.remove(storageKey).catch(() => {});
+    throw err;
+  }
+}
+
+// The stored bytes, or null if the file has gone missing
+function readAttachment(db, storage, attachmentId) {
+  const row = db.prepare("SELECT storage_key FROM attachments WHERE id = ?").get(attachmentId);
+  return row ? storage.get(row.storage_key) : Promise.resolve(null);
+}
+
+// Deletes the record, then the file
+async function deleteAttachment(db, storage, attachmentId) {
+  const row = db.prepare("SELECT storage_key FROM attachments WHERE id = ?").get(attachmentId);
+  if (!row) return false;
+  db.prepare("DELETE FROM attachments WHERE id = ?").run(attachmentId);
+  await storage.remove(row.storage_key);
+  return true;
+}
+
+/*
+  The text of a submission's documents, for the AI analysis (see
+  ai-analysis.js): [{ id, filename, kind, text }], pitch decks first.
+  Only submission-scope files -- partnership files are private to the
+  workspace, and the analysis is shown to the whole board.
+
+  Text is extracted on first use (off the main thread, see
+  document-text.js) and cached on the row, so files uploaded before
+  extraction existed are picked up too. A file that couldn't be read
+  in time is cached as having no text, so it isn't retried forever.
+*/
+async function analysisDocuments(db, storage, submissionId) {
+  const rows = db.prepare(`
+    SELECT id, filename, kind, content_type, storage_key, extracted_text FROM attachments
+    WHERE submission_id = ? AND scope = 'submission'
+    ORDER BY CASE kind ${KINDS.map((kind, i) => `WHEN '${kind}' THEN ${i}`).join(" ")} END, created_at DESC, id DESC
+  `).all(submissionId).filter(row => documentText.canExtract(row.content_type));
+
+  const documents = [];
+  for (const row of rows) {
+    let text = row.extracted_text;
+    if (text === null) {
+      const data = await storage.get(row.storage_key);
+      if (!data) continue;
+      text = (await documentText.extractText(row.content_type, data)) || "";
+      db.prepare("UPDATE attachments SET extracted_text = ? WHERE id = ?").run(text, row.id);
+    }
+    if (text) documents.push({ id: row.id, filename: row.filename, kind: row.kind, text });
+  }
+  return documents;
+}
+
+/*
+  Storage keys of the files a purge is about to delete (see
+  deletion.js): everything on the given submissions, plus anything
+  the given user uploaded. Collect them BEFORE purging, then pass
+  them to removeFiles() once the purge has committed.
+*/
+function storageKeysFor(db, { submissionIds = [], userId = null }) {
+  const rows = db.prepare(`
+    SELECT storage_key FROM attachments
+    WHERE submission_id IN (${submissionIds.map(() => "?").join(", ") || "NULL"}) OR user_id = ?
+  `).all(...submissionIds, userId);
+  return rows.map(row => row.storage_key);
+}
+
+async function removeFiles(storage, storageKeys) {
+  for (const key of storageKeys) await storage.remove(key);
+}
+
+module.exports = {
+  UPLOAD_MAX_BYTES, MAX_ATTACHMENTS_PER_SUBMISSION, KINDS, SCOPES, FILE_TYPES,
+  checkFile, cleanFilename, permissionsFor,
+  getAttachment, listAttachments, countAttachments, saveAttachment, readAttachment, deleteAttachment,
+  analysisDocuments, storageKeysFor, removeFiles,
+};
@@ -21,10 +21,11 @@
   
   The flow:
   1. User logs in with email + password
-  2. Server verifies credentials, creates a JWT
-  3. Frontend stores the JWT
+  2. Server verifies credentials, creates a session and a JWT
+  3. Frontend stores the JWT (and the refresh token, see sessions.js)
   4. Frontend sends "Authorization: Bearer <token>" with every request
-  5. This middleware decodes the token and attaches user info to req.user
+  5. This middleware decodes the token, checks its session is still
+     active, and attaches user info to req.user
   
   JWTs are SIGNED, not encrypted. Anyone can read the contents,
   but only the server can create valid ones (because only the server
@@ -32,76 +33,265 @@
 */
 
 const jwt = require("jsonwebtoken");
+const { hashToken } = require("./tokens");
+const { capabilitiesFor } = require("./permissions");
 
 // In production, this would be in an environment variable (process.env.JWT_SECRET)
 // NEVER commit a real secret to source code
 const JWT_SECRET = "partner-dev-secret-change-in-production";
 
+// Access tokens are short-lived; the frontend renews them with a refresh token
+const ACCESS_TOKEN_TTL = "15m";
+
+// What an API key can be allowed to do (see requireScope below)
+const API_KEY_SCOPES = ["submissions:read", "export", "notes:write"];
+const API_KEY_PREFIX = "pk_";
+
+// Never reachable while impersonating, even with write access: they
+// touch the target's credentials or their POPIA requests (see impersonation.js)
+const IMPERSONATION_BLOCKED_PATHS = ["/auth/", "/profile/password", "/my/sessions", "/my/data-export", "/my/erasure-request"];
+// ...except these two
+const IMPERSONATION_ALLOWED_PATHS = ["/auth/me", "/auth/impersonation/stop"];
+
 /*
-  Creates a JWT containing the user's ID and role.
-  Expires in 7 days -- after that, the user must log in again.
+  Creates a JWT containing the user's ID, role and session ID.
+  Expires in 15 minutes -- the session (and its refresh token)
+  is what keeps the user logged in for longer.
 */
-function createToken(user) {
+function createToken(user, sessionId) {
   return jwt.sign(
-    { id: user.id, role: user.role },
+    { id: user.id, role: user.role, sid: sessionId },
     JWT_SECRET,
-    { expiresIn: "7d" }
+    { expiresIn: ACCESS_TOKEN_TTL }
   );
 }
 
 /*
-  MIDDLEWARE: requireAuth
-  
-  Attaches the user to req.user if the token is valid.
-  Returns 401 Unauthorized if not.
-  
-  Usage in a route:
-    app.get("/api/submissions", requireAuth, (req, res) => {
-      // req.user is available here
-    });
+  KEY CONCEPT: Purpose-bound tokens
+
+  Emailed links (verify your email, etc.) also use signed JWTs, so we
+  don't need a table to remember them. The "purpose" claim stops one
+  kind of token being replayed as another -- e.g. an email
+  verification token can never be used as a login token, because
+  requireAuth only accepts tokens with a session ID, and
+  verifyPurposeToken only accepts tokens with the matching purpose.
 */
-function requireAuth(req, res, next) {
-  // The token comes in the Authorization header: "Bearer eyJhbG..."
-  const authHeader = req.headers.authorization;
+function signPurposeToken(purpose, payload, expiresIn) {
+  return jwt.sign({ ...payload, purpose }, JWT_SECRET, { expiresIn });
+}
 
-  if (!authHeader || !authHeader.startsWith("Bearer ")) {
-    return res.status(401).json({ error: "Authentication required" });
+// Returns the decoded payload, or null if invalid, expired or for another purpose
+function verifyPurposeToken(token, purpose) {
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    return decoded.purpose === purpose ? decoded : null;
+  } catch (err) {
+    return null;
   }
+}
 
-  // Extract the token (everything after "Bearer ")
-  const token = authHeader.split(" ")[1];
+/*
+  Builds the middleware that needs database access.
 
-  try {
-    // jwt.verify() decodes the token AND checks the signature
-    // If the token was tampered with or expired, it throws an error
-    const decoded = jwt.verify(token, JWT_SECRET);
+  KEY CONCEPT: Revocable tokens
+
+  A valid signature only proves WE issued the token. To support
+  logout and "sign out all devices", every token carries a session
+  ID (sid) and we check that session hasn't been revoked.
+
+  Usage (inside createRoutes):
+    const { requireAuth, requireVerifiedEmail } = createAuthMiddleware(db);
+*/
+function createAuthMiddleware(db) {
+  /*
+    MIDDLEWARE: requireAuth
+
+    Attaches the user to req.user if the token is valid and its
+    session is still active. Returns 401 Unauthorized if not.
+
+    Usage in a route:
+      router.get("/submissions", requireAuth, (req, res) => {
+        // req.user is available here
+      });
+  */
+  function requireAuth(req, res, next) {
+    // The token comes in the Authorization header: "Bearer eyJhbG..."
+    const authHeader = req.headers.authorization;
+
+    // Scripts can send an API key instead, as X-API-Key or "Bearer pk_..."
+    const bearerKey = authHeader && authHeader.startsWith(`Bearer ${API_KEY_PREFIX}`) ? authHeader.slice(7) : null;
+    const apiKey = req.headers["x-api-key"] || bearerKey;
+    if (apiKey) return authenticateApiKey(apiKey, req, res, next);
+
+    if (!authHeader || !authHeader.startsWith("Bearer ")) {
+      return res.status(401).json({ error: "Authentication required" });
+    }
+
+    // Extract the token (everything after "Bearer ")
+    const token = authHeader.split(" ")[1];
+
+    let decoded;
+    try {
+      // jwt.verify() decodes the token AND checks the signature
+      // If the token was tampered with or expired, it throws an error
+      decoded = jwt.verify(token, JWT_SECRET);
+    } catch (err) {
+      return res.status(401).json({ error: "Invalid or expired token" });
+    }
+
+    if (decoded.imp) return authenticateImpersonation(decoded, req, res, next);
+
+    // Tokens issued before sessions existed have no sid -- treat as logged out.
+    // Purpose tokens (email links) have no sid either, so they can't log you in.
+    // The role comes from the database, so role changes apply immediately.
+    const session = decoded.sid && db.prepare(`
+      SELECT s.id, u.role FROM sessions s JOIN users u ON s.user_id = u.id
+      WHERE s.id = ? AND s.user_id = ? AND s.revoked_at IS NULL AND s.expires_at > datetime('now')
+        AND u.deleted_at IS NULL
+    `).get(decoded.sid, decoded.id);
+
+    if (!session) {
+      return res.status(401).json({ error: "Session expired or revoked" });
+    }
 
     // Attach user info to the request so route handlers can use it
-    req.user = decoded; // { id: 1, role: "founder" }
+    // { id: 1, role: "founder", sid: 12, capabilities: Set {...} }
+    req.user = { ...decoded, role: session.role, capabilities: capabilitiesFor(db, session.role) };
     next(); // Continue to the route handler
-  } catch (err) {
-    return res.status(401).json({ error: "Invalid or expired token" });
   }
+
+  /*
+    KEY CONCEPT: API keys are deny-by-default
+
+    An API key acts as the admin who created it (same role and
+    capabilities), but only on routes
+    that opt in with requireScope(...) -- and only if the key has
+    that scope. Every other route rejects API keys outright, so a
+    leaked export key can't be used to change settings or delete users.
+  */
+  function authenticateApiKey(apiKey, req, res, next) {
+    const key = db.prepare(`
+      SELECT k.*, u.role
+      FROM api_keys k JOIN users u ON k.created_by = u.id
+      WHERE k.key_hash = ? AND k.revoked_at IS NULL
+        AND (k.expires_at IS NULL OR k.expires_at > datetime('now')) AND u.deleted_at IS NULL
+    `).get(hashToken(apiKey));
+
+    if (!key) {
+      return res.status(401).json({ error: "Invalid or expired API key" });
+    }
+
+    // req.route is the route being matched; look for requireScope() in its middleware
+    const acceptsKeys = req.route && req.route.stack.some(layer => layer.handle.scope);
+    if (!acceptsKeys) {
+      return res.status(403).json({ error: "This endpoint does not accept API keys" });
+    }
+
+    db.prepare("UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?").run(key.id);
+
+    req.user = {
+      id: key.created_by,
+      role: key.role,
+      capabilities: capabilitiesFor(db, key.role),
+      apiKey: { id: key.id, name: key.name, scopes: key.scopes ? key.scopes.split(",") : [] },
+    };
+    next();
+  }
+
+  /*
+    Impersonation tokens act as the target user but hang off the
+    admin's session. Each request is logged once the response is
+    sent, including the ones we refuse.
+  */
+  function authenticateImpersonation(decoded, req, res, next) {
+    const imp = db.prepare(`
+      SELECT i.*, t.role FROM impersonations i
+      JOIN users t ON i.target_user_id = t.id
+      JOIN sessions s ON i.admin_session_id = s.id
+      WHERE i.id = ? AND i.target_user_id = ? AND i.ended_at IS NULL AND i.expires_at > datetime('now')
+        AND s.revoked_at IS NULL AND s.expires_at > datetime('now') AND t.deleted_at IS NULL
+    `).get(decoded.imp, decoded.id);
+
+    if (!imp) {
+      return res.status(401).json({ error: "Impersonation has ended" });
+    }
+
+    res.on("finish", () => {
+      db.prepare(`
+        INSERT INTO impersonation_events (impersonation_id, event, method, path, status_code)
+        VALUES (?, 'request', ?, ?, ?)
+      `).run(imp.id, req.method, req.originalUrl, res.statusCode);
+    });
+
+    // req.path is relative to where the router is mounted, e.g. "/auth/me"
+    const allowed = IMPERSONATION_ALLOWED_PATHS.includes(req.path);
+    const isRead = req.method === "GET" || req.method === "HEAD";
+
+    if (!allowed && IMPERSONATION_BLOCKED_PATHS.some(prefix => req.path.startsWith(prefix))) {
+      return res.status(403).json({ error: "Not available while impersonating" });
+    }
+    if (!allowed && !isRead && !imp.allow_writes) {
+      return res.status(403).json({ error: "Impersonation is read-only" });
+    }
+
+    req.user = {
+      id: imp.target_user_id,
+      role: imp.role,
+      sid: decoded.sid,
+      capabilities: capabilitiesFor(db, imp.role),
+      impersonation: { id: imp.id, adminId: imp.admin_id, readOnly: !imp.allow_writes },
+    };
+    next();
+  }
+
+  /*
+    MIDDLEWARE: requireVerifiedEmail
+
+    Blocks users who haven't clicked the link in their verification
+    email yet. Must be used AFTER requireAuth.
+  */
+  function requireVerifiedEmail(req, res, next) {
+    const user = db.prepare("SELECT verified_at FROM users WHERE id = ?").get(req.user.id);
+    if (!user || !user.verified_at) {
+      return res.status(403).json({ error: "Please verify your email address first" });
+    }
+    next();
+  }
+
+  return { requireAuth, requireVerifiedEmail };
 }
 
 /*
-  MIDDLEWARE: requireRole
-  
-  Checks that the logged-in user has the required role.
-  Must be used AFTER requireAuth.
-  
+  MIDDLEWARE: requireScope
+
+  Lets API keys with the given scope use a route. Has no effect on
+  normal logged-in users -- their access is decided by
+  requireCapability (see permissions.js). Must be used AFTER requireAuth.
+
   Usage:
-    app.get("/api/dashboard", requireAuth, requireRole("board"), handler);
+    router.get("/admin/export/submissions", requireAuth, requireScope("export"), requireCapability("export.run"), handler);
 */
-function requireRole(role) {
-  return (req, res, next) => {
-    // Admin can access all roles
-    if (req.user.role === "admin") return next();
-    if (req.user.role !== role) {
-      return res.status(403).json({ error: `Access restricted to ${role} members` });
+function requireScope(scope) {
+  const middleware = (req, res, next) => {
+    if (!req.user.apiKey) return next();
+    if (!req.user.apiKey.scopes.includes(scope)) {
+      return res.status(403).json({ error: `API key is missing the "${scope}" scope` });
     }
     next();
   };
+  // Marks the route as accepting API keys (checked in requireAuth)
+  middleware.scope = scope;
+  return middleware;
 }
 
-module.exports = { JWT_SECRET, createToken, requireAuth, requireRole };
+module.exports = {
+  JWT_SECRET,
+  ACCESS_TOKEN_TTL,
+  API_KEY_SCOPES,
+  API_KEY_PREFIX,
+  createToken,
+  signPurposeToken,
+  verifyPurposeToken,
+  createAuthMiddleware,
+  requireScope,
+};
@@ -0,0 +1,218 @@
+/*
+  BACKUPS (SNAPSHOTS & RESTORE)
+  ===============================
+
+  All the platform's data lives in one SQLite database, so a backup
+  is just a copy of it taken at a moment when nothing is
+  half-written. The storage driver's export() gives us exactly that
+  (see drivers/index.js).
+
+  Snapshots are files in BACKUP_DIR (default: backups/ next to
+  partner.db), named with the time, the kind and an optional label:
+
+    20261019-171211-manual-before-import.db
+    20261020-000000-scheduled.db
+    20261020-093000-pre-restore.db
+
+  KEY CONCEPT: Retention
+
+  Only the newest BACKUP_RETENTION snapshots of each kind are kept;
+  older ones are deleted whenever a new one is taken. Counting each
+  kind separately means a day of scheduled snapshots can never push
+  out one an admin took by hand. (It also means erased personal
+  data -- see privacy.js -- ages out of the backups eventually.)
+
+  KEY CONCEPT: Safe restore
+
+  Before a snapshot replaces the live database it must:
+  1. open as a SQLite database and pass integrity_check,
+  2. look like ours (have a users table),
+  3. not come from a newer version of the app.
+  Then the current data is snapshotted ("pre-restore", so a bad
+  restore can itself be undone), the snapshot is swapped in, and any
+  migrations it's missing are applied.
+*/
+
+const fs = require("fs");
+const path = require("path");
+const { DB_PATH } = require("./database");
+const { openDriver } = require("./drivers");
+const { writeFileAtomic } = require("./files");
+const { loadMigrations, runMigrations } = require("./migrate");
+
+const BACKUP_DIR = process.env.BACKUP_DIR || path.join(path.dirname(DB_PATH), "backups");
+const BACKUP_RETENTION = Number(process.env.BACKUP_RETENTION) || 10;
+// 0 turns scheduled snapshots off
+const BACKUP_INTERVAL_HOURS = process.env.BACKUP_INTERVAL_HOURS !== undefined
+  ? Number(process.env.BACKUP_INTERVAL_HOURS)
+  : 24;
+
+const KINDS = ["manual", "scheduled", "pre-restore"];
+const FILE_PATTERN = /^(\d{8}-\d{6})-(manual|scheduled|pre-restore)(?:-([a-z0-9-]+))?\.db$/;
+
+// "Before the import!" -> "before-the-import"
+function slugify(label) {
+  return String(label).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 40);
+}
+
+function timestamp(date = new Date()) {
+  return date.toISOString().replace(/[-:]/g, "").replace("T", "-").slice(0, 15);
+}
+
+/*
+  Usage:
+    const backups = createBackupManager(db);
+    backups.createSnapshot({ label: "before import" });
+    backups.listSnapshots();
+    await backups.restoreSnapshot("20261019-171211-manual-before-import.db");
+    backups.startSchedule();
+*/
+function createBackupManager(db, { dir = BACKUP_DIR, retention = BACKUP_RETENTION } = {}) {
+  let scheduleTimer = null;
+
+  // Only plain snapshot file names are accepted -- no paths
+  function resolve(file) {
+    if (typeof file !== "string" || !FILE_PATTERN.test(file)) return null;
+    const fullPath = path.join(dir, file);
+    return fs.existsSync(fullPath) ? fullPath : null;
+  }
+
+  function describe(file) {
+    const [, stamp, kind, label] = file.match(FILE_PATTERN);
+    const stat = fs.statSync(path.join(dir, file));
+    const createdAt = new Date(
+      `${stamp.slice(0, 4)}-${stamp.slice(4, 6)}-${stamp.slice(6, 8)}T${stamp.slice(9, 11)}:${stamp.slice(11, 13)}:${stamp.slice(13, 15)}Z`
+    );
+    return { file, kind, label: label || null, size: stat.size, createdAt: createdAt.toISOString() };
+  }
+
+  // Newest first. Names only have one-second precision, so ties go by file time.
+  function listSnapshots() {
+    if (!fs.existsSync(dir)) return [];
+    const modified = (file) => fs.statSync(path.join(dir, file)).mtimeMs;
+    return fs.readdirSync(dir)
+      .filter(file => FILE_PATTERN.test(file))
+      .sort((a, b) => b.slice(0, 15).localeCompare(a.slice(0, 15)) || modified(b) - modified(a))
+      .map(describe);
+  }
+
+  function applyRetention(kind) {
+    const old = listSnapshots().filter(s => s.kind === kind).slice(retention);
+    old.forEach(s => fs.unlinkSync(path.join(dir, s.file)));
+    return old.map(s => s.file);
+  }
+
+  // kind: "manual", "scheduled" or "pre-restore"
+  function createSnapshot({ label = null, kind = "manual" } = {}) {
+    if (!KINDS.includes(kind)) throw new Error(`Unknown snapshot kind: ${kind}`);
+    fs.mkdirSync(dir, { recursive: true });
+
+    const slug = label ? slugify(label) : "";
+    let file = `${timestamp()}-${kind}${slug ? `-${slug}` : ""}.db`;
+    // Two snapshots in the same second get a counter
+    for (let n = 2; fs.existsSync(path.join(dir, file)); n++) {
+      file = `${timestamp()}-${kind}-${slug ? `${slug}-` : ""}${n}.db`;
+    }
+
+    writeFileAtomic(path.join(dir, file), db.exportSnapshot());
+    const snapshot = describe(file);
+    snapshot.deleted = applyRetention(kind);
+    return snapshot;
+  }
+
+  function deleteSnapshot(file) {
+    const fullPath = resolve(file);
+    if (!fullPath) return false;
+    fs.unlinkSync(fullPath);
+    return true;
+  }
+
+  /*
+    Checks a database image is safe to restore (see the top of this
+    file), using a scratch in-memory copy. Throws with the reason if
+    it isn't.
+  */
+  async function verify(image) {
+    const candidate = await openDriver("memory", { data: image });
+    try {
+      let integrity;
+      try {
+        integrity = candidate.get("PRAGMA integrity_check").integrity_check;
+      } catch (err) {
+        throw new Error(`Snapshot is not a valid database (${err.message})`);
+      }
+      if (integrity !== "ok") throw new Error(`Snapshot is not a valid database (integrity check failed: ${integrity})`);
+
+      const names = new Set(candidate.all("SELECT name FROM sqlite_master WHERE type = 'table'").map(row => row.name));
+      if (!names.has("users")) throw new Error("Snapshot is not a Partner database");
+
+      // Databases from before the migration runner have no schema_migrations;
+      // runMigrations brings them up to date like any other old database
+      const known = new Set(loadMigrations().map(m => m.version));
+      const applied = names.has("schema_migrations") ? candidate.all("SELECT version FROM schema_migrations") : [];
+      if (applied.some(row => !known.has(row.version))) throw new Error("Snapshot is from a newer version of the app");
+    } finally {
+      candidate.close();
+    }
+  }
+
+  /*
+    Replaces the live database with a snapshot. Returns
+    { restored, safetySnapshot, migrationsApplied }.
+  */
+  async function restoreSnapshot(file) {
+    const fullPath = resolve(file);
+    if (!fullPath) throw new Error("Snapshot not found");
+
+    const image = fs.readFileSync(fullPath);
+    await verify(image);
+    const safetySnapshot = createSnapshot({ kind: "pre-restore" });
+
+    const previous = db.exportSnapshot();
+    db.restore(image);
+    let applied;
+    try {
+      // An older snapshot may be missing newer tables
+      applied = runMigrations(db, { log: () => {} });
+    } catch (err) {
+      db.restore(previous);
+      throw new Error(`Snapshot could not be upgraded: ${err.message}`);
+    }
+
+    return { restored: describe(file), safetySnapshot, migrationsApplied: applied.map(m => m.file) };
+  }
+
+  function startSchedule(intervalHours = BACKUP_INTERVAL_HOURS) {
+    stopSchedule();
+    if (!(intervalHours > 0)) return false;
+    scheduleTimer = setInterval(() => {
+      try {
+        createSnapshot({ kind: "scheduled" });
+      } catch (err) {
+        console.error("[Backup] Scheduled snapshot failed:", err.message);
+      }
+    }, intervalHours * 60 * 60 * 1000);
+    scheduleTimer.unref();
+    return true;
+  }
+
+  function stopSchedule() {
+    if (scheduleTimer) clearInterval(scheduleTimer);
+    scheduleTimer = null;
+  }
+
+  return {
+    dir,
+    retention,
+    listSnapshots,
+    createSnapshot,
+    deleteSnapshot,
+    restoreSnapshot,
+    resolve,
+    startSchedule,
+    stopSchedule,
+    get scheduled() { return scheduleTimer !== null; },
+  };
+}
+
+module.exports = { BACKUP_DIR, BACKUP_RETENTION, BACKUP_INTERVAL_HOURS, createBackupManager };
@@ -0,0 +1,142 @@
+/*
+  COMMAND LINE TOOLS
+  ===================
+
+  Maintenance tasks that run against the database without starting
+  the server.
+
+  Usage:
+    node src/cli.js migrate           Apply pending migrations
+    node src/cli.js migrate:status    List applied and pending migrations
+    node src/cli.js backup:create [name]  Take a snapshot (see backup.js)
+    node src/cli.js backup:list           List snapshots, newest first
+    node src/cli.js backup:restore <file> Replace the database with a snapshot
+    node src/cli.js seed:synthetic [options]  Generate fake data for load tests
+                                              and demos (see synthetic-data.js)
+
+  seed:synthetic options:
+    --seed <n|word>     Same seed, same data (default 1)
+    --founders <n>      Founder accounts (default 1000)
+    --board <n>         Board member accounts (default 25)
+    --submissions <n>   Submissions, spread over the founders (default 2500)
+    --days <n>          How far back submissions go (default 365)
+    --reset             Delete all existing users and submissions first
+                        (refused when NODE_ENV=production)
+
+  Stop the server before backup:restore -- a running server keeps
+  its own copy of the database in memory and would overwrite the
+  restored file on its next save. (The admin API restores in place.)
+*/
+
+const { openDatabase, initializeDatabase, seedDatabase, resetDatabase } = require("./database");
+const { migrationStatus, runMigrations } = require("./migrate");
+const { createBackupManager } = require("./backup");
+const { DEFAULTS: SYNTHETIC_DEFAULTS, generateSyntheticData } = require("./synthetic-data");
+
+// "--seed 42 --reset" -> { seed: "42", reset: true }
+function parseFlags(args) {
+  const flags = {};
+  for (let i = 0; i < args.length; i++) {
+    const match = /^--([\w-]+)(?:=(.*))?$/.exec(args[i]);
+    if (!match) throw new Error(`Unexpected argument "${args[i]}"`);
+    const [, name, inline] = match;
+    if (inline !== undefined) flags[name] = inline;
+    else if (args[i + 1] !== undefined && !args[i + 1].startsWith("--")) flags[name] = args[++i];
+    else flags[name] = true;
+  }
+  return flags;
+}
+
+const COMMANDS = {
+  async migrate() {
+    const db = await openDatabase();
+    const applied = runMigrations(db);
+    console.log(applied.length > 0 ? `Applied ${applied.length} migration(s).` : "Database is up to date.");
+  },
+
+  async "migrate:status"() {
+    const db = await openDatabase();
+    const status = migrationStatus(db);
+    for (const m of status) {
+      const version = String(m.version).padStart(3, "0");
+      console.log(`  ${m.status.padEnd(8)} ${version}_${m.name}${m.appliedAt ? `  (${m.appliedAt})` : ""}`);
+    }
+    const pending = status.filter(m => m.status === "pending").length;
+    console.log("");
+    console.log(pending > 0 ? `${pending} pending -- run "npm run migrate" to apply.` : "Database is up to date.");
+    // Non-zero exit lets deploy scripts check for unapplied migrations
+    if (status.some(m => m.status !== "applied")) process.exitCode = 1;
+  },
+
+  async "backup:create"(name) {
+    const db = await openDatabase();
+    const backup = createBackupManager(db).createSnapshot({ label: name || null });
+    console.log(`Created ${backup.file} (${backup.size} bytes)`);
+    for (const file of backup.deleted) console.log(`  removed ${file} (retention)`);
+    db.close();
+  },
+
+  async "backup:list"() {
+    const db = await openDatabase();
+    const backups = createBackupManager(db);
+    const snapshots = backups.listSnapshots();
+    for (const s of snapshots) console.log(`  ${s.file.padEnd(48)} ${String(s.size).padStart(10)} bytes`);
+    console.log("");
+    console.log(`${snapshots.length} snapshot(s) in ${backups.dir}`);
+    db.close();
+  },
+
+  async "backup:restore"(file) {
+    if (!file) throw new Error("Usage: node src/cli.js backup:restore <file>");
+    const db = await openDatabase();
+    const result = await createBackupManager(db).restoreSnapshot(file);
+    console.log(`Restored ${result.restored.file}`);
+    console.log(`Previous data saved as ${result.safetySnapshot.file}`);
+    for (const m of result.migrationsApplied) console.log(`  applied migration ${m}`);
+    db.close();
+  },
+
+  async "seed:synthetic"(...args) {
+    const flags = parseFlags(args);
+    const options = {};
+    for (const name of ["founders", "board", "submissions", "days"]) {
+      if (flags[name] === undefined) continue;
+      const value = Number(flags[name]);
+      if (!Number.isInteger(value) || value < 0) throw new Error(`--${name} must be a whole number`);
+      options[name] = value;
+    }
+    if (flags.seed !== undefined && flags.seed !== true) options.seed = flags.seed;
+    if (flags.reset && process.env.NODE_ENV === "production") {
+      throw new Error("Refusing to --reset with NODE_ENV=production.");
+    }
+
+    const db = await initializeDatabase();
+    if (flags.reset) {
+      resetDatabase(db);
+    } else {
+      // Synthetic data needs an admin to message; a fresh database gets the demo accounts
+      seedDatabase(db);
+    }
+    const started = Date.now();
+    const counts = generateSyntheticData(db, options);
+    console.log(`Generated synthetic data (seed ${options.seed || SYNTHETIC_DEFAULTS.seed}) in ${((Date.now() - started) / 1000).toFixed(1)}s:`);
+    for (const [table, count] of Object.entries(counts)) console.log(`  ${table.padEnd(22)} ${count}`);
+    db.close();
+  },
+};
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  if (!COMMANDS[command]) {
+    console.log("Usage: node src/cli.js <command>");
+    console.log("Commands: " + Object.keys(COMMANDS).join(", "));
+    process.exitCode = command ? 1 : 0;
+    return;
+  }
+  await COMMANDS[command](...args);
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -1,297 +1,197 @@
 /*
-  DATABASE SCHEMA & INITIALIZATION (sql.js version)
-  ===================================================
-  
-  sql.js is SQLite compiled to WebAssembly. Unlike better-sqlite3,
-  it doesn't need native compilation so it works on any Node version.
-  
+  DATABASE WRAPPER & INITIALIZATION
+  ===================================
+
   KEY CONCEPT: Adapter Pattern
-  We wrap sql.js to match better-sqlite3's API so routes.js
-  doesn't need ANY changes. Same .prepare().get(), .prepare().all(),
-  .prepare().run() interface.
+  Routes use better-sqlite3's API -- .prepare().get(), .prepare().all(),
+  .prepare().run(), .transaction() -- whichever storage driver is
+  underneath (see drivers/index.js). Switching drivers doesn't need
+  ANY changes in routes.js.
+
+  Configuration:
+    DB_DRIVER  sqljs (default), memory or better-sqlite3
+    DB_PATH    the database file (default: partner.db in the project root)
+
+  The schema itself lives in src/migrations (see migrate.js).
 */
 
-const initSqlJs = require("sql.js");
-const fs = require("fs");
 const path = require("path");
 const bcrypt = require("bcryptjs");
+const { openDriver } = require("./drivers");
+const { runMigrations } = require("./migrate");
+
+const DB_DRIVER = process.env.DB_DRIVER || "sqljs";
+const DB_PATH = process.env.DB_PATH ? path.resolve(process.env.DB_PATH) : path.join(__dirname, "..", "partner.db");
 
-const DB_PATH = path.join(__dirname, "..", "partner.db");
+/*
+  KEY CONCEPT: Saving to disk
+
+  The sql.js driver keeps the whole database in memory; "saving" means
+  exporting it and writing the file. That's too slow to do after
+  every insert, so writes just mark the database dirty and a save
+  happens once things go quiet (SAVE_DELAY_MS), or at the latest
+  MAX_SAVE_DELAY_MS after the first unsaved write. db.close() and
+  process exit save anything still pending.
+
+  Drivers that write straight to disk (better-sqlite3) or never save
+  (memory) have no save(), and all of this is skipped.
+*/
+const SAVE_DELAY_MS = 200;
+const MAX_SAVE_DELAY_MS = 2000;
+
+function createDbWrapper(driver) {
+  let dirty = false;
+  let saveTimer = null;
+  let firstUnsavedAt = 0;
+  let transactionDepth = 0;
+
+  function scheduleSave() {
+    if (!driver.save) return;
+    dirty = true;
+    if (transactionDepth > 0) return; // the commit schedules it
+
+    const now = Date.now();
+    if (saveTimer) clearTimeout(saveTimer);
+    else firstUnsavedAt = now;
+    const delay = Math.min(SAVE_DELAY_MS, Math.max(0, firstUnsavedAt + MAX_SAVE_DELAY_MS - now));
+    saveTimer = setTimeout(() => wrapper.flush(), delay);
+    saveTimer.unref(); // the exit hook below saves if the process ends first
+  }
+
+  const flushOnExit = () => wrapper.flush();
+  process.on("exit", flushOnExit);
 
-function createDbWrapper(sqlDb) {
   const wrapper = {
-    _db: sqlDb,
+    driver,
+
+    // Writes pending changes to disk now. Does nothing mid-transaction.
+    flush() {
+      if (saveTimer) {
+        clearTimeout(saveTimer);
+        saveTimer = null;
+      }
+      if (!dirty || transactionDepth > 0) return;
 
-    _save() {
-      const data = this._db.export();
-      fs.writeFileSync(DB_PATH, Buffer.from(data));
+      driver.save();
+      dirty = false;
     },
 
-    prepare(sql) {
-      const db = this._db;
-      const save = () => wrapper._save();
+    // The whole database as a Buffer, e.g. for backups (see backup.js)
+    exportSnapshot() {
+      if (transactionDepth > 0) throw new Error("Can't export the database mid-transaction");
+      return driver.export();
+    },
+
+    /*
+      Replaces the entire contents with a database image (a restored
+      backup) and saves it straight away. Everything holding this
+      wrapper -- routes, middleware -- sees the new data on its next query.
+    */
+    restore(image) {
+      if (transactionDepth > 0) throw new Error("Can't restore the database mid-transaction");
+      driver.replace(image);
+      scheduleSave();
+      wrapper.flush();
+    },
 
+    prepare(sql) {
       return {
         run(...params) {
-          const stmt = db.prepare(sql);
-          if (params.length > 0) stmt.bind(params);
-          stmt.step();
-          stmt.free();
-          save();
-          const changes = db.getRowsModified();
-          const r = db.exec("SELECT last_insert_rowid() as id");
-          const lastInsertRowid = r.length > 0 ? r[0].values[0][0] : 0;
-          return { changes, lastInsertRowid };
+          const result = driver.run(sql, params);
+          scheduleSave();
+          return result;
         },
-
         get(...params) {
-          const stmt = db.prepare(sql);
-          if (params.length > 0) stmt.bind(params);
-          if (stmt.step()) {
-            const row = stmt.getAsObject();
-            stmt.free();
-            return row;
-          }
-          stmt.free();
-          return undefined;
+          return driver.get(sql, params);
         },
-
         all(...params) {
-          const results = [];
-          const stmt = db.prepare(sql);
-          if (params.length > 0) stmt.bind(params);
-          while (stmt.step()) {
-            results.push(stmt.getAsObject());
-          }
-          stmt.free();
-          return results;
+          return driver.all(sql, params);
         },
       };
     },
 
     exec(sql) {
-      this._db.run(sql);
-      this._save();
+      driver.exec(sql);
+      scheduleSave();
     },
 
     pragma(str) {
-      try { this._db.run(`PRAGMA ${str}`); } catch (e) {}
+      try {
+        driver.pragma(str);
+      } catch (e) {}
     },
 
+    /*
+      KEY CONCEPT: Transactions
+
+      Wraps fn in BEGIN/COMMIT, like better-sqlite3's db.transaction().
+      If fn throws, everything it wrote is rolled back and the error
+      is rethrown -- so a multi-step delete either fully happens or
+      doesn't happen at all. Nested calls use savepoints, so an inner
+      failure only undoes the inner part.
+
+      fn must be synchronous: an await inside would let other
+      requests' writes land in the middle of the transaction.
+
+      Usage:
+        const deleteAll = db.transaction((id) => { ...several run() calls... });
+        deleteAll(id);
+    */
     transaction(fn) {
       return (...args) => {
-        // sql.js doesn't need explicit transactions for our use case
-        // Just run the function and save once at the end
-        const result = fn(...args);
-        this._save();
+        const savepoint = transactionDepth > 0 ? `sp_${transactionDepth}` : null;
+        driver.exec(savepoint ? `SAVEPOINT ${savepoint}` : "BEGIN");
+        transactionDepth++;
+
+        let result;
+        try {
+          result = fn(...args);
+          if (result && typeof result.then === "function") {
+            throw new Error("Transaction functions must be synchronous");
+          }
+        } catch (err) {
+          transactionDepth--;
+          try {
+            driver.exec(savepoint ? `ROLLBACK TO ${savepoint}; RELEASE ${savepoint}` : "ROLLBACK");
+          } catch (rollbackErr) { /* SQLite already rolled back */ }
+          throw err;
+        }
+
+        transactionDepth--;
+        driver.exec(savepoint ? `RELEASE ${savepoint}` : "COMMIT");
+        if (transactionDepth === 0 && dirty) scheduleSave();
         return result;
       };
     },
 
     close() {
-      this._save();
-      this._db.close();
+      this.flush();
+      process.removeListener("exit", flushOnExit);
+      driver.close();
     },
   };
   return wrapper;
 }
 
-async function initializeDatabase() {
-  const SQL = await initSqlJs();
-  let sqlDb;
+/*
+  Opens the database without touching the schema. Options override
+  the DB_DRIVER / DB_PATH configuration, e.g. for tests:
 
-  if (fs.existsSync(DB_PATH)) {
-    const fileBuffer = fs.readFileSync(DB_PATH);
-    sqlDb = new SQL.Database(fileBuffer);
-  } else {
-    sqlDb = new SQL.Database();
-  }
+    const db = await openDatabase({ driver: "memory" });
+*/
+async function openDatabase({ driver = DB_DRIVER, path: filePath = DB_PATH } = {}) {
+  return createDbWrapper(await openDriver(driver, { filePath }));
+}
 
-  const db = createDbWrapper(sqlDb);
+/*
+  Opens the database and brings its schema up to date by applying
+  any pending migrations (see migrate.js). Throws if a migration
+  fails, so the server refuses to start on a half-migrated database.
+*/
+async function initializeDatabase(options) {
+  const db = await openDatabase(options);
+  runMigrations(db);
   db.pragma("foreign_keys = ON");
-
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS users (
-      id          INTEGER PRIMARY KEY AUTOINCREMENT,
-      email       TEXT NOT NULL UNIQUE,
-      password    TEXT NOT NULL,
-      name        TEXT NOT NULL,
-      role        TEXT NOT NULL CHECK(role IN ('founder', 'board', 'admin')),
-      specialty   TEXT,
-      bio         TEXT,
-      linkedin    TEXT,
-      website     TEXT,
-      location    TEXT,
-      created_at  DATETIME DEFAULT CURRENT_TIMESTAMP
-    );
-    CREATE TABLE IF NOT EXISTS submissions (
-      id              INTEGER PRIMARY KEY AUTOINCREMENT,
-      user_id         INTEGER NOT NULL REFERENCES users(id),
-      company_name    TEXT NOT NULL,
-      one_liner       TEXT NOT NULL,
-      industry        TEXT NOT NULL,
-      stage           TEXT NOT NULL,
-      team_size       TEXT,
-      website         TEXT,
-      problem         TEXT NOT NULL,
-      solution        TEXT NOT NULL,
-      traction        TEXT NOT NULL,
-      looking_for     TEXT NOT NULL,
-      funding_target  TEXT,
-      additional_notes TEXT,
-      status          TEXT NOT NULL DEFAULT 'new'
-                        CHECK(status IN ('new', 'under_review', 'more_info', 'approved', 'passed')),
-      rating          REAL,
-      ai_analysis     TEXT,
-      submitted_at    DATETIME DEFAULT CURRENT_TIMESTAMP
-    );
-    CREATE TABLE IF NOT EXISTS board_notes (
-      id                INTEGER PRIMARY KEY AUTOINCREMENT,
-      submission_id     INTEGER NOT NULL REFERENCES submissions(id),
-      user_id           INTEGER NOT NULL REFERENCES users(id),
-      text              TEXT NOT NULL,
-      founder_visible   INTEGER NOT NULL DEFAULT 0,
-      created_at        DATETIME DEFAULT CURRENT_TIMESTAMP
-    );
-    CREATE TABLE IF NOT EXISTS tagged_members (
-      id              INTEGER PRIMARY KEY AUTOINCREMENT,
-      submission_id   INTEGER NOT NULL REFERENCES submissions(id),
-      user_id         INTEGER NOT NULL REFERENCES users(id),
-      tagged_by       INTEGER NOT NULL REFERENCES users(id),
-      created_at      DATETIME DEFAULT CURRENT_TIMESTAMP,
-      UNIQUE(submission_id, user_id)
-    );
-    CREATE TABLE IF NOT EXISTS chat_messages (
-      id              INTEGER PRIMARY KEY AUTOINCREMENT,
-      submission_id   INTEGER NOT NULL REFERENCES submissions(id),
-      user_id         INTEGER NOT NULL REFERENCES users(id),
-      text            TEXT NOT NULL,
-      created_at      DATETIME DEFAULT CURRENT_TIMESTAMP
-    );
-    CREATE TABLE IF NOT EXISTS notification_prefs (
-      id              INTEGER PRIMARY KEY AUTOINCREMENT,
-      user_id         INTEGER NOT NULL REFERENCES users(id),
-      notif_type      TEXT NOT NULL,
-      enabled         INTEGER NOT NULL DEFAULT 1,
-      UNIQUE(user_id, notif_type)
-    );
-    CREATE TABLE IF NOT EXISTS partnerships (
-      id              INTEGER PRIMARY KEY AUTOINCREMENT,
-      submission_id   INTEGER NOT NULL REFERENCES submissions(id),
-      user_id         INTEGER NOT NULL REFERENCES users(id),
-      status          TEXT NOT NULL DEFAULT 'pending'
-                        CHECK(status IN ('pending', 'accepted', 'declined')),
-      created_at      DATETIME DEFAULT CURRENT_TIMESTAMP,
-      responded_at    DATETIME,
-      UNIQUE(submission_id, user_id)
-    );
-    CREATE TABLE IF NOT EXISTS meeting_requests (
-      id              INTEGER PRIMARY KEY AUTOINCREMENT,
-      submission_id   INTEGER NOT NULL REFERENCES submissions(id),
-      user_id         INTEGER NOT NULL REFERENCES users(id),
-      message         TEXT,
-      created_at      DATETIME DEFAULT CURRENT_TIMESTAMP
-    );
-    CREATE TABLE IF NOT EXISTS partnership_messages (
-      id              INTEGER PRIMARY KEY AUTOINCREMENT,
-      submission_id   INTEGER NOT NULL REFERENCES submissions(id),
-      user_id         INTEGER NOT NULL REFERENCES users(id),
-      text            TEXT NOT NULL,
-      created_at      DATETIME DEFAULT CURRENT_TIMESTAMP
-    );
-    CREATE TABLE IF NOT EXISTS shared_links (
-      id              INTEGER PRIMARY KEY AUTOINCREMENT,
-      submission_id   INTEGER NOT NULL REFERENCES submissions(id),
-      user_id         INTEGER NOT NULL REFERENCES users(id),
-      url             TEXT NOT NULL,
-      title           TEXT,
-      created_at      DATETIME DEFAULT CURRENT_TIMESTAMP
-    );
-    CREATE TABLE IF NOT EXISTS platform_settings (
-      key             TEXT PRIMARY KEY,
-      value           TEXT NOT NULL
-    );
-    CREATE TABLE IF NOT EXISTS admin_messages (
-      id              INTEGER PRIMARY KEY AUTOINCREMENT,
-      from_user_id    INTEGER NOT NULL REFERENCES users(id),
-      to_user_id      INTEGER NOT NULL REFERENCES users(id),
-      text            TEXT NOT NULL,
-      created_at      DATETIME DEFAULT CURRENT_TIMESTAMP
-    );
-    CREATE TABLE IF NOT EXISTS board_invitations (
-      id              INTEGER PRIMARY KEY AUTOINCREMENT,
-      suggested_by    INTEGER NOT NULL REFERENCES users(id),
-      name            TEXT NOT NULL,
-      email           TEXT NOT NULL,
-      reason          TEXT,
-      status          TEXT NOT NULL DEFAULT 'pending'
-                        CHECK(status IN ('pending', 'approved', 'declined')),
-      created_at      DATETIME DEFAULT CURRENT_TIMESTAMP
-    );
-  `);
-
-  // Migrations: run every startup to ensure new features exist on old databases
-  try {
-    // Try inserting admin - if it fails due to CHECK constraint, recreate users table
-    const adminExists = db.prepare("SELECT id FROM users WHERE email = 'admin@partner.io'").get();
-    if (!adminExists) {
-      const hp = bcrypt.hashSync("Demo1234!", 10);
-      try {
-        db.prepare(
-          "INSERT INTO users (email, password, name, role, bio) VALUES (?, ?, ?, 'admin', 'Platform Administrator')"
-        ).run("admin@partner.io", hp, "Ben Swartz");
-        console.log("Admin user created.");
-      } catch (checkErr) {
-        // Old CHECK constraint doesn't include 'admin' - need to recreate table
-        console.log("Updating users table to support admin role...");
-        db._db.run("PRAGMA foreign_keys = OFF");
-        db._db.run("ALTER TABLE users RENAME TO users_old");
-        db._db.run(`CREATE TABLE users (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          email TEXT NOT NULL UNIQUE,
-          password TEXT NOT NULL,
-          name TEXT NOT NULL,
-          role TEXT NOT NULL CHECK(role IN ('founder', 'board', 'admin')),
-          specialty TEXT, bio TEXT, linkedin TEXT, website TEXT, location TEXT,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )`);
-        db._db.run("INSERT INTO users SELECT * FROM users_old");
-        db._db.run("DROP TABLE users_old");
-        db._db.run("PRAGMA foreign_keys = ON");
-        db._save();
-        // Now insert admin
-        db.prepare(
-          "INSERT INTO users (email, password, name, role, bio) VALUES (?, ?, ?, 'admin', 'Platform Administrator')"
-        ).run("admin@partner.io", hp, "Ben Swartz");
-        console.log("Admin user created after table migration.");
-      }
-    }
-
-    // Ensure default platform settings exist
-    const settingsExist = db.prepare("SELECT key FROM platform_settings LIMIT 1").get();
-
-    // Add ai_analysis column if missing
-    try {
-      db.prepare("SELECT ai_analysis FROM submissions LIMIT 1").get();
-    } catch (e) {
-      db._db.run("ALTER TABLE submissions ADD COLUMN ai_analysis TEXT");
-      db._save();
-      console.log("Added ai_analysis column to submissions.");
-    }
-    if (!settingsExist) {
-      db.prepare("INSERT OR IGNORE INTO platform_settings (key, value) VALUES (?, ?)").run("platform_name", "Partner");
-      db.prepare("INSERT OR IGNORE INTO platform_settings (key, value) VALUES (?, ?)").run("fee_tier_1_rate", "3.0");
-      db.prepare("INSERT OR IGNORE INTO platform_settings (key, value) VALUES (?, ?)").run("fee_tier_1_max", "5000000");
-      db.prepare("INSERT OR IGNORE INTO platform_settings (key, value) VALUES (?, ?)").run("fee_tier_2_rate", "2.0");
-      db.prepare("INSERT OR IGNORE INTO platform_settings (key, value) VALUES (?, ?)").run("fee_tier_2_max", "20000000");
-      db.prepare("INSERT OR IGNORE INTO platform_settings (key, value) VALUES (?, ?)").run("fee_tier_3_rate", "1.5");
-      db.prepare("INSERT OR IGNORE INTO platform_settings (key, value) VALUES (?, ?)").run("max_partners_per_submission", "3");
-      console.log("Default platform settings created.");
-    }
-  } catch (e) {
-    console.log("Migration note:", e.message);
-  }
-
   return db;
 }
 
@@ -318,14 +218,8 @@ function seedDatabase(db) {
     insertUser.run("maya@partner.io", hp, "Maya Roberts", "board", "Impact & CleanTech", null, null);
     insertUser.run("admin@partner.io", hp, "Ben Swartz", "admin", null, "Platform Administrator", null);
 
-    // Default platform settings
-    db.prepare("INSERT OR IGNORE INTO platform_settings (key, value) VALUES (?, ?)").run("platform_name", "Partner");
-    db.prepare("INSERT OR IGNORE INTO platform_settings (key, value) VALUES (?, ?)").run("fee_tier_1_rate", "3.0");
-    db.prepare("INSERT OR IGNORE INTO platform_settings (key, value) VALUES (?, ?)").run("fee_tier_1_max", "5000000");
-    db.prepare("INSERT OR IGNORE INTO platform_settings (key, value) VALUES (?, ?)").run("fee_tier_2_rate", "2.0");
-    db.prepare("INSERT OR IGNORE INTO platform_settings (key, value) VALUES (?, ?)").run("fee_tier_2_max", "20000000");
-    db.prepare("INSERT OR IGNORE INTO platform_settings (key, value) VALUES (?, ?)").run("fee_tier_3_rate", "1.5");
-    db.prepare("INSERT OR IGNORE INTO platform_settings (key, value) VALUES (?, ?)").run("max_partners_per_submission", "3");
+    // Demo accounts come pre-verified
+    db.prepare("UPDATE users SET verified_at = CURRENT_TIMESTAMP").run();
 
     const insertSub = db.prepare(
       "INSERT INTO submissions (user_id, company_name, one_liner, industry, stage, team_size, website, problem, solution, traction, looking_for, funding_target, status, rating, submitted_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)"
@@ -341,6 +235,14 @@ function seedDatabase(db) {
     insertNote.run(2, 3, "Internal: verify regulatory compliance before introductions.", 0, "2026-02-03");
     insertNote.run(3, 2, "Market too competitive. Encouraged to reapply.", 1, "2025-12-15");
 
+    // Per-member ratings; submissions.rating above is their average
+    const insertRating = db.prepare("INSERT INTO submission_ratings (submission_id, user_id, rating, comment) VALUES (?, ?, ?, ?)");
+    insertRating.run(1, 2, 4, "Strong fraud numbers, need to see the financials.");
+    insertRating.run(1, 3, 4, null);
+    insertRating.run(2, 2, 5, null);
+    insertRating.run(2, 3, 5, "Best traction in the pipeline.");
+    insertRating.run(3, 2, 2, null);
+
     const insertTag = db.prepare("INSERT INTO tagged_members (submission_id, user_id, tagged_by) VALUES (?, ?, ?)");
     insertTag.run(1, 3, 2);
     insertTag.run(1, 4, 2);
@@ -355,4 +257,40 @@ function seedDatabase(db) {
   console.log("Database seeded successfully.");
 }
 
-module.exports = { initializeDatabase, seedDatabase };
+// Kept across a reset: the schema's own bookkeeping and admin configuration
+const KEEP_ON_RESET = ["schema_migrations", "platform_settings", "scorecard_criteria"];
+
+/*
+  Deletes every row of app data (users, submissions and everything
+  hanging off them) but keeps the schema and platform settings, then
+  re-seeds the demo accounts. Used by "seed:synthetic --reset".
+*/
+function resetDatabase(db) {
+  const all = db.prepare(
+    "SELECT name, sql FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'"
+  ).all();
+  // A full-text index keeps its data in shadow tables (search_index_content...)
+  // that only the index itself may write to; emptying the index empties them
+  const virtual = all.filter(t => /^CREATE VIRTUAL TABLE/i.test(t.sql)).map(t => t.name);
+  const tables = all.map(t => t.name)
+    .filter(name => !KEEP_ON_RESET.includes(name) && !virtual.some(v => name.startsWith(`${v}_`)));
+
+  // Same trick as the migration runner: foreign keys can't be switched
+  // inside a transaction, and the tables reference each other
+  const foreignKeys = db.driver.get("PRAGMA foreign_keys").foreign_keys;
+  db.driver.exec("PRAGMA foreign_keys = OFF");
+  try {
+    db.transaction(() => {
+      for (const table of tables) db.prepare(`DELETE FROM ${table}`).run();
+      // Their authors are gone
+      db.prepare("UPDATE scorecard_criteria SET created_by = NULL").run();
+      // Restart ids at 1, so the demo accounts get their usual ids
+      db.prepare(`DELETE FROM sqlite_sequence WHERE name IN (${tables.map(() => "?").join(", ")})`).run(...tables);
+    })();
+  } finally {
+    db.driver.exec(`PRAGMA foreign_keys = ${foreignKeys ? "ON" : "OFF"}`);
+  }
+  seedDatabase(db);
+}
+
+module.exports = { DB_DRIVER, DB_PATH, openDatabase, initializeDatabase, seedDatabase, resetDatabase };
@@ -0,0 +1,155 @@
+/*
+  REMOVING USERS & ARCHIVING SUBMISSIONS
+  ========================================
+
+  KEY CONCEPT: Soft delete first, purge later
+
+  Users and submissions are woven through the rest of the database:
+  a board member's notes sit on founders' submissions, a submission
+  has notes, chats and partnerships hanging off it. Deleting the row
+  would either fail (foreign keys) or orphan all of that.
+
+  So by default nothing is deleted. It's marked with deleted_at:
+
+  - A removed user can't log in (sessions and API keys are revoked)
+    and drops out of directories and counts. Their notes and
+    messages stay, attributed to "Former member" (see displayName()
+    in privacy.js). Their name and email stay on the row so admins
+    can still tell who it was.
+  - An archived submission is hidden from listings and analytics and
+    can't be changed, but everything on it is kept. It can be
+    un-archived.
+
+  KEY CONCEPT: Purge
+
+  Purging really deletes: the row and everything that hangs off it,
+  in one transaction. (Uploaded files live outside the database; the
+  purge routes remove them once the transaction has committed.)
+  It's admin-only, and only works on something that's already
+  removed/archived -- so it's always a deliberate second step, never
+  an accident.
+*/
+
+const { refreshRating } = require("./ratings");
+
+// Rows that belong to a submission, deleted when it's purged
+const SUBMISSION_CHILD_TABLES = [
+  "board_notes", "tagged_members", "chat_messages", "partnerships",
+  "meeting_requests", "partnership_messages", "shared_links", "submission_ratings",
+  "scorecard_scores", "submission_revisions", "submission_views", "attachments",
+  "watched_submissions", "notifications",
+];
+
+/*
+  Removes (soft-deletes) a user. Returns false if they don't exist
+  or are already removed.
+*/
+function removeUser(db, userId) {
+  const user = db.prepare("SELECT id FROM users WHERE id = ? AND deleted_at IS NULL").get(userId);
+  if (!user) return false;
+
+  db.transaction(() => {
+    db.prepare("UPDATE users SET deleted_at = CURRENT_TIMESTAMP WHERE id = ?").run(user.id);
+
+    db.prepare("UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND revoked_at IS NULL").run(user.id);
+    db.prepare("UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP WHERE created_by = ? AND revoked_at IS NULL").run(user.id);
+    db.prepare("UPDATE impersonations SET ended_at = CURRENT_TIMESTAMP WHERE target_user_id = ? AND ended_at IS NULL").run(user.id);
+    db.prepare("DELETE FROM recovery_codes WHERE user_id = ?").run(user.id);
+    db.prepare("DELETE FROM password_resets WHERE user_id = ?").run(user.id);
+    db.prepare("DELETE FROM notification_prefs WHERE user_id = ?").run(user.id);
+
+    // Nobody should be waiting on them any more
+    db.prepare("DELETE FROM tagged_members WHERE user_id = ?").run(user.id);
+    db.prepare("UPDATE submissions SET deleted_at = CURRENT_TIMESTAMP WHERE user_id = ? AND deleted_at IS NULL").run(user.id);
+  })();
+  return true;
+}
+
+/*
+  Permanently deletes a removed user and everything they created,
+  including their submissions. Returns false unless the user exists
+  and has been removed first.
+*/
+function purgeUser(db, userId) {
+  const user = db.prepare("SELECT id FROM users WHERE id = ? AND deleted_at IS NOT NULL").get(userId);
+  if (!user) return false;
+
+  db.transaction(() => {
+    const submissions = db.prepare("SELECT id FROM submissions WHERE user_id = ?").all(user.id);
+    submissions.forEach(sub => deleteSubmissionRows(db, sub.id));
+
+    // Their activity on other people's submissions
+    for (const table of ["board_notes", "chat_messages", "partnerships", "meeting_requests", "partnership_messages", "shared_links", "attachments"]) {
+      db.prepare(`DELETE FROM ${table} WHERE user_id = ?`).run(user.id);
+    }
+    db.prepare("DELETE FROM tagged_members WHERE user_id = ? OR tagged_by = ?").run(user.id, user.id);
+    const rated = db.prepare("SELECT submission_id FROM submission_ratings WHERE user_id = ?").all(user.id);
+    db.prepare("DELETE FROM submission_ratings WHERE user_id = ?").run(user.id);
+    rated.forEach(r => refreshRating(db, r.submission_id));
+    db.prepare("DELETE FROM scorecard_scores WHERE user_id = ?").run(user.id);
+    db.prepare("DELETE FROM submission_views WHERE user_id = ?").run(user.id);
+    // Revisions can't be edited to unattribute them (see revisions.js).
+    // They're normally on the user's own submissions, deleted above.
+    db.prepare("DELETE FROM submission_revisions WHERE user_id = ?").run(user.id);
+    db.prepare("DELETE FROM admin_messages WHERE from_user_id = ? OR to_user_id = ?").run(user.id, user.id);
+    db.prepare("DELETE FROM board_invitations WHERE suggested_by = ?").run(user.id);
+    db.prepare("DELETE FROM erasure_requests WHERE user_id = ?").run(user.id);
+
+    // Impersonations they did or were the target of, with their logs
+    const impersonations = "SELECT id FROM impersonations WHERE admin_id = ? OR target_user_id = ?";
+    db.prepare(`DELETE FROM impersonation_events WHERE impersonation_id IN (${impersonations})`).run(user.id, user.id);
+    db.prepare(`DELETE FROM impersonations WHERE admin_id = ? OR target_user_id = ?`).run(user.id, user.id);
+
+    for (const table of [
+      "sessions", "recovery_codes", "password_resets", "notification_prefs", "submission_drafts",
+      "notifications", "watched_submissions", "saved_searches",
+    ]) {
+      db.prepare(`DELETE FROM ${table} WHERE user_id = ?`).run(user.id);
+    }
+    db.prepare("DELETE FROM api_keys WHERE created_by = ?").run(user.id);
+
+    // Records of things they did for others are kept, just unattributed
+    db.prepare("UPDATE board_invitations SET approved_by = NULL WHERE approved_by = ?").run(user.id);
+    db.prepare("UPDATE board_invitations SET accepted_user_id = NULL WHERE accepted_user_id = ?").run(user.id);
+    db.prepare("UPDATE erasure_requests SET reviewed_by = NULL WHERE reviewed_by = ?").run(user.id);
+    db.prepare("UPDATE roles SET created_by = NULL WHERE created_by = ?").run(user.id);
+    db.prepare("UPDATE scorecard_criteria SET created_by = NULL WHERE created_by = ?").run(user.id);
+    db.prepare("UPDATE login_attempts SET user_id = NULL WHERE user_id = ?").run(user.id);
+
+    db.prepare("DELETE FROM users WHERE id = ?").run(user.id);
+  })();
+  return true;
+}
+
+// Archives a submission. Returns false if it doesn't exist or is already archived.
+function archiveSubmission(db, submissionId) {
+  return db.prepare(
+    "UPDATE submissions SET deleted_at = CURRENT_TIMESTAMP WHERE id = ? AND deleted_at IS NULL"
+  ).run(submissionId).changes > 0;
+}
+
+function unarchiveSubmission(db, submissionId) {
+  return db.prepare(
+    "UPDATE submissions SET deleted_at = NULL WHERE id = ? AND deleted_at IS NOT NULL"
+  ).run(submissionId).changes > 0;
+}
+
+/*
+  Permanently deletes an archived submission and everything on it.
+  Returns false unless it exists and has been archived first.
+*/
+function purgeSubmission(db, submissionId) {
+  const sub = db.prepare("SELECT id FROM submissions WHERE id = ? AND deleted_at IS NOT NULL").get(submissionId);
+  if (!sub) return false;
+  db.transaction(() => deleteSubmissionRows(db, sub.id))();
+  return true;
+}
+
+function deleteSubmissionRows(db, submissionId) {
+  for (const table of SUBMISSION_CHILD_TABLES) {
+    db.prepare(`DELETE FROM ${table} WHERE submission_id = ?`).run(submissionId);
+  }
+  db.prepare("DELETE FROM submissions WHERE id = ?").run(submissionId);
+}
+
+module.exports = { removeUser, purgeUser, archiveSubmission, unarchiveSubmission, purgeSubmission };
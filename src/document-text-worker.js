@@ -0,0 +1,11 @@
+/*
+  Worker thread for document-text.js: extracts one document's text
+  and posts it back, so a slow or hostile file can't block the
+  server's event loop.
+*/
+
+const { parentPort, workerData } = require("worker_threads");
+const { extractTextSync } = require("./document-text");
+
+const { contentType, data } = workerData;
+parentPort.postMessage(extractTextSync(contentType, Buffer.from(data.buffer, data.byteOffset, data.byteLength)));
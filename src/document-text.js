@@ -0,0 +1,615 @@
+/*
+  DOCUMENT TEXT EXTRACTION
+  =========================
+
+  Pulls the plain text out of uploaded documents (see attachments.js)
+  so the AI analysis can read the founder's deck, not just the form.
+  Done locally with Node's zlib -- no extra dependency, and the file
+  never leaves the server.
+
+  Supported:
+    PDF        -- the text drawn on each page, in page order
+    .pptx      -- each slide's text boxes, in slide order
+    .docx      -- the document's paragraphs
+    .csv       -- as-is
+
+  KEY CONCEPT: Best effort
+
+  PDFs don't store "the text" -- they store drawing instructions
+  ("at x,y, in font F1, show glyphs 0x0034 0x0052..."). We follow
+  them and map the glyphs back to characters with each font's
+  ToUnicode table when it has one. That covers what PowerPoint,
+  Keynote, Google Slides and Word export. Scanned decks (pictures of
+  text) and encrypted PDFs give no text; that's fine, the analysis
+  just runs without them.
+
+  Everything returns null rather than throwing on a file it can't
+  read: a strange PDF must never break an upload or an analysis.
+
+  KEY CONCEPT: Uploads are hostile until proven otherwise
+
+  A few hundred KB of compressed PDF can inflate to gigabytes (a
+  "decompression bomb"), and parsing is CPU work that would freeze
+  every other request. So:
+  - Each document gets ONE inflate budget (MAX_INFLATED_BYTES),
+    shared by every stream or ZIP entry in it. Once it's used up,
+    extraction stops and the document counts as having no text.
+  - Decoded streams aren't kept around (only fonts' character maps
+    are), and extraction stops once it has MAX_TEXT_CHARS of text.
+  - extractText() runs in a worker thread with its own memory limit,
+    and is stopped after EXTRACT_TIMEOUT_MS.
+*/
+
+const path = require("path");
+const zlib = require("zlib");
+const { Worker } = require("worker_threads");
+
+const MAX_TEXT_CHARS = 200000;
+const MAX_INFLATED_BYTES = 32 * 1024 * 1024;
+const EXTRACT_TIMEOUT_MS = Number(process.env.DOCUMENT_TEXT_TIMEOUT_MS) || 20000;
+const WORKER_MEMORY_MB = 256;
+
+const EXTRACTORS = {
+  "application/pdf": pdfText,
+  "application/vnd.openxmlformats-officedocument.presentationml.presentation": pptxText,
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document": docxText,
+  "text/csv": data => data.subarray(0, MAX_TEXT_CHARS * 4).toString("utf8"),
+};
+
+function canExtract(contentType) {
+  return !!EXTRACTORS[contentType];
+}
+
+/*
+  The document's text (tidied, capped at MAX_TEXT_CHARS), or null if
+  there is none. Resolves, never rejects: a worker that crashes, runs
+  out of memory or takes too long just means no text.
+*/
+function extractText(contentType, data) {
+  if (!canExtract(contentType)) return Promise.resolve(null);
+  return new Promise(resolve => {
+    const worker = new Worker(path.join(__dirname, "document-text-worker.js"), {
+      workerData: { contentType, data },
+      resourceLimits: { maxOldGenerationSizeMb: WORKER_MEMORY_MB },
+    });
+    let settled = false;
+    const finish = (text) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      resolve(typeof text === "string" ? text : null);
+    };
+    const timer = setTimeout(() => {
+      console.error(`[Documents] Gave up reading ${contentType} after ${EXTRACT_TIMEOUT_MS / 1000}s`);
+      finish(null);
+      worker.terminate();
+    }, EXTRACT_TIMEOUT_MS);
+    worker.once("message", finish);
+    worker.once("error", err => {
+      console.error(`[Documents] Could not read ${contentType}:`, err.message);
+      finish(null);
+    });
+    worker.once("exit", () => finish(null));
+  });
+}
+
+// The same, on the current thread (see document-text-worker.js)
+function extractTextSync(contentType, data) {
+  const extractor = EXTRACTORS[contentType];
+  if (!extractor) return null;
+  let text;
+  try {
+    text = extractor(data, { remaining: MAX_INFLATED_BYTES });
+  } catch (err) {
+    console.error(`[Documents] Could not read ${contentType}:`, err.message);
+    return null;
+  }
+  if (!text) return null;
+  const tidy = text
+    .replace(/\r\n?/g, "\n")
+    .replace(/[^\S\n]+/g, " ")
+    .replace(/ ?\n ?/g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+  return tidy ? tidy.slice(0, MAX_TEXT_CHARS) : null;
+}
+
+/*
+  Inflates one stream, counting what it produces against the
+  document's budget ({ remaining }). Throws once the budget is used
+  up, and marks it `exceeded` so callers that skip unreadable
+  streams know to stop instead.
+*/
+function inflate(buffer, budget, raw = false) {
+  const tooLarge = () => {
+    budget.exceeded = true;
+    return new Error(`The document inflates to more than ${MAX_INFLATED_BYTES / (1024 * 1024)} MB`);
+  };
+  if (budget.remaining <= 0) throw tooLarge();
+  const run = raw ? zlib.inflateRawSync : zlib.inflateSync;
+  const options = { maxOutputLength: budget.remaining };
+  let bytes;
+  try {
+    bytes = run(buffer, options);
+  } catch (err) {
+    if (err.code === "ERR_BUFFER_TOO_LARGE") throw tooLarge();
+    // Plenty of PDF writers leave streams slightly truncated; keep what decodes
+    try {
+      bytes = run(buffer, { ...options, finishFlush: zlib.constants.Z_SYNC_FLUSH });
+    } catch (retryErr) {
+      throw retryErr.code === "ERR_BUFFER_TOO_LARGE" ? tooLarge() : retryErr;
+    }
+  }
+  budget.remaining -= bytes.length;
+  return bytes;
+}
+
+/*
+  Gathers extracted text until there's MAX_TEXT_CHARS of it; after
+  that `full` is true and extractors stop reading.
+*/
+function textCollector() {
+  const parts = [];
+  let length = 0;
+  return {
+    push(text) {
+      if (length >= MAX_TEXT_CHARS) return;
+      parts.push(text);
+      length += text.length;
+    },
+    get full() { return length >= MAX_TEXT_CHARS; },
+    get empty() { return parts.length === 0; },
+    endsWith(suffix) { return parts.length > 0 && parts[parts.length - 1].endsWith(suffix); },
+    text() { return parts.join(""); },
+  };
+}
+
+// ===========================================================
+// OFFICE DOCUMENTS (.pptx, .docx)
+// ===========================================================
+
+/*
+  .pptx and .docx files are ZIP archives of XML files. This reads the
+  archive's central directory (at the end of the file) to find each
+  entry, then inflates just the ones we ask for.
+*/
+function readZip(data, budget) {
+  const endOfDirectory = data.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  if (endOfDirectory < 0) return new Map();
+  const count = data.readUInt16LE(endOfDirectory + 10);
+  let offset = data.readUInt32LE(endOfDirectory + 16);
+
+  const entries = new Map();
+  for (let i = 0; i < count && data.readUInt32LE(offset) === 0x02014b50; i++) {
+    const method = data.readUInt16LE(offset + 10);
+    const compressedSize = data.readUInt32LE(offset + 20);
+    const nameLength = data.readUInt16LE(offset + 28);
+    const extraLength = data.readUInt16LE(offset + 30);
+    const commentLength = data.readUInt16LE(offset + 32);
+    const localHeader = data.readUInt32LE(offset + 42);
+    const name = data.toString("utf8", offset + 46, offset + 46 + nameLength);
+    entries.set(name, () => {
+      const start = localHeader + 30 + data.readUInt16LE(localHeader + 26) + data.readUInt16LE(localHeader + 28);
+      const content = data.subarray(start, start + compressedSize);
+      return (method === 8 ? inflate(content, budget, true) : content).toString("utf8");
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+// The text of each <tag>...</tag> run, a line per paragraph
+function xmlParagraphs(xml, paragraphTag, textTag) {
+  return xml.split(`</${paragraphTag}>`).map(paragraph => {
+    const runs = [...paragraph.matchAll(new RegExp(`<${textTag}(?:\\s[^>]*)?>([^<]*)</${textTag}>`, "g"))];
+    return decodeXml(runs.map(run => run[1]).join(""));
+  }).filter(line => line.trim()).join("\n");
+}
+
+function decodeXml(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, "\"").replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+function pptxText(data, budget) {
+  const entries = readZip(data, budget);
+  const slides = [...entries.keys()]
+    .map(name => ({ name, number: Number((name.match(/^ppt\/slides\/slide(\d+)\.xml$/) || [])[1]) }))
+    .filter(slide => slide.number)
+    .sort((a, b) => a.number - b.number);
+  const out = textCollector();
+  for (const slide of slides) {
+    if (out.full) break;
+    if (!out.empty) out.push("\n\n");
+    out.push(xmlParagraphs(entries.get(slide.name)(), "a:p", "a:t"));
+  }
+  return out.text();
+}
+
+function docxText(data, budget) {
+  const document = readZip(data, budget).get("word/document.xml");
+  return document ? xmlParagraphs(document().replace(/<w:tab\/>/g, "<w:t>\t</w:t>"), "w:p", "w:t") : null;
+}
+
+// ===========================================================
+// PDF
+// ===========================================================
+
+/*
+  KEY CONCEPT: How a PDF holds its text
+
+  A PDF is a set of numbered objects ("12 0 obj << ... >> endobj").
+  The page tree lists the pages in order; each page points at its
+  content streams (usually zlib-compressed) and its fonts. A content
+  stream is a little program:
+
+    BT /F1 24 Tf 72 700 Td (Hello) Tj ET
+
+  "BT ... ET" is a block of text, Tf picks the font, Td moves, and
+  Tj/TJ show strings. Modern PDFs also pack objects into compressed
+  "object streams", which we unpack first.
+*/
+function pdfText(data, budget) {
+  const source = data.toString("latin1");
+  if (/\/Encrypt\s+\d+\s+\d+\s+R/.test(source)) return null;
+  const pdf = parsePdfObjects(source, budget);
+
+  const pages = pdfPages(pdf);
+  const fontCache = new Map();
+  const out = textCollector();
+  pages.forEach((page, i) => {
+    if (out.full) return;
+    if (i > 0) out.push("\n\n");
+    for (const ref of refList(page.dict, "Contents")) {
+      const stream = pdf.stream(ref);
+      if (stream) runContent(pdf, stream, page.resources, fontCache, out, 0);
+    }
+  });
+  return out.text();
+}
+
+function parsePdfObjects(source, budget) {
+  const objects = new Map(); // number -> { dict, stream (raw latin1 string) }
+  const objectPattern = /(\d+)\s+\d+\s+obj\b/g;
+  let match;
+  while ((match = objectPattern.exec(source))) {
+    const start = match.index + match[0].length;
+    let end = source.indexOf("endobj", start);
+    if (end < 0) break;
+    let dict = source.slice(start, end);
+    let stream = null;
+    const streamMatch = dict.match(/>>\s*stream(\r\n|\n)/);
+    if (streamMatch) {
+      dict = dict.slice(0, streamMatch.index + 2);
+      const dataStart = start + streamMatch.index + streamMatch[0].length;
+      // Trust a direct /Length if "endstream" is where it says; otherwise look for it
+      const length = dict.match(/\/Length\s+(\d+)(?![\d\s]*R)/);
+      let dataEnd = length ? dataStart + Number(length[1]) : -1;
+      if (dataEnd < 0 || !/^\s*endstream/.test(source.slice(dataEnd, dataEnd + 16))) {
+        dataEnd = source.indexOf("endstream", dataStart);
+      }
+      if (dataEnd < 0) break;
+      stream = source.slice(dataStart, dataEnd);
+      end = source.indexOf("endobj", dataEnd);
+      if (end < 0) end = source.length;
+    }
+    objects.set(Number(match[1]), { dict, stream });
+    objectPattern.lastIndex = end;
+  }
+
+  const pdf = {
+    get(ref) {
+      return objects.get(ref);
+    },
+    find(test) {
+      return [...objects.values()].find(object => test(object.dict));
+    },
+    /*
+      A stream's decoded bytes (as a latin1 string), or null if we can't
+      decode it. Decoded afresh each time -- callers keep what they need.
+    */
+    stream(ref) {
+      const object = objects.get(ref);
+      if (!object || object.stream === null) return null;
+      const filters = (object.dict.match(/\/Filter\s*(\[[^\]]*\]|\/\w+)/) || [, ""])[1].match(/\/\w+/g) || [];
+      if (!filters.every(f => f === "/FlateDecode")) return null;
+      try {
+        let bytes = Buffer.from(object.stream, "latin1");
+        for (let i = 0; i < filters.length; i++) bytes = inflate(bytes, budget);
+        return bytes.toString("latin1");
+      } catch (err) {
+        if (budget.exceeded) throw err;
+        return null;
+      }
+    },
+  };
+
+  // Unpack object streams: "num offset num offset ..." then the objects
+  for (const [ref, object] of [...objects]) {
+    if (!/\/Type\s*\/ObjStm\b/.test(object.dict)) continue;
+    const content = pdf.stream(ref);
+    const first = Number((object.dict.match(/\/First\s+(\d+)/) || [])[1]);
+    if (!content || !first) continue;
+    const header = content.slice(0, first).trim().split(/\s+/).map(Number);
+    for (let i = 0; i < header.length; i += 2) {
+      const from = first + header[i + 1];
+      const to = i + 3 < header.length ? first + header[i + 3] : content.length;
+      if (!objects.has(header[i])) objects.set(header[i], { dict: content.slice(from, to), stream: null });
+    }
+  }
+  return pdf;
+}
+
+// The pages in reading order, each with its (possibly inherited) resources
+function pdfPages(pdf) {
+  const pages = [];
+  const visited = new Set();
+  function walk(ref, inheritedResources) {
+    const node = pdf.get(ref);
+    if (!node || visited.has(ref)) return;
+    visited.add(ref);
+    const resources = resourcesOf(pdf, node.dict) || inheritedResources;
+    if (/\/Type\s*\/Pages\b/.test(node.dict)) {
+      for (const kid of refList(node.dict, "Kids")) walk(kid, resources);
+    } else if (/\/Type\s*\/Page\b/.test(node.dict)) {
+      pages.push({ dict: node.dict, resources });
+    }
+  }
+
+  const catalog = pdf.find(dict => /\/Type\s*\/Catalog\b/.test(dict));
+  const root = catalog ? refAfter(catalog.dict, "Pages") : null;
+  if (root !== null) walk(root, null);
+  return pages;
+}
+
+// The dictionary string a key points at, whether inline or a reference
+function dictValue(pdf, dict, key) {
+  const ref = refAfter(dict, key);
+  if (ref !== null) {
+    const object = pdf.get(ref);
+    return object ? object.dict : null;
+  }
+  const keyAt = dict.search(new RegExp(`/${key}\\s*<<`));
+  if (keyAt < 0) return null;
+  const open = dict.indexOf("<<", keyAt);
+  let depth = 0;
+  for (let i = open; i < dict.length - 1; i++) {
+    if (dict[i] === "<" && dict[i + 1] === "<") { depth++; i++; }
+    else if (dict[i] === ">" && dict[i + 1] === ">") {
+      depth--; i++;
+      if (depth === 0) return dict.slice(open, i + 1);
+    }
+  }
+  return null;
+}
+
+function resourcesOf(pdf, dict) {
+  return dictValue(pdf, dict, "Resources");
+}
+
+function refAfter(dict, key) {
+  const match = dict.match(new RegExp(`/${key}\\s+(\\d+)\\s+\\d+\\s+R`));
+  return match ? Number(match[1]) : null;
+}
+
+// "/Key 5 0 R" or "/Key [5 0 R 6 0 R]" -> [5] or [5, 6]
+function refList(dict, key) {
+  const match = dict.match(new RegExp(`/${key}\\s*(\\[[^\\]]*\\]|\\d+\\s+\\d+\\s+R)`));
+  if (!match) return [];
+  return [...match[1].matchAll(/(\d+)\s+\d+\s+R/g)].map(m => Number(m[1]));
+}
+
+// The names in a resource sub-dictionary: { F1: 12, F2: 15 }
+function namedRefs(pdf, resources, key) {
+  const dict = resources && dictValue(pdf, resources, key);
+  const refs = {};
+  if (dict) for (const m of dict.matchAll(/\/([^\s/<>[\]()]+)\s+(\d+)\s+\d+\s+R/g)) refs[m[1]] = Number(m[2]);
+  return refs;
+}
+
+/*
+  How to turn a font's character codes into text: its ToUnicode
+  map if it has one. Without one, single-byte fonts are read as
+  Latin-1 (close enough for most Western text), and multi-byte
+  (Type0) fonts can't be read at all.
+*/
+function fontDecoder(pdf, fontRef, cache) {
+  if (cache.has(fontRef)) return cache.get(fontRef);
+  const font = pdf.get(fontRef);
+  let decoder = bytes => bytes;
+  if (font) {
+    const cmapRef = refAfter(font.dict, "ToUnicode");
+    const cmap = cmapRef !== null ? pdf.stream(cmapRef) : null;
+    if (cmap) decoder = cmapDecoder(cmap);
+    else if (/\/Subtype\s*\/Type0\b/.test(font.dict)) decoder = () => "";
+  }
+  cache.set(fontRef, decoder);
+  return decoder;
+}
+
+function cmapDecoder(cmap) {
+  const map = new Map();
+  const utf16 = hex => {
+    const bytes = Buffer.from(hex.length % 2 ? hex + "0" : hex, "hex");
+    let text = "";
+    for (let i = 0; i + 1 < bytes.length; i += 2) text += String.fromCharCode(bytes.readUInt16BE(i));
+    return text;
+  };
+  const codespace = cmap.match(/begincodespacerange\s*<([0-9a-fA-F]+)>/);
+  const codeBytes = codespace ? codespace[1].length / 2 : 2;
+
+  for (const block of cmap.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+    for (const m of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g)) map.set(parseInt(m[1], 16), utf16(m[2]));
+  }
+  for (const block of cmap.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+    for (const m of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(<[0-9a-fA-F]*>|\[[^\]]*\])/g)) {
+      const low = parseInt(m[1], 16);
+      const high = Math.min(parseInt(m[2], 16), low + 0xffff);
+      if (m[3].startsWith("[")) {
+        [...m[3].matchAll(/<([0-9a-fA-F]*)>/g)].forEach((d, i) => map.set(low + i, utf16(d[1])));
+      } else {
+        const base = m[3].slice(1, -1);
+        const prefix = utf16(base.slice(0, -4));
+        const last = parseInt(base.slice(-4), 16);
+        for (let code = low; code <= high; code++) map.set(code, prefix + String.fromCharCode(last + code - low));
+      }
+    }
+  }
+
+  return bytes => {
+    let text = "";
+    for (let i = 0; i + codeBytes <= bytes.length; i += codeBytes) {
+      let code = 0;
+      for (let j = 0; j < codeBytes; j++) code = code * 256 + bytes.charCodeAt(i + j);
+      text += map.get(code) || "";
+    }
+    return text;
+  };
+}
+
+/*
+  Runs a content stream, appending the text it draws to `out` (a
+  textCollector) until that's full. Only the operators that show
+  text or move to a new line matter; the rest (drawing, colours...)
+  are skipped.
+*/
+function runContent(pdf, content, resources, fontCache, out, depth) {
+  const fonts = namedRefs(pdf, resources, "Font");
+  const xobjects = namedRefs(pdf, resources, "XObject");
+  let decode = bytes => bytes;
+  let lastY = null;
+  const operands = [];
+
+  const newline = () => { if (!out.empty && !out.endsWith("\n")) out.push("\n"); };
+  const show = bytes => out.push(decode(bytes));
+
+  for (const token of pdfTokens(content)) {
+    if (out.full) return;
+    if (token.type !== "op") { operands.push(token); continue; }
+    const args = operands.splice(0);
+    switch (token.value) {
+      case "Tf": {
+        const name = args.find(a => a.type === "name");
+        decode = name && fonts[name.value] !== undefined ? fontDecoder(pdf, fonts[name.value], fontCache) : (bytes => bytes);
+        break;
+      }
+      case "Tj": if (args[0] && args[0].type === "string") show(args[0].value); break;
+      case "'": case "\"": newline(); if (args.length && args[args.length - 1].type === "string") show(args[args.length - 1].value); break;
+      case "TJ":
+        for (const part of (args[0] && args[0].type === "array" ? args[0].value : [])) {
+          if (part.type === "string") show(part.value);
+          else if (part.type === "number" && part.value < -200) out.push(" ");
+        }
+        break;
+      case "Td": case "TD":
+        if (args[1] && args[1].value !== 0) newline();
+        else if (args[0] && args[0].value > 0) out.push(" ");
+        break;
+      case "Tm":
+        if (args[5] && args[5].value !== lastY) { newline(); lastY = args[5].value; }
+        else out.push(" ");
+        break;
+      case "T*": newline(); break;
+      case "ET": out.push(" "); break;
+      case "Do": {
+        const name = args.find(a => a.type === "name");
+        const ref = name ? xobjects[name.value] : undefined;
+        const form = ref !== undefined ? pdf.get(ref) : null;
+        if (form && depth < 5 && /\/Subtype\s*\/Form\b/.test(form.dict)) {
+          const stream = pdf.stream(ref);
+          if (stream) runContent(pdf, stream, resourcesOf(pdf, form.dict) || resources, fontCache, out, depth + 1);
+        }
+        break;
+      }
+    }
+  }
+}
+
+/*
+  Splits a content stream into operands (strings, numbers, names,
+  arrays) and operators. Strings are returned as raw byte strings;
+  the current font decides what characters they are.
+*/
+function* pdfTokens(content) {
+  let i = 0;
+  const stack = [];
+  const emit = token => {
+    if (stack.length) { stack[stack.length - 1].push(token); return null; }
+    return token;
+  };
+
+  while (i < content.length) {
+    const c = content[i];
+    let token = null;
+    if (/\s/.test(c)) { i++; continue; }
+    if (c === "%") { while (i < content.length && content[i] !== "\n" && content[i] !== "\r") i++; continue; }
+
+    if (c === "(") {
+      let depth = 1;
+      let value = "";
+      i++;
+      while (i < content.length && depth > 0) {
+        const ch = content[i++];
+        if (ch === "\\") {
+          const next = content[i++];
+          const escapes = { n: "\n", r: "\r", t: "\t", b: "\b", f: "\f" };
+          if (escapes[next]) value += escapes[next];
+          else if (/[0-7]/.test(next)) {
+            let octal = next;
+            while (octal.length < 3 && /[0-7]/.test(content[i])) octal += content[i++];
+            value += String.fromCharCode(parseInt(octal, 8) & 0xff);
+          } else if (next === "\r") { if (content[i] === "\n") i++; }
+          else if (next !== "\n") value += next;
+        } else if (ch === "(") { depth++; value += ch; }
+        else if (ch === ")") { depth--; if (depth > 0) value += ch; }
+        else value += ch;
+      }
+      token = emit({ type: "string", value });
+    } else if (c === "<" && content[i + 1] === "<") {
+      stack.push([]); i += 2; // dictionaries are only ever operands we ignore
+      continue;
+    } else if (c === ">" && content[i + 1] === ">") {
+      if (stack.length) stack.pop();
+      i += 2;
+      token = emit({ type: "dict" });
+    } else if (c === "<") {
+      const end = content.indexOf(">", i);
+      const hex = content.slice(i + 1, end < 0 ? content.length : end).replace(/[^0-9a-fA-F]/g, "");
+      i = end < 0 ? content.length : end + 1;
+      token = emit({ type: "string", value: Buffer.from(hex.length % 2 ? hex + "0" : hex, "hex").toString("latin1") });
+    } else if (c === "[") {
+      stack.push([]); i++;
+      continue;
+    } else if (c === "]") {
+      const value = stack.pop() || [];
+      i++;
+      token = emit({ type: "array", value });
+    } else if (c === "/") {
+      const m = content.slice(i + 1).match(/^[^\s/<>[\]()%{}]*/)[0];
+      i += 1 + m.length;
+      token = emit({ type: "name", value: m });
+    } else if (/[0-9+\-.]/.test(c)) {
+      const m = content.slice(i, i + 32).match(/^[+-]?(\d+\.?\d*|\.\d+)/);
+      const text = m ? m[0] : c;
+      i += text.length;
+      token = emit({ type: "number", value: Number(text) || 0 });
+    } else {
+      const m = content.slice(i, i + 16).match(/^[^\s/<>[\]()%{}]+/);
+      const word = m ? m[0] : c;
+      i += word.length;
+      // Inline images: skip the binary data between ID and EI
+      if (word === "ID") {
+        const end = content.slice(i).search(/\sEI(\s|$)/);
+        i = end < 0 ? content.length : i + end + 3;
+        continue;
+      }
+      token = stack.length ? null : { type: "op", value: word };
+    }
+    if (token) yield token;
+  }
+}
+
+module.exports = { MAX_TEXT_CHARS, MAX_INFLATED_BYTES, canExtract, extractText, extractTextSync };
@@ -0,0 +1,112 @@
+/*
+  DRAFT SUBMISSIONS
+  ==================
+
+  KEY CONCEPT: Save now, submit later
+
+  A founder's answers (problem, solution, traction...) can take an
+  hour to write. Drafts let the frontend autosave whatever is filled
+  in so far -- every few seconds if it likes -- without any of it
+  being required yet.
+
+  A draft is just the submission form as JSON, in the same shape
+  POST /api/submissions takes ({ companyName, oneLiner, ... }). It
+  lives in its own table, so the board, analytics, exports and the
+  AI never see it. Submitting checks the required fields, creates the
+  real submission and deletes the draft, in one transaction.
+
+  Every save returns a validation report -- the required fields still
+  missing -- so the form can show what's left to do.
+*/
+
+// The submission form's fields, in POST /api/submissions' shape
+const DRAFT_FIELDS = [
+  "companyName", "oneLiner", "industry", "stage", "teamSize", "website",
+  "problem", "solution", "traction", "lookingFor", "fundingTarget", "additionalNotes",
+];
+const REQUIRED_FIELDS = ["companyName", "oneLiner", "industry", "stage", "problem", "solution", "traction", "lookingFor"];
+
+/*
+  Checks the fields a client sent. Returns an error message, or null.
+  Values can be text (lookingFor can also be a list), or null to
+  clear a field. Unknown fields are an error, so a typo in the
+  frontend doesn't silently lose someone's answer.
+*/
+function invalidDraftFields(fields) {
+  if (!fields || typeof fields !== "object" || Array.isArray(fields)) return "Send the draft's fields as an object";
+  for (const [key, value] of Object.entries(fields)) {
+    if (!DRAFT_FIELDS.includes(key)) return `Unknown field "${key}"`;
+    if (value === null || typeof value === "string") continue;
+    if (key === "lookingFor" && Array.isArray(value) && value.every(v => typeof v === "string")) continue;
+    return `${key} must be text`;
+  }
+  return null;
+}
+
+// Required fields that are still empty
+function missingFields(data) {
+  return REQUIRED_FIELDS.filter(field => {
+    const value = data[field];
+    return Array.isArray(value) ? value.length === 0 : !(typeof value === "string" && value.trim());
+  });
+}
+
+function serializeDraft(row) {
+  const data = JSON.parse(row.data);
+  const missing = missingFields(data);
+  return {
+    id: row.id,
+    data,
+    missing,
+    complete: missing.length === 0,
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+  };
+}
+
+function getDraft(db, draftId, userId) {
+  const row = db.prepare("SELECT * FROM submission_drafts WHERE id = ? AND user_id = ?").get(draftId, userId);
+  return row ? serializeDraft(row) : null;
+}
+
+function listDrafts(db, userId) {
+  return db.prepare("SELECT * FROM submission_drafts WHERE user_id = ? ORDER BY updated_at DESC, id DESC")
+    .all(userId).map(serializeDraft);
+}
+
+function createDraft(db, userId, fields = {}) {
+  const data = mergeFields({}, fields);
+  const result = db.prepare("INSERT INTO submission_drafts (user_id, data) VALUES (?, ?)").run(userId, JSON.stringify(data));
+  return getDraft(db, result.lastInsertRowid, userId);
+}
+
+/*
+  Partial save: only the fields sent are changed, the rest of the
+  draft is kept. Returns the updated draft, or null if it isn't theirs.
+*/
+function updateDraft(db, draftId, userId, fields) {
+  const draft = getDraft(db, draftId, userId);
+  if (!draft) return null;
+  db.prepare("UPDATE submission_drafts SET data = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?")
+    .run(JSON.stringify(mergeFields(draft.data, fields)), draft.id);
+  return getDraft(db, draft.id, userId);
+}
+
+function deleteDraft(db, draftId, userId) {
+  return db.prepare("DELETE FROM submission_drafts WHERE id = ? AND user_id = ?").run(draftId, userId).changes > 0;
+}
+
+// null clears a field
+function mergeFields(data, fields) {
+  const merged = { ...data };
+  for (const [key, value] of Object.entries(fields)) {
+    if (value === null) delete merged[key];
+    else merged[key] = value;
+  }
+  return merged;
+}
+
+module.exports = {
+  DRAFT_FIELDS, REQUIRED_FIELDS, invalidDraftFields, missingFields,
+  getDraft, listDrafts, createDraft, updateDraft, deleteDraft,
+};
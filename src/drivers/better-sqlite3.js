@@ -0,0 +1,109 @@
+/*
+  BETTER-SQLITE3 DRIVER ("better-sqlite3")
+  ==========================================
+
+  better-sqlite3 is native SQLite. It reads and writes the database
+  file directly, so there's nothing to save -- every write is on disk
+  when run() returns -- and it doesn't hold the whole database in
+  memory. That makes it the better choice for large databases.
+
+  The catch is that it has to be compiled for your Node version, so
+  it isn't installed by default:
+
+    npm install better-sqlite3
+    DB_DRIVER=better-sqlite3 npm start
+
+  Use ":memory:" as the path for a throwaway database.
+*/
+
+const { writeFileAtomic } = require("../files");
+
+function loadBetterSqlite3() {
+  try {
+    return require("better-sqlite3");
+  } catch (err) {
+    if (err.code !== "MODULE_NOT_FOUND") throw err;
+    throw new Error('DB_DRIVER is "better-sqlite3" but it isn\'t installed. Run: npm install better-sqlite3');
+  }
+}
+
+// sql.js quietly turns true/false into 1/0; better-sqlite3 refuses
+// them, so do the same here
+function normalizeParams(params) {
+  return params.map(p => (typeof p === "boolean" ? Number(p) : p));
+}
+
+/*
+  Options:
+    filePath -- the database file, or ":memory:"
+    data     -- start from this database image (a Buffer) instead
+*/
+async function createBetterSqlite3Driver({ filePath, data = null } = {}) {
+  const Database = loadBetterSqlite3();
+  const inMemory = !filePath || filePath === ":memory:";
+  let db = data ? new Database(data) : new Database(inMemory ? ":memory:" : filePath);
+  const pragmas = new Map(); // re-applied when the connection is reopened
+
+  function applyPragmas() {
+    for (const [name, value] of pragmas) db.pragma(`${name} = ${value}`);
+  }
+
+  const driver = {
+    name: "better-sqlite3",
+    filePath: inMemory ? null : filePath,
+
+    run(sql, params = []) {
+      const stmt = db.prepare(sql);
+      // Statements that return rows (e.g. some PRAGMAs) can't use .run()
+      if (stmt.reader) {
+        stmt.all(...normalizeParams(params));
+        return { changes: 0, lastInsertRowid: 0 };
+      }
+      const { changes, lastInsertRowid } = stmt.run(...normalizeParams(params));
+      return { changes, lastInsertRowid: Number(lastInsertRowid) };
+    },
+
+    get(sql, params = []) {
+      return db.prepare(sql).get(...normalizeParams(params));
+    },
+
+    all(sql, params = []) {
+      return db.prepare(sql).all(...normalizeParams(params));
+    },
+
+    exec(sql) {
+      db.exec(sql);
+    },
+
+    pragma(str) {
+      const [name, value] = str.split("=").map(part => part.trim());
+      db.pragma(str);
+      if (value !== undefined) pragmas.set(name, value);
+    },
+
+    export() {
+      return db.serialize();
+    },
+
+    // Writes go straight to the file, so there's nothing to save
+    save: null,
+
+    replace(image) {
+      db.close();
+      if (driver.filePath) {
+        writeFileAtomic(driver.filePath, image);
+        db = new Database(driver.filePath);
+      } else {
+        db = new Database(image);
+      }
+      applyPragmas();
+    },
+
+    close() {
+      db.close();
+    },
+  };
+  return driver;
+}
+
+module.exports = { createBetterSqlite3Driver };
@@ -0,0 +1,50 @@
+/*
+  STORAGE DRIVERS
+  ================
+
+  KEY CONCEPT: One API, several engines
+
+  Routes only ever talk to the wrapper in database.js
+  (db.prepare(sql).get/all/run, db.transaction, ...). Underneath, a
+  driver does the actual SQLite work. Every driver has the same small
+  interface:
+
+    run(sql, params)  -> { changes, lastInsertRowid }
+    get(sql, params)  -> first row, or undefined
+    all(sql, params)  -> array of rows
+    exec(sql)         -> runs one or more statements
+    pragma(str)       -> sets a pragma and keeps it set
+    export()          -> the whole database as a Buffer
+    replace(buffer)   -> swaps the contents for another database image
+    save              -> function that writes to disk, or null if the
+                         driver doesn't need saving
+    close()
+
+  Drivers (chosen with DB_DRIVER):
+    sqljs           -- sql.js, saved to DB_PATH (the default)
+    memory          -- sql.js, never saved; for tests and scratch databases
+    better-sqlite3  -- native SQLite on DB_PATH (must be installed separately)
+*/
+
+const { createSqlJsDriver } = require("./sqljs");
+const { createBetterSqlite3Driver } = require("./better-sqlite3");
+
+const DRIVERS = {
+  sqljs: ({ filePath, data }) => createSqlJsDriver({ filePath, data }),
+  memory: ({ data }) => createSqlJsDriver({ data }),
+  "better-sqlite3": ({ filePath, data }) => createBetterSqlite3Driver({ filePath, data }),
+};
+
+/*
+  Usage:
+    const driver = await openDriver("sqljs", { filePath: "/var/data/partner.db" });
+    const scratch = await openDriver("memory", { data: snapshotBuffer });
+*/
+async function openDriver(name, options = {}) {
+  if (!DRIVERS[name]) {
+    throw new Error(`Unknown database driver "${name}". Available: ${Object.keys(DRIVERS).join(", ")}`);
+  }
+  return DRIVERS[name](options);
+}
+
+module.exports = { DRIVERS, openDriver };
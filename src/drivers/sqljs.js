@@ -0,0 +1,114 @@
+/*
+  SQL.JS DRIVER ("sqljs" and "memory")
+  ======================================
+
+  sql.js is SQLite compiled to WebAssembly. It doesn't need native
+  compilation, so it works on any Node version -- but it keeps the
+  whole database in memory. "Saving" means exporting it and writing
+  the file, which the wrapper in database.js does for us with
+  save() (debounced, so not after every insert).
+
+  Without a file path this is the "memory" driver: nothing is ever
+  written, and the data is gone when the process exits. Handy for
+  tests and throwaway databases.
+*/
+
+const fs = require("fs");
+const initSqlJs = require("sql.js");
+const { writeFileAtomic } = require("../files");
+
+// sql.js loads WebAssembly, so it's loaded once and shared
+let sqlJsPromise = null;
+function loadSqlJs() {
+  if (!sqlJsPromise) sqlJsPromise = initSqlJs();
+  return sqlJsPromise;
+}
+
+/*
+  Options:
+    filePath -- load from and save to this file (omit for memory only)
+    data     -- start from this database image (a Buffer) instead
+*/
+async function createSqlJsDriver({ filePath = null, data = null } = {}) {
+  const SQL = await loadSqlJs();
+  if (!data && filePath && fs.existsSync(filePath)) data = fs.readFileSync(filePath);
+  let sqlDb = new SQL.Database(data || undefined);
+  const pragmas = new Map(); // re-applied after every export
+
+  function applyPragmas() {
+    for (const [name, value] of pragmas) sqlDb.run(`PRAGMA ${name} = ${value}`);
+  }
+
+  function prepare(sql, params) {
+    const stmt = sqlDb.prepare(sql);
+    if (params.length > 0) stmt.bind(params);
+    return stmt;
+  }
+
+  const driver = {
+    name: filePath ? "sqljs" : "memory",
+    filePath,
+
+    run(sql, params = []) {
+      const stmt = prepare(sql, params);
+      stmt.step();
+      stmt.free();
+      const changes = sqlDb.getRowsModified();
+      const r = sqlDb.exec("SELECT last_insert_rowid() as id");
+      const lastInsertRowid = r.length > 0 ? r[0].values[0][0] : 0;
+      return { changes, lastInsertRowid };
+    },
+
+    get(sql, params = []) {
+      const stmt = prepare(sql, params);
+      const row = stmt.step() ? stmt.getAsObject() : undefined;
+      stmt.free();
+      return row;
+    },
+
+    all(sql, params = []) {
+      const results = [];
+      const stmt = prepare(sql, params);
+      while (stmt.step()) results.push(stmt.getAsObject());
+      stmt.free();
+      return results;
+    },
+
+    // One or more statements, no parameters
+    exec(sql) {
+      sqlDb.exec(sql);
+    },
+
+    pragma(str) {
+      const [name, value] = str.split("=").map(part => part.trim());
+      sqlDb.run(`PRAGMA ${str}`);
+      if (value !== undefined) pragmas.set(name, value);
+    },
+
+    // The whole database as a Buffer
+    export() {
+      const image = sqlDb.export();
+      // export() closes and reopens the database, which resets pragmas
+      applyPragmas();
+      return Buffer.from(image);
+    },
+
+    // Writes the file. Only the file-backed driver has this.
+    save: filePath ? () => writeFileAtomic(filePath, driver.export()) : null,
+
+    // Swaps the contents for another database image
+    replace(image) {
+      const next = new SQL.Database(image);
+      sqlDb.close();
+      sqlDb = next;
+      applyPragmas();
+    },
+
+    close() {
+      sqlDb.close();
+    },
+  };
+  return driver;
+}
+
+module.exports = { loadSqlJs, createSqlJsDriver };
@@ -187,6 +187,119 @@ function statusChangeEmail(founderName, companyName, newStatus) {
   };
 }
 
+// Founder: Confirm your email address after registering (expires in 24 hours)
+function verificationEmail(name, verifyToken) {
+  const verifyUrl = `${FRONTEND_URL}/verify-email?token=${encodeURIComponent(verifyToken)}`;
+  return {
+    subject: `Confirm your email for ${PLATFORM_NAME}`,
+    html: wrap(`
+      <h2 style="font-size: 20px; color: #0F1B3D; margin: 0 0 16px;">Confirm Your Email</h2>
+      <p style="font-size: 15px; color: #334155; line-height: 1.6; margin: 0 0 20px;">
+        Hi ${name},
+      </p>
+      <p style="font-size: 15px; color: #334155; line-height: 1.6; margin: 0 0 24px;">
+        Welcome to ${PLATFORM_NAME}! Please confirm this is your email address so you can submit your startup to the board.
+      </p>
+      <a href="${verifyUrl}" style="display: inline-block; padding: 12px 28px; background: linear-gradient(135deg, #0F1B3D, #2563EB); color: #FFF; text-decoration: none; border-radius: 10px; font-weight: 600; font-size: 14px;">
+        Confirm Email
+      </a>
+      <p style="font-size: 13px; color: #64748B; line-height: 1.6; margin: 24px 0 0;">
+        This link expires in 24 hours.
+      </p>
+    `),
+  };
+}
+
+// Invitee: Approved board invitation with a link to set up their account (expires in 7 days)
+function boardInvitationEmail(inviteeName, suggestedByName, inviteToken) {
+  const acceptUrl = `${FRONTEND_URL}/accept-invitation?token=${encodeURIComponent(inviteToken)}`;
+  return {
+    subject: `You're invited to join the ${PLATFORM_NAME} board`,
+    html: wrap(`
+      <h2 style="font-size: 20px; color: #0F1B3D; margin: 0 0 16px;">Board Invitation</h2>
+      <p style="font-size: 15px; color: #334155; line-height: 1.6; margin: 0 0 20px;">
+        Hi ${inviteeName},
+      </p>
+      <p style="font-size: 15px; color: #334155; line-height: 1.6; margin: 0 0 24px;">
+        ${suggestedByName ? `<strong>${suggestedByName}</strong> recommended you, and we'd` : "We'd"} love to have you on the
+        ${PLATFORM_NAME} board, reviewing and partnering with promising African startups.
+      </p>
+      <a href="${acceptUrl}" style="display: inline-block; padding: 12px 28px; background: linear-gradient(135deg, #0F1B3D, #2563EB); color: #FFF; text-decoration: none; border-radius: 10px; font-weight: 600; font-size: 14px;">
+        Accept Invitation
+      </a>
+      <p style="font-size: 13px; color: #64748B; line-height: 1.6; margin: 24px 0 0;">
+        This invitation expires in 7 days.
+      </p>
+    `),
+  };
+}
+
+// Any user: Forgotten password link (expires in 1 hour)
+function passwordResetEmail(name, resetToken) {
+  const resetUrl = `${FRONTEND_URL}/reset-password?token=${encodeURIComponent(resetToken)}`;
+  return {
+    subject: `Reset your ${PLATFORM_NAME} password`,
+    html: wrap(`
+      <h2 style="font-size: 20px; color: #0F1B3D; margin: 0 0 16px;">Password Reset</h2>
+      <p style="font-size: 15px; color: #334155; line-height: 1.6; margin: 0 0 20px;">
+        Hi ${name},
+      </p>
+      <p style="font-size: 15px; color: #334155; line-height: 1.6; margin: 0 0 24px;">
+        We received a request to reset your password. This link works once and expires in 1 hour.
+      </p>
+      <a href="${resetUrl}" style="display: inline-block; padding: 12px 28px; background: linear-gradient(135deg, #0F1B3D, #2563EB); color: #FFF; text-decoration: none; border-radius: 10px; font-weight: 600; font-size: 14px;">
+        Reset Password
+      </a>
+      <p style="font-size: 13px; color: #64748B; line-height: 1.6; margin: 24px 0 0;">
+        If you didn't ask for this, you can ignore this email -- your password won't change.
+      </p>
+    `),
+  };
+}
+
+// Board member: A new submission matches one of their saved searches
+function savedSearchMatchEmail(name, searchName, companyName, oneLiner) {
+  return {
+    subject: `New match for "${searchName}": ${companyName}`,
+    html: wrap(`
+      <h2 style="font-size: 20px; color: #0F1B3D; margin: 0 0 16px;">New Match</h2>
+      <p style="font-size: 15px; color: #334155; line-height: 1.6; margin: 0 0 20px;">
+        Hi ${name},
+      </p>
+      <p style="font-size: 15px; color: #334155; line-height: 1.6; margin: 0 0 16px;">
+        <strong>${companyName}</strong> just came in and matches your saved search <strong>${searchName}</strong>.
+      </p>
+      ${oneLiner ? `
+        <div style="background: #F0F5FF; border-left: 3px solid #2563EB; padding: 14px 18px; border-radius: 0 8px 8px 0; margin: 0 0 24px;">
+          <p style="font-size: 14px; color: #334155; margin: 0;">${oneLiner}</p>
+        </div>
+      ` : ''}
+      <a href="${FRONTEND_URL}" style="display: inline-block; padding: 12px 28px; background: linear-gradient(135deg, #0F1B3D, #2563EB); color: #FFF; text-decoration: none; border-radius: 10px; font-weight: 600; font-size: 14px;">
+        View Submission
+      </a>
+    `),
+  };
+}
+
+// Board member: Something happened on a submission they watch
+function watchlistEmail(name, companyName, message) {
+  return {
+    subject: `${companyName}: ${message}`,
+    html: wrap(`
+      <h2 style="font-size: 20px; color: #0F1B3D; margin: 0 0 16px;">Watchlist Update</h2>
+      <p style="font-size: 15px; color: #334155; line-height: 1.6; margin: 0 0 20px;">
+        Hi ${name},
+      </p>
+      <p style="font-size: 15px; color: #334155; line-height: 1.6; margin: 0 0 24px;">
+        News on <strong>${companyName}</strong>, which you're watching: ${message}.
+      </p>
+      <a href="${FRONTEND_URL}" style="display: inline-block; padding: 12px 28px; background: linear-gradient(135deg, #0F1B3D, #2563EB); color: #FFF; text-decoration: none; border-radius: 10px; font-weight: 600; font-size: 14px;">
+        View Submission
+      </a>
+    `),
+  };
+}
+
 module.exports = {
   isEnabled,
   sendEmail,
@@ -194,4 +307,9 @@ module.exports = {
   meetingRequestEmail,
   partnerResponseEmail,
   statusChangeEmail,
+  passwordResetEmail,
+  verificationEmail,
+  boardInvitationEmail,
+  savedSearchMatchEmail,
+  watchlistEmail,
 };
@@ -0,0 +1,27 @@
+/*
+  FILE HELPERS
+  =============
+
+  KEY CONCEPT: Atomic writes
+
+  Writing a file in place means a crash halfway through leaves half
+  a file behind. Instead we write a temp file next to it, fsync it,
+  and rename it over the original. Rename is atomic, so readers see
+  either the old file or the new one -- never a mix.
+*/
+
+const fs = require("fs");
+
+function writeFileAtomic(filePath, data) {
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  const fd = fs.openSync(tmpPath, "w");
+  try {
+    fs.writeSync(fd, data);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmpPath, filePath);
+}
+
+module.exports = { writeFileAtomic };
@@ -0,0 +1,91 @@
+/*
+  IMPERSONATION ("VIEW AS USER")
+  ================================
+
+  Lets an admin see the platform exactly as another user does --
+  same submissions, same notes, same partnerships -- to reproduce
+  problems like "I can't see the board's note".
+
+  KEY CONCEPT: A separate, narrower token
+
+  Starting impersonation gives the admin a second access token that
+  acts as the target user. It is:
+
+  - Read-only by default: only GET requests are allowed unless the
+    admin explicitly asked for write access when starting.
+  - Short-lived (30 minutes) and can't be refreshed.
+  - Tied to the admin's own session: if the admin logs out, every
+    impersonation they started stops working too.
+  - Never allowed near the target's credentials (password, 2FA,
+    sessions), even with write access.
+
+  Every start, stop and request is written to impersonation_events,
+  so there's always a record of who looked at what as whom.
+*/
+
+const jwt = require("jsonwebtoken");
+const { JWT_SECRET } = require("./auth");
+
+const IMPERSONATION_TTL_MINUTES = 30;
+
+/*
+  Starts impersonating. Returns { token, impersonation }.
+  Callers must already have checked that the admin is allowed to.
+*/
+function startImpersonation(db, admin, target, { reason, allowWrites = false }) {
+  const id = db.transaction(() => {
+    const result = db.prepare(`
+      INSERT INTO impersonations (admin_id, admin_session_id, target_user_id, reason, allow_writes, expires_at)
+      VALUES (?, ?, ?, ?, ?, datetime('now', ?))
+    `).run(admin.id, admin.sid, target.id, reason, allowWrites ? 1 : 0, `+${IMPERSONATION_TTL_MINUTES} minutes`);
+    recordEvent(db, result.lastInsertRowid, "start");
+    return result.lastInsertRowid;
+  })();
+
+  // sid is the ADMIN's session; imp marks this as an impersonation token
+  const token = jwt.sign(
+    { id: target.id, role: target.role, sid: admin.sid, imp: id },
+    JWT_SECRET,
+    { expiresIn: `${IMPERSONATION_TTL_MINUTES}m` }
+  );
+
+  return { token, impersonation: getImpersonation(db, id) };
+}
+
+// Ends an impersonation. Returns false if it had already ended.
+function stopImpersonation(db, id) {
+  return db.transaction(() => {
+    const result = db.prepare(
+      "UPDATE impersonations SET ended_at = CURRENT_TIMESTAMP WHERE id = ? AND ended_at IS NULL"
+    ).run(id);
+    if (result.changes === 0) return false;
+    recordEvent(db, id, "stop");
+    return true;
+  })();
+}
+
+// event is "start", "stop" or "request"
+function recordEvent(db, impersonationId, event, { method = null, path = null, statusCode = null } = {}) {
+  db.prepare(`
+    INSERT INTO impersonation_events (impersonation_id, event, method, path, status_code)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(impersonationId, event, method, path, statusCode);
+}
+
+function getImpersonation(db, id) {
+  return db.prepare(`
+    SELECT i.*, a.name as admin_name, t.name as target_name, t.email as target_email, t.role as target_role
+    FROM impersonations i
+    LEFT JOIN users a ON i.admin_id = a.id
+    LEFT JOIN users t ON i.target_user_id = t.id
+    WHERE i.id = ?
+  `).get(id);
+}
+
+module.exports = {
+  IMPERSONATION_TTL_MINUTES,
+  startImpersonation,
+  stopImpersonation,
+  recordEvent,
+  getImpersonation,
+};
@@ -0,0 +1,190 @@
+/*
+  SCHEMA MIGRATIONS
+  ==================
+
+  KEY CONCEPT: Numbered, recorded, all-or-nothing
+
+  Every change to the database schema is a file in src/migrations,
+  named with a number and a short description:
+
+    001_initial_schema.js
+    002_admin_role.js
+    ...
+
+  The schema_migrations table records which numbers have been
+  applied. On startup, every file whose number isn't recorded yet is
+  run in order, each inside its own transaction. If one fails, its
+  changes are rolled back and startup stops with the error -- better
+  than a server running against a half-migrated database.
+
+  Writing a migration:
+
+    module.exports = {
+      up(db) {
+        db.exec("CREATE TABLE ...");
+        if (!db.hasColumn("users", "nickname")) db.exec("ALTER TABLE users ADD COLUMN nickname TEXT");
+      },
+    };
+
+  Never edit a migration that has shipped -- add a new one instead.
+
+  up(db) gets the small helper below: the usual run/get/all plus a
+  few schema checks (hasColumn, hasTable, rebuildTable).
+
+  Migrations 001-014 describe the schema as it was built up before
+  this runner existed, so they check before changing anything:
+  older databases may already have some of them applied.
+*/
+
+const fs = require("fs");
+const path = require("path");
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+const FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.js$/;
+
+// The files in src/migrations, sorted by number
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(dir)
+    .map(file => ({ file, match: file.match(FILE_PATTERN) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => ({
+      version: Number(match[1]),
+      name: match[2],
+      file,
+      up: require(path.join(dir, file)).up,
+    }))
+    .sort((a, b) => a.version - b.version);
+
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Two migrations are numbered ${migrations[i].version}: ${migrations[i - 1].file} and ${migrations[i].file}`);
+    }
+  }
+  for (const migration of migrations) {
+    if (typeof migration.up !== "function") throw new Error(`Migration ${migration.file} has no up() function`);
+  }
+  return migrations;
+}
+
+// What a migration's up(db) receives
+function createMigrationContext(db) {
+  const context = {
+    // One or more statements, no parameters
+    exec(sql) { db.exec(sql); },
+    run(sql, ...params) { return db.prepare(sql).run(...params); },
+    get(sql, ...params) { return db.prepare(sql).get(...params); },
+    all(sql, ...params) { return db.prepare(sql).all(...params); },
+
+    hasTable(table) {
+      return !!context.get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?", table);
+    },
+    hasColumn(table, column) {
+      return context.all(`PRAGMA table_info(${table})`).some(col => col.name === column);
+    },
+    tableSql(table) {
+      const row = context.get("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?", table);
+      return row ? row.sql : null;
+    },
+
+    /*
+      SQLite can't change a column's constraints in place. This copies
+      the table into a new one built from transform(currentCreateSql),
+      then swaps it in under the original name. The column list must
+      stay the same.
+    */
+    rebuildTable(table, transform) {
+      const newSql = transform(context.tableSql(table))
+        .replace(new RegExp(`^CREATE TABLE\\s+"?${table}"?`, "i"), `CREATE TABLE ${table}_new`);
+      db.exec(newSql);
+      db.exec(`INSERT INTO ${table}_new SELECT * FROM ${table}`);
+      db.exec(`DROP TABLE ${table}`);
+      db.exec(`ALTER TABLE ${table}_new RENAME TO ${table}`);
+    },
+  };
+  return context;
+}
+
+function ensureMigrationsTable(driver) {
+  driver.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version     INTEGER PRIMARY KEY,
+      name        TEXT NOT NULL,
+      applied_at  DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+/*
+  Every migration with its state:
+    applied  -- recorded in schema_migrations
+    pending  -- file exists, not applied yet
+    unknown  -- recorded, but there's no file for it (the database
+                was migrated by a newer version of the code)
+*/
+function migrationStatus(db, migrations = loadMigrations()) {
+  ensureMigrationsTable(db.driver);
+  const applied = new Map(
+    db.prepare("SELECT version, name, applied_at FROM schema_migrations").all().map(row => [row.version, row])
+  );
+
+  const status = migrations.map(m => ({
+    version: m.version,
+    name: m.name,
+    status: applied.has(m.version) ? "applied" : "pending",
+    appliedAt: applied.has(m.version) ? applied.get(m.version).applied_at : null,
+  }));
+
+  const known = new Set(migrations.map(m => m.version));
+  for (const [version, row] of applied) {
+    if (!known.has(version)) status.push({ version, name: row.name, status: "unknown", appliedAt: row.applied_at });
+  }
+  return status.sort((a, b) => a.version - b.version);
+}
+
+/*
+  Applies every pending migration in order. Returns the ones applied.
+  Throws (after rolling back the failed one) if anything goes wrong.
+*/
+function runMigrations(db, { migrations = loadMigrations(), log = console.log } = {}) {
+  const { driver } = db;
+  const status = migrationStatus(db, migrations);
+
+  const unknown = status.filter(m => m.status === "unknown");
+  if (unknown.length > 0) {
+    throw new Error(
+      `Database has migrations this code doesn't know about (${unknown.map(m => m.version).join(", ")}). ` +
+      "Is it from a newer version of the app?"
+    );
+  }
+
+  const pending = migrations.filter(m => status.find(s => s.version === m.version).status === "pending");
+  if (pending.length === 0) return pending;
+
+  const context = createMigrationContext(db);
+  const foreignKeys = driver.get("PRAGMA foreign_keys").foreign_keys;
+
+  // Table rebuilds drop tables other tables point at; that's only
+  // safe with foreign keys off. It can't be changed inside a transaction.
+  driver.exec("PRAGMA foreign_keys = OFF");
+  try {
+    for (const migration of pending) {
+      const apply = db.transaction(() => {
+        migration.up(context);
+        db.prepare("INSERT INTO schema_migrations (version, name) VALUES (?, ?)").run(migration.version, migration.name);
+      });
+      try {
+        apply();
+      } catch (err) {
+        throw new Error(`Migration ${migration.file} failed: ${err.message}`, { cause: err });
+      }
+      db.flush(); // saving may re-apply the app's pragmas, so switch foreign keys off again
+      driver.exec("PRAGMA foreign_keys = OFF");
+      log(`Applied migration ${migration.file}`);
+    }
+  } finally {
+    driver.exec(`PRAGMA foreign_keys = ${foreignKeys ? "ON" : "OFF"}`);
+  }
+  return pending;
+}
+
+module.exports = { MIGRATIONS_DIR, loadMigrations, migrationStatus, runMigrations };
@@ -0,0 +1,127 @@
+/*
+  The tables the app started with.
+*/
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS users (
+        id          INTEGER PRIMARY KEY AUTOINCREMENT,
+        email       TEXT NOT NULL UNIQUE,
+        password    TEXT NOT NULL,
+        name        TEXT NOT NULL,
+        role        TEXT NOT NULL CHECK(role IN ('founder', 'board', 'admin')),
+        specialty   TEXT,
+        bio         TEXT,
+        linkedin    TEXT,
+        website     TEXT,
+        location    TEXT,
+        created_at  DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE TABLE IF NOT EXISTS submissions (
+        id              INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id         INTEGER NOT NULL REFERENCES users(id),
+        company_name    TEXT NOT NULL,
+        one_liner       TEXT NOT NULL,
+        industry        TEXT NOT NULL,
+        stage           TEXT NOT NULL,
+        team_size       TEXT,
+        website         TEXT,
+        problem         TEXT NOT NULL,
+        solution        TEXT NOT NULL,
+        traction        TEXT NOT NULL,
+        looking_for     TEXT NOT NULL,
+        funding_target  TEXT,
+        additional_notes TEXT,
+        status          TEXT NOT NULL DEFAULT 'new'
+                          CHECK(status IN ('new', 'under_review', 'more_info', 'approved', 'passed')),
+        rating          REAL,
+        ai_analysis     TEXT,
+        submitted_at    DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE TABLE IF NOT EXISTS board_notes (
+        id                INTEGER PRIMARY KEY AUTOINCREMENT,
+        submission_id     INTEGER NOT NULL REFERENCES submissions(id),
+        user_id           INTEGER NOT NULL REFERENCES users(id),
+        text              TEXT NOT NULL,
+        founder_visible   INTEGER NOT NULL DEFAULT 0,
+        created_at        DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE TABLE IF NOT EXISTS tagged_members (
+        id              INTEGER PRIMARY KEY AUTOINCREMENT,
+        submission_id   INTEGER NOT NULL REFERENCES submissions(id),
+        user_id         INTEGER NOT NULL REFERENCES users(id),
+        tagged_by       INTEGER NOT NULL REFERENCES users(id),
+        created_at      DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(submission_id, user_id)
+      );
+      CREATE TABLE IF NOT EXISTS chat_messages (
+        id              INTEGER PRIMARY KEY AUTOINCREMENT,
+        submission_id   INTEGER NOT NULL REFERENCES submissions(id),
+        user_id         INTEGER NOT NULL REFERENCES users(id),
+        text            TEXT NOT NULL,
+        created_at      DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE TABLE IF NOT EXISTS notification_prefs (
+        id              INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id         INTEGER NOT NULL REFERENCES users(id),
+        notif_type      TEXT NOT NULL,
+        enabled         INTEGER NOT NULL DEFAULT 1,
+        UNIQUE(user_id, notif_type)
+      );
+      CREATE TABLE IF NOT EXISTS partnerships (
+        id              INTEGER PRIMARY KEY AUTOINCREMENT,
+        submission_id   INTEGER NOT NULL REFERENCES submissions(id),
+        user_id         INTEGER NOT NULL REFERENCES users(id),
+        status          TEXT NOT NULL DEFAULT 'pending'
+                          CHECK(status IN ('pending', 'accepted', 'declined')),
+        created_at      DATETIME DEFAULT CURRENT_TIMESTAMP,
+        responded_at    DATETIME,
+        UNIQUE(submission_id, user_id)
+      );
+      CREATE TABLE IF NOT EXISTS meeting_requests (
+        id              INTEGER PRIMARY KEY AUTOINCREMENT,
+        submission_id   INTEGER NOT NULL REFERENCES submissions(id),
+        user_id         INTEGER NOT NULL REFERENCES users(id),
+        message         TEXT,
+        created_at      DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE TABLE IF NOT EXISTS partnership_messages (
+        id              INTEGER PRIMARY KEY AUTOINCREMENT,
+        submission_id   INTEGER NOT NULL REFERENCES submissions(id),
+        user_id         INTEGER NOT NULL REFERENCES users(id),
+        text            TEXT NOT NULL,
+        created_at      DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE TABLE IF NOT EXISTS shared_links (
+        id              INTEGER PRIMARY KEY AUTOINCREMENT,
+        submission_id   INTEGER NOT NULL REFERENCES submissions(id),
+        user_id         INTEGER NOT NULL REFERENCES users(id),
+        url             TEXT NOT NULL,
+        title           TEXT,
+        created_at      DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE TABLE IF NOT EXISTS platform_settings (
+        key             TEXT PRIMARY KEY,
+        value           TEXT NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS admin_messages (
+        id              INTEGER PRIMARY KEY AUTOINCREMENT,
+        from_user_id    INTEGER NOT NULL REFERENCES users(id),
+        to_user_id      INTEGER NOT NULL REFERENCES users(id),
+        text            TEXT NOT NULL,
+        created_at      DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE TABLE IF NOT EXISTS board_invitations (
+        id              INTEGER PRIMARY KEY AUTOINCREMENT,
+        suggested_by    INTEGER NOT NULL REFERENCES users(id),
+        name            TEXT NOT NULL,
+        email           TEXT NOT NULL,
+        reason          TEXT,
+        status          TEXT NOT NULL DEFAULT 'pending'
+                          CHECK(status IN ('pending', 'approved', 'declined')),
+        created_at      DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+  },
+};
@@ -0,0 +1,29 @@
+/*
+  Adds the admin role. Databases from before it existed have a
+  CHECK constraint that only allows 'founder' and 'board', so the
+  users table is rebuilt with 'admin' allowed, and an admin account
+  is created for them. New databases get their admin from the seed.
+*/
+
+const bcrypt = require("bcryptjs");
+
+module.exports = {
+  up(db) {
+    const usersSql = db.tableSql("users");
+    if (/CHECK\s*\(\s*role\s+IN/i.test(usersSql) && !/'admin'/.test(usersSql)) {
+      db.rebuildTable("users", sql => sql.replace(
+        /CHECK\s*\(\s*role\s+IN\s*\([^)]*\)\s*\)/i,
+        "CHECK(role IN ('founder', 'board', 'admin'))"
+      ));
+    }
+
+    const hasUsers = db.get("SELECT COUNT(*) as count FROM users").count > 0;
+    const adminExists = db.get("SELECT id FROM users WHERE email = 'admin@partner.io'");
+    if (hasUsers && !adminExists) {
+      db.run(
+        "INSERT INTO users (email, password, name, role, bio) VALUES (?, ?, ?, 'admin', 'Platform Administrator')",
+        "admin@partner.io", bcrypt.hashSync("Demo1234!", 10), "Ben Swartz"
+      );
+    }
+  },
+};
@@ -0,0 +1,11 @@
+/*
+  Stores the AI analysis of each submission (see ai-analysis.js).
+*/
+
+module.exports = {
+  up(db) {
+    if (!db.hasColumn("submissions", "ai_analysis")) {
+      db.exec("ALTER TABLE submissions ADD COLUMN ai_analysis TEXT");
+    }
+  },
+};
@@ -0,0 +1,22 @@
+/*
+  Default platform settings. INSERT OR IGNORE keeps any value an
+  admin has already changed.
+*/
+
+const DEFAULTS = {
+  platform_name: "Partner",
+  fee_tier_1_rate: "3.0",
+  fee_tier_1_max: "5000000",
+  fee_tier_2_rate: "2.0",
+  fee_tier_2_max: "20000000",
+  fee_tier_3_rate: "1.5",
+  max_partners_per_submission: "3",
+};
+
+module.exports = {
+  up(db) {
+    for (const [key, value] of Object.entries(DEFAULTS)) {
+      db.run("INSERT OR IGNORE INTO platform_settings (key, value) VALUES (?, ?)", key, value);
+    }
+  },
+};
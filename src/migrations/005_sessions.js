@@ -0,0 +1,24 @@
+/*
+  Refresh-token sessions, so logins can be listed and revoked
+  (see sessions.js).
+*/
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS sessions (
+        id                   INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id              INTEGER NOT NULL REFERENCES users(id),
+        refresh_token_hash   TEXT NOT NULL UNIQUE,
+        previous_token_hash  TEXT,
+        user_agent           TEXT,
+        ip_address           TEXT,
+        created_at           DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_used_at         DATETIME,
+        expires_at           DATETIME NOT NULL,
+        revoked_at           DATETIME
+      );
+      CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id);
+    `);
+  },
+};
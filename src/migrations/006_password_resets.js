@@ -0,0 +1,18 @@
+/*
+  One-time password reset tokens (stored hashed).
+*/
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS password_resets (
+        id              INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id         INTEGER NOT NULL REFERENCES users(id),
+        token_hash      TEXT NOT NULL UNIQUE,
+        expires_at      DATETIME NOT NULL,
+        used_at         DATETIME,
+        created_at      DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+  },
+};
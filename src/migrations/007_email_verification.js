@@ -0,0 +1,13 @@
+/*
+  Email verification for self-registered founders. Accounts that
+  existed before verification was introduced are trusted as-is.
+*/
+
+module.exports = {
+  up(db) {
+    if (!db.hasColumn("users", "verified_at")) {
+      db.exec("ALTER TABLE users ADD COLUMN verified_at DATETIME");
+      db.exec("UPDATE users SET verified_at = COALESCE(created_at, CURRENT_TIMESTAMP)");
+    }
+  },
+};
@@ -0,0 +1,28 @@
+/*
+  Optional TOTP two-factor login with recovery codes (see totp.js),
+  and the setting that makes it mandatory for board and admin.
+*/
+
+module.exports = {
+  up(db) {
+    if (!db.hasColumn("users", "totp_secret")) {
+      db.exec(`
+        ALTER TABLE users ADD COLUMN totp_secret TEXT;
+        ALTER TABLE users ADD COLUMN totp_enabled_at DATETIME;
+        ALTER TABLE users ADD COLUMN totp_last_step INTEGER;
+      `);
+    }
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS recovery_codes (
+        id              INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id         INTEGER NOT NULL REFERENCES users(id),
+        code_hash       TEXT NOT NULL,
+        used_at         DATETIME,
+        created_at      DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    db.run("INSERT OR IGNORE INTO platform_settings (key, value) VALUES (?, ?)", "require_2fa", "false");
+  },
+};
@@ -0,0 +1,18 @@
+/*
+  Tracks approved board invitations through to acceptance, for the
+  signed accept link.
+*/
+
+module.exports = {
+  up(db) {
+    if (!db.hasColumn("board_invitations", "accepted_user_id")) {
+      db.exec(`
+        ALTER TABLE board_invitations ADD COLUMN approved_by INTEGER REFERENCES users(id);
+        ALTER TABLE board_invitations ADD COLUMN invited_at DATETIME;
+        ALTER TABLE board_invitations ADD COLUMN expires_at DATETIME;
+        ALTER TABLE board_invitations ADD COLUMN accepted_at DATETIME;
+        ALTER TABLE board_invitations ADD COLUMN accepted_user_id INTEGER REFERENCES users(id);
+      `);
+    }
+  },
+};
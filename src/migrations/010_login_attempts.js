@@ -0,0 +1,22 @@
+/*
+  Login history, for the admin security view and brute-force
+  investigation.
+*/
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS login_attempts (
+        id              INTEGER PRIMARY KEY AUTOINCREMENT,
+        email           TEXT NOT NULL,
+        user_id         INTEGER REFERENCES users(id),
+        ip_address      TEXT,
+        user_agent      TEXT,
+        success         INTEGER NOT NULL,
+        reason          TEXT,
+        created_at      DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS idx_login_attempts_created ON login_attempts(created_at);
+    `);
+  },
+};
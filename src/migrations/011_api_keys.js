@@ -0,0 +1,22 @@
+/*
+  Hashed, scoped API keys for scripts and integrations.
+*/
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id              INTEGER PRIMARY KEY AUTOINCREMENT,
+        name            TEXT NOT NULL,
+        key_prefix      TEXT NOT NULL,
+        key_hash        TEXT NOT NULL UNIQUE,
+        scopes          TEXT NOT NULL,
+        created_by      INTEGER NOT NULL REFERENCES users(id),
+        created_at      DATETIME DEFAULT CURRENT_TIMESTAMP,
+        expires_at      DATETIME,
+        last_used_at    DATETIME,
+        revoked_at      DATETIME
+      );
+    `);
+  },
+};
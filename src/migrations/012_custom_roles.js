@@ -0,0 +1,22 @@
+/*
+  Custom roles (see permissions.js). users.role can now hold any
+  role name, so its CHECK constraint is dropped.
+*/
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS roles (
+        name            TEXT PRIMARY KEY,
+        description     TEXT,
+        capabilities    TEXT NOT NULL DEFAULT '',
+        created_by      INTEGER REFERENCES users(id),
+        created_at      DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    if (/CHECK\s*\(\s*role\s+IN/i.test(db.tableSql("users"))) {
+      db.rebuildTable("users", sql => sql.replace(/CHECK\s*\(\s*role\s+IN\s*\([^)]*\)\s*\)/i, ""));
+    }
+  },
+};
@@ -0,0 +1,31 @@
+/*
+  Admin impersonation and its audit trail (see impersonation.js).
+*/
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS impersonations (
+        id              INTEGER PRIMARY KEY AUTOINCREMENT,
+        admin_id        INTEGER NOT NULL REFERENCES users(id),
+        admin_session_id INTEGER NOT NULL REFERENCES sessions(id),
+        target_user_id  INTEGER NOT NULL REFERENCES users(id),
+        reason          TEXT NOT NULL,
+        allow_writes    INTEGER NOT NULL DEFAULT 0,
+        started_at      DATETIME DEFAULT CURRENT_TIMESTAMP,
+        expires_at      DATETIME NOT NULL,
+        ended_at        DATETIME
+      );
+      CREATE TABLE IF NOT EXISTS impersonation_events (
+        id              INTEGER PRIMARY KEY AUTOINCREMENT,
+        impersonation_id INTEGER NOT NULL REFERENCES impersonations(id),
+        event           TEXT NOT NULL CHECK(event IN ('start', 'stop', 'request')),
+        method          TEXT,
+        path            TEXT,
+        status_code     INTEGER,
+        created_at      DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS idx_impersonation_events_imp ON impersonation_events(impersonation_id);
+    `);
+  },
+};
@@ -0,0 +1,26 @@
+/*
+  POPIA erasure requests, and a marker on users who have been
+  anonymised (see privacy.js).
+*/
+
+module.exports = {
+  up(db) {
+    if (!db.hasColumn("users", "erased_at")) {
+      db.exec("ALTER TABLE users ADD COLUMN erased_at DATETIME");
+    }
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS erasure_requests (
+        id              INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id         INTEGER NOT NULL REFERENCES users(id),
+        reason          TEXT,
+        status          TEXT NOT NULL DEFAULT 'pending'
+                          CHECK(status IN ('pending', 'cancelled', 'rejected', 'completed')),
+        requested_at    DATETIME DEFAULT CURRENT_TIMESTAMP,
+        reviewed_by     INTEGER REFERENCES users(id),
+        reviewed_at     DATETIME,
+        review_note     TEXT
+      );
+    `);
+  },
+};
@@ -0,0 +1,15 @@
+/*
+  Soft deletion: removed users and archived submissions are marked
+  with deleted_at instead of being deleted (see deletion.js).
+*/
+
+module.exports = {
+  up(db) {
+    if (!db.hasColumn("users", "deleted_at")) {
+      db.exec("ALTER TABLE users ADD COLUMN deleted_at DATETIME");
+    }
+    if (!db.hasColumn("submissions", "deleted_at")) {
+      db.exec("ALTER TABLE submissions ADD COLUMN deleted_at DATETIME");
+    }
+  },
+};
@@ -0,0 +1,15 @@
+/*
+  Indexes for the submission list: its related rows are looked up a
+  page at a time by submission_id, and it sorts by submitted_at.
+*/
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_submissions_submitted ON submissions(submitted_at);
+      CREATE INDEX IF NOT EXISTS idx_board_notes_submission ON board_notes(submission_id);
+      CREATE INDEX IF NOT EXISTS idx_tagged_members_submission ON tagged_members(submission_id);
+      CREATE INDEX IF NOT EXISTS idx_chat_messages_submission ON chat_messages(submission_id);
+    `);
+  },
+};
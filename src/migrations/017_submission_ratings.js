@@ -0,0 +1,32 @@
+/*
+  One rating per board member per submission (see ratings.js).
+
+  Before this, submissions.rating was a single score that each rater
+  overwrote, and nobody recorded who gave it. Those scores are carried
+  over as ratings with no user_id, so existing averages don't change;
+  submissions.rating becomes the cached average from here on.
+*/
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS submission_ratings (
+        id              INTEGER PRIMARY KEY AUTOINCREMENT,
+        submission_id   INTEGER NOT NULL REFERENCES submissions(id),
+        user_id         INTEGER REFERENCES users(id),
+        rating          REAL NOT NULL CHECK(rating >= 1 AND rating <= 5),
+        comment         TEXT,
+        created_at      DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at      DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(submission_id, user_id)
+      );
+      CREATE INDEX IF NOT EXISTS idx_submission_ratings_user ON submission_ratings(user_id);
+
+      INSERT INTO submission_ratings (submission_id, user_id, rating, created_at, updated_at)
+      SELECT id, NULL, rating, submitted_at, submitted_at
+      FROM submissions
+      WHERE rating BETWEEN 1 AND 5
+        AND id NOT IN (SELECT submission_id FROM submission_ratings);
+    `);
+  },
+};
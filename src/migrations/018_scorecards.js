@@ -0,0 +1,66 @@
+/*
+  Weighted scorecards (see scorecards.js): admin-defined criteria per
+  industry and stage, and each board member's 1-5 score on each.
+
+  Starts with a general rubric that applies to every submission, plus
+  one criterion per industry taken from the AI screening's
+  industry context. Admins can reweight, edit or retire any of them.
+*/
+
+const DEFAULT_CRITERIA = [
+  // [name, description, industry, weight]
+  ["Team", "Founder-market fit, relevant experience and ability to execute.", null, 3],
+  ["Market", "Size of the African market opportunity and how fast it's growing.", null, 2],
+  ["Traction", "Customers, revenue and growth relative to stage.", null, 2],
+  ["Product", "How well the solution solves the problem, and how defensible it is.", null, 2],
+  ["Business model", "Unit economics, pricing for local budgets and path to profitability.", null, 1],
+  ["Regulatory status", "FSCA/SARB position, sandbox participation and cross-border licensing.", "FinTech", 2],
+  ["Clinical validation", "Clinical evidence, SAHPRA approval and POPIA health data compliance.", "HealthTech", 2],
+  ["Energy impact", "Load shedding relevance, grid vs off-grid fit and carbon credit potential.", "CleanTech", 1],
+  ["Access", "Works offline and on low-end devices; SETA/NSFAS funding fit.", "EdTech", 1],
+  ["Infrastructure fit", "Handles informal addressing, port and border delays, last-mile security.", "Logistics & Supply Chain", 1],
+  ["Local fit", "ZAR pricing, POPIA hosting and integrations with Sage, Xero and Pastel.", "SaaS", 1],
+  ["Data advantage", "Proprietary African datasets and genuine ML expertise, not an API wrapper.", "AI & Machine Learning", 2],
+  ["Farmer economics", "Clear smallholder or commercial focus, input financing and climate resilience.", "AgriTech", 1],
+  ["Compliance demand", "Rides POPIA and SARB compliance demand; automation for the skills shortage.", "CyberSecurity", 1],
+];
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS scorecard_criteria (
+        id              INTEGER PRIMARY KEY AUTOINCREMENT,
+        name            TEXT NOT NULL,
+        description     TEXT,
+        industry        TEXT,
+        stage           TEXT,
+        weight          REAL NOT NULL DEFAULT 1 CHECK(weight > 0),
+        position        INTEGER NOT NULL DEFAULT 0,
+        created_by      INTEGER REFERENCES users(id),
+        created_at      DATETIME DEFAULT CURRENT_TIMESTAMP,
+        archived_at     DATETIME
+      );
+      CREATE TABLE IF NOT EXISTS scorecard_scores (
+        id              INTEGER PRIMARY KEY AUTOINCREMENT,
+        submission_id   INTEGER NOT NULL REFERENCES submissions(id),
+        user_id         INTEGER NOT NULL REFERENCES users(id),
+        criterion_id    INTEGER NOT NULL REFERENCES scorecard_criteria(id),
+        score           INTEGER NOT NULL CHECK(score >= 1 AND score <= 5),
+        comment         TEXT,
+        updated_at      DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(submission_id, user_id, criterion_id)
+      );
+      CREATE INDEX IF NOT EXISTS idx_scorecard_scores_user ON scorecard_scores(user_id);
+      CREATE INDEX IF NOT EXISTS idx_scorecard_scores_criterion ON scorecard_scores(criterion_id);
+    `);
+
+    if (db.get("SELECT COUNT(*) as count FROM scorecard_criteria").count === 0) {
+      DEFAULT_CRITERIA.forEach(([name, description, industry, weight], i) => {
+        db.run(
+          "INSERT INTO scorecard_criteria (name, description, industry, weight, position) VALUES (?, ?, ?, ?, ?)",
+          name, description, industry, weight, i
+        );
+      });
+    }
+  },
+};
@@ -0,0 +1,39 @@
+/*
+  Revision history for submissions (see revisions.js): one row per
+  edit with the before/after of each changed field, plus how far each
+  board member has read.
+
+  Revisions are immutable -- a trigger refuses any UPDATE. They're
+  only ever deleted along with their submission (purge).
+*/
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS submission_revisions (
+        id              INTEGER PRIMARY KEY AUTOINCREMENT,
+        submission_id   INTEGER NOT NULL REFERENCES submissions(id),
+        revision        INTEGER NOT NULL,
+        user_id         INTEGER REFERENCES users(id),
+        changes         TEXT NOT NULL,
+        created_at      DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(submission_id, revision)
+      );
+      CREATE TRIGGER IF NOT EXISTS submission_revisions_immutable
+      BEFORE UPDATE ON submission_revisions
+      BEGIN
+        SELECT RAISE(ABORT, 'submission revisions are immutable');
+      END;
+
+      CREATE TABLE IF NOT EXISTS submission_views (
+        id              INTEGER PRIMARY KEY AUTOINCREMENT,
+        submission_id   INTEGER NOT NULL REFERENCES submissions(id),
+        user_id         INTEGER NOT NULL REFERENCES users(id),
+        revision        INTEGER NOT NULL DEFAULT 0,
+        viewed_at       DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(submission_id, user_id)
+      );
+      CREATE INDEX IF NOT EXISTS idx_submission_views_user ON submission_views(user_id);
+    `);
+  },
+};
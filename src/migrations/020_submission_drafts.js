@@ -0,0 +1,20 @@
+/*
+  Draft submissions (see drafts.js). Kept apart from submissions until
+  the founder submits, so a half-written draft can never show up on
+  the board, in analytics or in exports.
+*/
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS submission_drafts (
+        id              INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id         INTEGER NOT NULL REFERENCES users(id),
+        data            TEXT NOT NULL DEFAULT '{}',
+        created_at      DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at      DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS idx_submission_drafts_user ON submission_drafts(user_id);
+    `);
+  },
+};
@@ -0,0 +1,27 @@
+/*
+  Uploaded files on submissions and in the partnership workspace
+  (see attachments.js). Only metadata lives here; the bytes are in
+  file storage under storage_key.
+*/
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS attachments (
+        id              INTEGER PRIMARY KEY AUTOINCREMENT,
+        submission_id   INTEGER NOT NULL REFERENCES submissions(id),
+        user_id         INTEGER REFERENCES users(id),
+        scope           TEXT NOT NULL CHECK (scope IN ('submission', 'partnership')),
+        kind            TEXT NOT NULL DEFAULT 'other',
+        filename        TEXT NOT NULL,
+        content_type    TEXT NOT NULL,
+        size            INTEGER NOT NULL,
+        storage_key     TEXT NOT NULL UNIQUE,
+        sha256          TEXT NOT NULL,
+        created_at      DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS idx_attachments_submission ON attachments(submission_id);
+      CREATE INDEX IF NOT EXISTS idx_attachments_user ON attachments(user_id);
+    `);
+  },
+};
@@ -0,0 +1,13 @@
+/*
+  Caches the text extracted from each attachment (see
+  document-text.js), so it's only pulled out of a file once.
+  NULL = not extracted yet; '' = the file has no readable text.
+*/
+
+module.exports = {
+  up(db) {
+    if (!db.hasColumn("attachments", "extracted_text")) {
+      db.exec("ALTER TABLE attachments ADD COLUMN extracted_text TEXT");
+    }
+  },
+};
@@ -0,0 +1,81 @@
+/*
+  The full-text search index (see search.js), kept in sync with
+  submissions, board notes and chat messages by triggers, and filled
+  from what's already there.
+
+  FTS4 rather than FTS5: the sql.js build doesn't include FTS5.
+*/
+
+// Everything searchable about a submission besides its name, one field per line
+const SUBMISSION_FIELDS = [
+  "one_liner", "industry", "stage", "problem", "solution", "traction",
+  "looking_for", "funding_target", "additional_notes",
+];
+const body = (row) => SUBMISSION_FIELDS.map(f => `COALESCE(${row}.${f}, '')`).join(" || char(10) || ");
+
+// The analysis is JSON text; only its summary is indexed
+const summary = (row) => `CASE WHEN json_valid(${row}.ai_analysis) THEN json_extract(${row}.ai_analysis, '$.summary') END`;
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS search_index USING fts4(
+        title, body, submission_id,
+        notindexed=submission_id, tokenize=unicode61 "remove_diacritics=2"
+      );
+
+      CREATE TRIGGER IF NOT EXISTS search_submissions_insert AFTER INSERT ON submissions BEGIN
+        INSERT INTO search_index (docid, title, body, submission_id) VALUES (new.id * 4, new.company_name, ${body("new")}, new.id);
+        INSERT INTO search_index (docid, title, body, submission_id)
+          SELECT new.id * 4 + 1, NULL, ${summary("new")}, new.id WHERE ${summary("new")} IS NOT NULL;
+      END;
+      CREATE TRIGGER IF NOT EXISTS search_submissions_update
+      AFTER UPDATE OF company_name, ${SUBMISSION_FIELDS.join(", ")} ON submissions BEGIN
+        DELETE FROM search_index WHERE docid = old.id * 4;
+        INSERT INTO search_index (docid, title, body, submission_id) VALUES (new.id * 4, new.company_name, ${body("new")}, new.id);
+      END;
+      CREATE TRIGGER IF NOT EXISTS search_analysis_update AFTER UPDATE OF ai_analysis ON submissions BEGIN
+        DELETE FROM search_index WHERE docid = old.id * 4 + 1;
+        INSERT INTO search_index (docid, title, body, submission_id)
+          SELECT new.id * 4 + 1, NULL, ${summary("new")}, new.id WHERE ${summary("new")} IS NOT NULL;
+      END;
+      CREATE TRIGGER IF NOT EXISTS search_submissions_delete AFTER DELETE ON submissions BEGIN
+        DELETE FROM search_index WHERE docid IN (old.id * 4, old.id * 4 + 1);
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS search_notes_insert AFTER INSERT ON board_notes BEGIN
+        INSERT INTO search_index (docid, title, body, submission_id) VALUES (new.id * 4 + 2, NULL, new.text, new.submission_id);
+      END;
+      CREATE TRIGGER IF NOT EXISTS search_notes_update AFTER UPDATE OF text, submission_id ON board_notes BEGIN
+        DELETE FROM search_index WHERE docid = old.id * 4 + 2;
+        INSERT INTO search_index (docid, title, body, submission_id) VALUES (new.id * 4 + 2, NULL, new.text, new.submission_id);
+      END;
+      CREATE TRIGGER IF NOT EXISTS search_notes_delete AFTER DELETE ON board_notes BEGIN
+        DELETE FROM search_index WHERE docid = old.id * 4 + 2;
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS search_chat_insert AFTER INSERT ON chat_messages BEGIN
+        INSERT INTO search_index (docid, title, body, submission_id) VALUES (new.id * 4 + 3, NULL, new.text, new.submission_id);
+      END;
+      CREATE TRIGGER IF NOT EXISTS search_chat_update AFTER UPDATE OF text, submission_id ON chat_messages BEGIN
+        DELETE FROM search_index WHERE docid = old.id * 4 + 3;
+        INSERT INTO search_index (docid, title, body, submission_id) VALUES (new.id * 4 + 3, NULL, new.text, new.submission_id);
+      END;
+      CREATE TRIGGER IF NOT EXISTS search_chat_delete AFTER DELETE ON chat_messages BEGIN
+        DELETE FROM search_index WHERE docid = old.id * 4 + 3;
+      END;
+    `);
+
+    db.exec(`
+      DELETE FROM search_index;
+      INSERT INTO search_index (docid, title, body, submission_id)
+        SELECT s.id * 4, s.company_name, ${body("s")}, s.id FROM submissions s;
+      INSERT INTO search_index (docid, title, body, submission_id)
+        SELECT s.id * 4 + 1, NULL, ${summary("s")}, s.id FROM submissions s WHERE ${summary("s")} IS NOT NULL;
+      INSERT INTO search_index (docid, title, body, submission_id)
+        SELECT id * 4 + 2, NULL, text, submission_id FROM board_notes;
+      INSERT INTO search_index (docid, title, body, submission_id)
+        SELECT id * 4 + 3, NULL, text, submission_id FROM chat_messages;
+    `);
+  },
+};
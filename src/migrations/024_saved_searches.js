@@ -0,0 +1,48 @@
+/*
+  Saved searches, watched submissions and in-app notifications (see
+  alerts.js).
+
+  A saved search alerts its owner once per submission: the partial
+  unique index lets the matcher run as often as it likes.
+*/
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS saved_searches (
+        id              INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id         INTEGER NOT NULL REFERENCES users(id),
+        name            TEXT NOT NULL,
+        filters         TEXT NOT NULL DEFAULT '{}',
+        email_alerts    INTEGER NOT NULL DEFAULT 1,
+        created_at      DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at      DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(user_id, name)
+      );
+
+      CREATE TABLE IF NOT EXISTS watched_submissions (
+        id              INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id         INTEGER NOT NULL REFERENCES users(id),
+        submission_id   INTEGER NOT NULL REFERENCES submissions(id),
+        email_alerts    INTEGER NOT NULL DEFAULT 1,
+        created_at      DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(user_id, submission_id)
+      );
+      CREATE INDEX IF NOT EXISTS idx_watched_submissions_submission ON watched_submissions(submission_id);
+
+      CREATE TABLE IF NOT EXISTS notifications (
+        id              INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id         INTEGER NOT NULL REFERENCES users(id),
+        type            TEXT NOT NULL,
+        submission_id   INTEGER REFERENCES submissions(id),
+        saved_search_id INTEGER REFERENCES saved_searches(id),
+        message         TEXT NOT NULL,
+        read_at         DATETIME,
+        created_at      DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications(user_id, read_at);
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_notifications_saved_search_match
+        ON notifications(saved_search_id, submission_id) WHERE saved_search_id IS NOT NULL;
+    `);
+  },
+};
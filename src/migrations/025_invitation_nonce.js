@@ -0,0 +1,14 @@
+/*
+  A random value per approved invitation, carried in the accept link
+  and replaced on every re-approval, so only the newest link works.
+  Links sent before this have no nonce and stop working; approving
+  the invitation again sends a new one.
+*/
+
+module.exports = {
+  up(db) {
+    if (!db.hasColumn("board_invitations", "invite_nonce")) {
+      db.exec("ALTER TABLE board_invitations ADD COLUMN invite_nonce TEXT");
+    }
+  },
+};
@@ -0,0 +1,108 @@
+/*
+  PERMISSIONS (CAPABILITY-BASED ACCESS CONTROL)
+  ===============================================
+
+  KEY CONCEPT: Capabilities instead of role checks
+
+  Routes don't ask "is this user a board member?". They ask "can this
+  user do X?" -- e.g. submission.read_all or export.run. Each role is
+  just a named bundle of capabilities:
+
+    founder -> submission.create, submission.manage_own
+    board   -> submission.read_all, note.write_internal, ...
+    admin   -> "*" (everything)
+
+  This is what lets admins create new roles ("observer", "analyst",
+  "program manager") without touching route code: a custom role is a
+  row in the roles table listing the capabilities it grants.
+
+  Ownership is still checked in the routes themselves. For example
+  submission.manage_own lets a founder edit submissions, but the route
+  still checks that the submission is theirs.
+*/
+
+// Every capability a role can be given, with a description for the admin UI
+const CAPABILITIES = {
+  "submission.create": "Submit startups to the board",
+  "submission.manage_own": "Edit and withdraw your own submissions, and respond to partner requests",
+  "submission.read_all": "See every submission, not just your own",
+  "submission.update_status": "Move submissions through the review pipeline",
+  "submission.rate": "Rate submissions",
+  "submission.analyze": "Re-run the AI analysis on a submission",
+  "submission.tag": "Tag board members on submissions",
+  "submission.archive": "Archive and un-archive any submission",
+  "note.read_internal": "Read board-only notes",
+  "note.write_internal": "Write board notes",
+  "discussion.participate": "Join the board discussion on any submission",
+  "partnership.request": "Request to partner with a startup",
+  "meeting.request": "Request meetings with founders",
+  "analytics.view": "View the board analytics dashboard",
+  "board.directory": "See full board member profiles",
+  "board.suggest": "Suggest new board members",
+  "board.message_admin": "Message the platform admin",
+  "user.manage": "Create, edit and remove users, and manage their sessions",
+  "data.purge": "Permanently delete removed users and archived submissions",
+  "role.manage": "Create custom roles and assign roles to users",
+  "scorecard.manage": "Define scorecard criteria and their weights",
+  "user.impersonate": "View the platform as another user (audited)",
+  "privacy.manage": "Review personal data erasure requests",
+  "invitation.manage": "Approve or decline board invitations",
+  "message.users": "Message any user as the platform admin",
+  "platform.analytics": "View platform-wide analytics",
+  "settings.manage": "Change platform settings",
+  "export.run": "Download CSV exports",
+  "security.manage": "View login attempts and unlock accounts",
+  "apikey.manage": "Create and revoke API keys",
+  "backup.manage": "Take, download and restore database snapshots",
+};
+
+// "*" means every capability, including ones added in future
+const BUILT_IN_ROLES = {
+  founder: ["submission.create", "submission.manage_own"],
+  board: [
+    "submission.read_all", "submission.update_status", "submission.rate", "submission.analyze",
+    "submission.tag", "note.read_internal", "note.write_internal", "discussion.participate",
+    "partnership.request", "meeting.request", "analytics.view", "board.directory",
+    "board.suggest", "board.message_admin",
+  ],
+  admin: ["*"],
+};
+
+/*
+  Returns the capabilities granted by a role as a Set.
+  Built-in roles come from the map above, custom roles from the
+  roles table. Unknown roles get nothing.
+*/
+function capabilitiesFor(db, role) {
+  if (BUILT_IN_ROLES[role]) return new Set(BUILT_IN_ROLES[role]);
+
+  const custom = db.prepare("SELECT capabilities FROM roles WHERE name = ?").get(role);
+  if (!custom || !custom.capabilities) return new Set();
+  return new Set(custom.capabilities.split(","));
+}
+
+// user.capabilities is set by requireAuth
+function hasCapability(user, capability) {
+  const caps = user && user.capabilities;
+  return !!caps && (caps.has("*") || caps.has(capability));
+}
+
+/*
+  MIDDLEWARE: requireCapability
+
+  Returns 403 Forbidden unless the user's role grants the capability.
+  Must be used AFTER requireAuth.
+
+  Usage:
+    router.get("/analytics", requireAuth, requireCapability("analytics.view"), handler);
+*/
+function requireCapability(capability) {
+  return (req, res, next) => {
+    if (!hasCapability(req.user, capability)) {
+      return res.status(403).json({ error: `Access restricted (requires ${capability})` });
+    }
+    next();
+  };
+}
+
+module.exports = { CAPABILITIES, BUILT_IN_ROLES, capabilitiesFor, hasCapability, requireCapability };
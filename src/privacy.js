@@ -0,0 +1,221 @@
+/*
+  PERSONAL DATA EXPORT & ERASURE (POPIA)
+  ========================================
+
+  POPIA gives every data subject the right to see the personal
+  information we hold about them, and to have it deleted.
+
+  KEY CONCEPT: Anonymise, don't delete
+
+  A user's rows are woven through the whole database -- their notes
+  sit on other people's submissions, their messages are part of
+  other people's conversations. Deleting the user row would leave
+  those pointing at nothing (or force us to delete other people's
+  history too). Instead we keep the rows and strip everything that
+  identifies the person:
+
+  - The users row keeps its id but loses its name, email, password,
+    profile and 2FA secret. It shows up as "Former member".
+  - Free-text they wrote to other people (chat, partnership and admin
+    messages, shared links) is replaced with a placeholder. Comments on
+    their ratings and scorecards are cleared; the scores themselves stay.
+  - Recovery codes, reset tokens, notification preferences,
+    unsubmitted drafts, saved searches, watchlists and notifications
+    are deleted outright -- nobody else needs them.
+    Sessions and any API keys they created are revoked.
+  - Login history keeps its timestamps (for security stats) but loses
+    the email, IP address and browser.
+
+  KEY CONCEPT: What erasure keeps
+
+  Submissions are kept whole: the current text, its revision history
+  (see revisions.js), the uploaded files and the text extracted from
+  them for the AI analysis. So are board notes. Together they're the
+  board's record of a company it assessed and the decisions it made,
+  and POPIA (section 14(1)(b)) lets a record be kept for as long as
+  it's reasonably needed for that purpose. What identifies the person
+  goes -- name, email, profile, messages to people -- and the record
+  now just points at "Former member".
+
+  Revisions are never redacted: they can't be updated (a trigger
+  stops it) so the board can always see what a founder actually
+  claimed, and when. If a company's material has to go as well,
+  remove the user and purge them (see deletion.js): that deletes
+  their submissions, with every revision and file.
+*/
+
+const bcrypt = require("bcryptjs");
+const { generateToken } = require("./tokens");
+
+const EXPORT_FORMAT = "partner-data-export/v1";
+const ERASED_NAME = "Former member";
+const REMOVED_TEXT = "[removed at the author's request]";
+
+/*
+  SQL for a user's name as everyone else sees it. Removed users (see
+  deletion.js) keep their real name on the row for admins, but their
+  notes and messages show "Former member", the same as erased users.
+  `alias` is the users table alias in the query.
+*/
+function displayName(alias) {
+  return `CASE WHEN ${alias}.deleted_at IS NOT NULL THEN '${ERASED_NAME}' ELSE ${alias}.name END`;
+}
+
+/*
+  Everything we hold about one user, as plain JSON. Secrets (password
+  hash, 2FA secret, token hashes) are left out -- they aren't useful
+  to the user and would only be a risk if the file leaked.
+*/
+function buildDataExport(db, userId) {
+  const profile = db.prepare(`
+    SELECT id, email, name, role, specialty, bio, linkedin, website, location,
+           verified_at, totp_enabled_at, created_at
+    FROM users WHERE id = ?
+  `).get(userId);
+  if (!profile) return null;
+
+  const all = (sql) => db.prepare(sql).all(userId);
+
+  return {
+    format: EXPORT_FORMAT,
+    exportedAt: new Date().toISOString(),
+    profile,
+    submissions: all("SELECT * FROM submissions WHERE user_id = ? ORDER BY submitted_at"),
+    drafts: all("SELECT id, data, created_at, updated_at FROM submission_drafts WHERE user_id = ? ORDER BY created_at")
+      .map(row => ({ ...row, data: JSON.parse(row.data) })),
+    submissionRevisions: all(`
+      SELECT r.submission_id, s.company_name, r.revision, r.changes, r.created_at
+      FROM submission_revisions r JOIN submissions s ON r.submission_id = s.id
+      WHERE r.user_id = ? ORDER BY r.submission_id, r.revision
+    `).map(row => ({ ...row, changes: JSON.parse(row.changes) })),
+    notes: all(`
+      SELECT bn.id, bn.submission_id, s.company_name, bn.text, bn.founder_visible, bn.created_at
+      FROM board_notes bn JOIN submissions s ON bn.submission_id = s.id
+      WHERE bn.user_id = ? ORDER BY bn.created_at
+    `),
+    chatMessages: all(`
+      SELECT cm.id, cm.submission_id, s.company_name, cm.text, cm.created_at
+      FROM chat_messages cm JOIN submissions s ON cm.submission_id = s.id
+      WHERE cm.user_id = ? ORDER BY cm.created_at
+    `),
+    partnershipMessages: all(`
+      SELECT pm.id, pm.submission_id, s.company_name, pm.text, pm.created_at
+      FROM partnership_messages pm JOIN submissions s ON pm.submission_id = s.id
+      WHERE pm.user_id = ? ORDER BY pm.created_at
+    `),
+    partnerships: all(`
+      SELECT p.id, p.submission_id, s.company_name, p.status, p.created_at, p.responded_at
+      FROM partnerships p JOIN submissions s ON p.submission_id = s.id
+      WHERE p.user_id = ? ORDER BY p.created_at
+    `),
+    // Made by them (board) or about their startups (founders)
+    meetingRequests: db.prepare(`
+      SELECT mr.id, mr.submission_id, s.company_name, mr.message, mr.created_at, u.name as requested_by,
+             CASE WHEN mr.user_id = ? THEN 'sent' ELSE 'received' END as direction
+      FROM meeting_requests mr
+      JOIN submissions s ON mr.submission_id = s.id
+      LEFT JOIN users u ON mr.user_id = u.id
+      WHERE mr.user_id = ? OR s.user_id = ?
+      ORDER BY mr.created_at
+    `).all(userId, userId, userId),
+    ratings: all(`
+      SELECT r.submission_id, s.company_name, r.rating, r.comment, r.created_at, r.updated_at
+      FROM submission_ratings r JOIN submissions s ON r.submission_id = s.id
+      WHERE r.user_id = ? ORDER BY r.created_at
+    `),
+    scorecardScores: all(`
+      SELECT sc.submission_id, s.company_name, c.name as criterion, sc.score, sc.comment, sc.updated_at
+      FROM scorecard_scores sc
+      JOIN submissions s ON sc.submission_id = s.id
+      JOIN scorecard_criteria c ON sc.criterion_id = c.id
+      WHERE sc.user_id = ? ORDER BY sc.updated_at
+    `),
+    // The files themselves can be downloaded as usual
+    attachments: all(`
+      SELECT a.id, a.submission_id, s.company_name, a.scope, a.kind, a.filename, a.content_type, a.size, a.created_at
+      FROM attachments a JOIN submissions s ON a.submission_id = s.id
+      WHERE a.user_id = ? ORDER BY a.created_at
+    `),
+    sharedLinks: all("SELECT id, submission_id, url, title, created_at FROM shared_links WHERE user_id = ? ORDER BY created_at"),
+    adminMessages: db.prepare(`
+      SELECT am.id, am.text, am.created_at, ${displayName("f")} as from_name, ${displayName("t")} as to_name,
+             CASE WHEN am.from_user_id = ? THEN 'sent' ELSE 'received' END as direction
+      FROM admin_messages am
+      LEFT JOIN users f ON am.from_user_id = f.id
+      LEFT JOIN users t ON am.to_user_id = t.id
+      WHERE am.from_user_id = ? OR am.to_user_id = ?
+      ORDER BY am.created_at
+    `).all(userId, userId, userId),
+    boardSuggestions: all("SELECT id, name, email, reason, status, created_at FROM board_invitations WHERE suggested_by = ? ORDER BY created_at"),
+    notificationPreferences: all("SELECT notif_type, enabled FROM notification_prefs WHERE user_id = ?"),
+    savedSearches: all("SELECT id, name, filters, email_alerts, created_at, updated_at FROM saved_searches WHERE user_id = ? ORDER BY created_at")
+      .map(row => ({ ...row, filters: JSON.parse(row.filters) })),
+    watchlist: all(`
+      SELECT w.submission_id, s.company_name, w.email_alerts, w.created_at
+      FROM watched_submissions w JOIN submissions s ON w.submission_id = s.id
+      WHERE w.user_id = ? ORDER BY w.created_at
+    `),
+    notifications: all("SELECT id, type, submission_id, message, read_at, created_at FROM notifications WHERE user_id = ? ORDER BY created_at"),
+    sessions: all("SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at, revoked_at FROM sessions WHERE user_id = ? ORDER BY created_at"),
+    loginHistory: all("SELECT ip_address, user_agent, success, reason, created_at FROM login_attempts WHERE user_id = ? ORDER BY created_at"),
+  };
+}
+
+/*
+  Anonymises a user everywhere (see the top of this file). Runs as
+  one transaction so a half-erased user can't be left behind.
+*/
+function anonymiseUser(db, userId) {
+  const user = db.prepare("SELECT id, email FROM users WHERE id = ?").get(userId);
+  if (!user) return false;
+
+  const erase = db.transaction(() => {
+    // Nobody knows this password, so the account can never be logged into again
+    const unusablePassword = bcrypt.hashSync(generateToken(), 10);
+
+    db.prepare(`
+      UPDATE users SET
+        email = ?, name = ?, password = ?,
+        specialty = NULL, bio = NULL, linkedin = NULL, website = NULL, location = NULL,
+        verified_at = NULL, totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL,
+        erased_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(`erased-${user.id}@erased.invalid`, ERASED_NAME, unusablePassword, user.id);
+
+    db.prepare("UPDATE chat_messages SET text = ? WHERE user_id = ?").run(REMOVED_TEXT, user.id);
+    db.prepare("UPDATE partnership_messages SET text = ? WHERE user_id = ?").run(REMOVED_TEXT, user.id);
+    db.prepare("UPDATE admin_messages SET text = ? WHERE from_user_id = ? OR to_user_id = ?").run(REMOVED_TEXT, user.id, user.id);
+    db.prepare("UPDATE meeting_requests SET message = NULL WHERE user_id = ?").run(user.id);
+    db.prepare("UPDATE submission_ratings SET comment = NULL WHERE user_id = ?").run(user.id);
+    db.prepare("UPDATE scorecard_scores SET comment = NULL WHERE user_id = ?").run(user.id);
+    db.prepare("UPDATE shared_links SET url = '', title = ? WHERE user_id = ?").run(REMOVED_TEXT, user.id);
+
+    // Their own details on the invitation that brought them in
+    db.prepare("UPDATE board_invitations SET name = ?, email = ? WHERE accepted_user_id = ? OR email = ?")
+      .run(ERASED_NAME, `erased-${user.id}@erased.invalid`, user.id, user.email);
+
+    db.prepare("UPDATE login_attempts SET email = '', ip_address = NULL, user_agent = NULL WHERE user_id = ? OR email = ?")
+      .run(user.id, user.email);
+
+    // Sessions may be referenced by the impersonation audit trail, so
+    // they're revoked and scrubbed rather than deleted
+    db.prepare(`
+      UPDATE sessions SET revoked_at = COALESCE(revoked_at, CURRENT_TIMESTAMP),
+        refresh_token_hash = 'erased-' || id, previous_token_hash = NULL, ip_address = NULL, user_agent = NULL
+      WHERE user_id = ?
+    `).run(user.id);
+    db.prepare("DELETE FROM recovery_codes WHERE user_id = ?").run(user.id);
+    db.prepare("DELETE FROM password_resets WHERE user_id = ?").run(user.id);
+    db.prepare("DELETE FROM notification_prefs WHERE user_id = ?").run(user.id);
+    db.prepare("DELETE FROM submission_drafts WHERE user_id = ?").run(user.id);
+    db.prepare("DELETE FROM notifications WHERE user_id = ?").run(user.id);
+    db.prepare("DELETE FROM watched_submissions WHERE user_id = ?").run(user.id);
+    db.prepare("DELETE FROM saved_searches WHERE user_id = ?").run(user.id);
+    db.prepare("UPDATE api_keys SET revoked_at = COALESCE(revoked_at, CURRENT_TIMESTAMP) WHERE created_by = ?").run(user.id);
+  });
+
+  erase();
+  return true;
+}
+
+module.exports = { EXPORT_FORMAT, ERASED_NAME, displayName, buildDataExport, anonymiseUser };
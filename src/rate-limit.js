@@ -0,0 +1,149 @@
+/*
+  RATE LIMITING & ACCOUNT LOCKOUT
+  =================================
+
+  Two layers of brute-force protection for the auth endpoints:
+
+  1. Per-IP rate limiting -- "no more than N requests per window from
+     one address". Stops a single machine hammering /auth/login.
+
+  2. Per-account lockout -- after repeated wrong passwords for the
+     same email, that account is locked for a while, and each further
+     failure doubles the lock (1 min, 2 min, 4 min ... up to 1 hour).
+     This catches attacks spread across many IPs.
+
+  KEY CONCEPT: Pluggable store
+
+  Both layers keep their counters in a "store" with a tiny sync API
+  (get / set / delete / entries). createMemoryStore() keeps them in a
+  Map, which is all a single server needs. Running several servers
+  behind a load balancer would need a shared store (e.g. Redis)
+  implementing the same methods.
+*/
+
+/*
+  In-memory store. Entries expire on their own; a background sweep
+  removes stale ones so the Map doesn't grow forever.
+*/
+function createMemoryStore({ sweepIntervalMs = 60 * 1000 } = {}) {
+  const entries = new Map(); // key -> { value, expiresAt }
+
+  const isLive = (entry) => entry && entry.expiresAt > Date.now();
+
+  const sweep = setInterval(() => {
+    for (const [key, entry] of entries) {
+      if (!isLive(entry)) entries.delete(key);
+    }
+  }, sweepIntervalMs);
+  sweep.unref(); // don't keep the process alive just for this
+
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      return isLive(entry) ? entry.value : undefined;
+    },
+    set(key, value, ttlMs) {
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    },
+    delete(key) {
+      entries.delete(key);
+    },
+    // [key, value] pairs for live entries whose key starts with prefix
+    entries(prefix = "") {
+      return [...entries].filter(([key, entry]) => key.startsWith(prefix) && isLive(entry))
+        .map(([key, entry]) => [key, entry.value]);
+    },
+  };
+}
+
+/*
+  MIDDLEWARE FACTORY: rateLimit
+
+  Usage:
+    const loginLimiter = rateLimit({ store, prefix: "login", windowMs: 15 * 60 * 1000, max: 20 });
+    router.post("/auth/login", loginLimiter, handler);
+
+  Sets the standard RateLimit-* headers, and Retry-After on a 429.
+*/
+function rateLimit({ store, prefix, windowMs, max, message = "Too many requests, please try again later" }) {
+  return (req, res, next) => {
+    const key = `ratelimit:${prefix}:${req.ip}`;
+    const now = Date.now();
+
+    let bucket = store.get(key);
+    if (!bucket) bucket = { count: 0, resetAt: now + windowMs };
+    bucket.count += 1;
+    store.set(key, bucket, bucket.resetAt - now);
+
+    const retryAfter = Math.ceil((bucket.resetAt - now) / 1000);
+    res.set("RateLimit-Limit", String(max));
+    res.set("RateLimit-Remaining", String(Math.max(0, max - bucket.count)));
+    res.set("RateLimit-Reset", String(retryAfter));
+
+    if (bucket.count > max) {
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({ error: message });
+    }
+    next();
+  };
+}
+
+/*
+  Per-account lockout with exponential backoff.
+
+  Usage:
+    const lockout = createLockout({ store });
+    lockout.status(email)         -> { locked, retryAfter, failures }
+    lockout.recordFailure(email)  -> same shape, after counting this failure
+    lockout.reset(email)          -> call on successful login
+    lockout.list()                -> every account with recent failures
+*/
+function createLockout({
+  store,
+  threshold = 5,                 // failures before the first lock
+  baseLockMs = 60 * 1000,        // first lock: 1 minute
+  maxLockMs = 60 * 60 * 1000,    // never lock for more than 1 hour
+  memoryMs = 24 * 60 * 60 * 1000, // failures are forgotten after a quiet day
+} = {}) {
+  const keyFor = (account) => `lockout:${String(account).toLowerCase()}`;
+
+  function describe(account, state) {
+    const now = Date.now();
+    const locked = !!state && state.lockedUntil > now;
+    return {
+      account: String(account).toLowerCase(),
+      failures: state ? state.failures : 0,
+      locked,
+      lockedUntil: locked ? new Date(state.lockedUntil).toISOString() : null,
+      retryAfter: locked ? Math.ceil((state.lockedUntil - now) / 1000) : 0,
+    };
+  }
+
+  return {
+    status(account) {
+      return describe(account, store.get(keyFor(account)));
+    },
+
+    recordFailure(account) {
+      const key = keyFor(account);
+      const state = store.get(key) || { failures: 0, lockedUntil: 0 };
+      state.failures += 1;
+      if (state.failures >= threshold) {
+        const lockMs = Math.min(baseLockMs * 2 ** (state.failures - threshold), maxLockMs);
+        state.lockedUntil = Date.now() + lockMs;
+      }
+      store.set(key, state, memoryMs);
+      return describe(account, state);
+    },
+
+    reset(account) {
+      store.delete(keyFor(account));
+    },
+
+    list() {
+      return store.entries("lockout:").map(([key, state]) => describe(key.slice("lockout:".length), state));
+    },
+  };
+}
+
+module.exports = { createMemoryStore, rateLimit, createLockout };
@@ -0,0 +1,112 @@
+/*
+  SUBMISSION RATINGS
+  ===================
+
+  KEY CONCEPT: One rating per board member
+
+  Every board member rates a submission 1-5, with an optional comment,
+  in submission_ratings (one row per member per submission). Rating
+  again replaces your own score, never someone else's.
+
+  A submission's score is the aggregate of those rows:
+
+    average -- the mean rating
+    count   -- how many members rated it
+    spread  -- the standard deviation: 0 means everyone agreed, ~2
+               means the board is split between love and hate. A
+               high spread is worth discussing before a decision.
+
+  submissions.rating holds the average, kept up to date on every
+  rating change, so sorting and CSV exports stay simple SQL.
+
+  Individual scores (who gave what) are board-only. Founders don't see
+  ratings at all: with one rater, even the average would give it away.
+*/
+
+const { displayName } = require("./privacy");
+
+/*
+  Recomputes the cached average in submissions.rating. Call after
+  any change to a submission's ratings.
+*/
+function refreshRating(db, submissionId) {
+  db.prepare(`
+    UPDATE submissions
+    SET rating = (SELECT AVG(rating) FROM submission_ratings WHERE submission_id = ?)
+    WHERE id = ?
+  `).run(submissionId, submissionId);
+}
+
+// Sets (or replaces) one member's rating. Returns the new summary.
+function rateSubmission(db, submissionId, userId, rating, comment = null) {
+  db.transaction(() => {
+    db.prepare(`
+      INSERT INTO submission_ratings (submission_id, user_id, rating, comment)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT(submission_id, user_id)
+      DO UPDATE SET rating = excluded.rating, comment = excluded.comment, updated_at = CURRENT_TIMESTAMP
+    `).run(submissionId, userId, rating, comment);
+    refreshRating(db, submissionId);
+  })();
+  return ratingSummaries(db, [submissionId], userId).get(submissionId);
+}
+
+// Withdraws one member's rating. Returns false if they hadn't rated it.
+function removeRating(db, submissionId, userId) {
+  let removed = false;
+  db.transaction(() => {
+    removed = db.prepare("DELETE FROM submission_ratings WHERE submission_id = ? AND user_id = ?")
+      .run(submissionId, userId).changes > 0;
+    if (removed) refreshRating(db, submissionId);
+  })();
+  return removed;
+}
+
+/*
+  Aggregates for a batch of submissions, as a Map of
+  id -> { average, count, spread, mine }. `mine` is the viewer's own
+  { rating, comment }, or null. Unrated submissions get count 0.
+*/
+function ratingSummaries(db, submissionIds, viewerId) {
+  const summaries = new Map(submissionIds.map(id => [id, { average: null, count: 0, spread: null, mine: null }]));
+  if (submissionIds.length === 0) return summaries;
+  const placeholders = submissionIds.map(() => "?").join(", ");
+
+  // SQLite has no STDEV(), but variance = mean of squares - square of mean
+  const rows = db.prepare(`
+    SELECT submission_id, COUNT(*) as count, AVG(rating) as average, AVG(rating * rating) as mean_square,
+      MAX(CASE WHEN user_id = ? THEN rating END) as my_rating,
+      MAX(CASE WHEN user_id = ? THEN COALESCE(comment, '') END) as my_comment
+    FROM submission_ratings
+    WHERE submission_id IN (${placeholders})
+    GROUP BY submission_id
+  `).all(viewerId, viewerId, ...submissionIds);
+
+  for (const row of rows) {
+    const variance = Math.max(row.mean_square - row.average * row.average, 0);
+    summaries.set(row.submission_id, {
+      average: round(row.average),
+      count: row.count,
+      spread: round(Math.sqrt(variance)),
+      mine: row.my_rating === null ? null : { rating: row.my_rating, comment: row.my_comment || null },
+    });
+  }
+  return summaries;
+}
+
+// Every individual rating on a submission, for the board's detail view
+function listRatings(db, submissionId) {
+  return db.prepare(`
+    SELECT r.user_id, ${displayName("u")} as name, r.rating, r.comment, r.created_at, r.updated_at
+    FROM submission_ratings r
+    LEFT JOIN users u ON r.user_id = u.id
+    WHERE r.submission_id = ?
+    ORDER BY r.updated_at DESC
+  `).all(submissionId);
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = { refreshRating, rateSubmission, removeRating, ratingSummaries, listRatings };
@@ -0,0 +1,135 @@
+/*
+  SUBMISSION REVISIONS
+  =====================
+
+  KEY CONCEPT: Every edit is a revision
+
+  Founders can keep editing a submission after the board has reviewed
+  and rated it. So each edit is recorded as a numbered revision
+  (1, 2, 3, ... per submission) holding who made it, when, and the
+  before/after of every field it changed:
+
+    { "traction": { "from": "3 pilots", "to": "5 pilots, $20K MRR" } }
+
+  The submission row always holds the latest text; the revisions are
+  how you get back to earlier versions. Revision rows can't be
+  updated (there's a trigger), so the history can't be rewritten.
+
+  KEY CONCEPT: Changed since you last viewed
+
+  When a board member opens a submission we note which revision they
+  saw (submission_views). If the submission has moved on since, it's
+  flagged, and changesSince() shows exactly what changed in between.
+*/
+
+const { displayName } = require("./privacy");
+
+// Edits to these re-run the AI analysis (when it's enabled)
+const MATERIAL_FIELDS = ["one_liner", "problem", "solution", "traction", "funding_target"];
+
+function currentRevision(db, submissionId) {
+  return db.prepare("SELECT COALESCE(MAX(revision), 0) as revision FROM submission_revisions WHERE submission_id = ?")
+    .get(submissionId).revision;
+}
+
+/*
+  Applies { field: newValue } to a submission and records the
+  revision, in one transaction. Fields whose value doesn't actually
+  change are ignored. Returns the new revision (with its changes),
+  or null if nothing changed.
+*/
+function applyEdit(db, sub, userId, updates) {
+  const changes = {};
+  for (const [field, value] of Object.entries(updates)) {
+    if ((sub[field] ?? null) !== value) changes[field] = { from: sub[field] ?? null, to: value };
+  }
+  const fields = Object.keys(changes);
+  if (fields.length === 0) return null;
+
+  let revision;
+  db.transaction(() => {
+    db.prepare(`UPDATE submissions SET ${fields.map(f => `${f} = ?`).join(", ")} WHERE id = ?`)
+      .run(...fields.map(f => changes[f].to), sub.id);
+    revision = currentRevision(db, sub.id) + 1;
+    db.prepare("INSERT INTO submission_revisions (submission_id, revision, user_id, changes) VALUES (?, ?, ?, ?)")
+      .run(sub.id, revision, userId, JSON.stringify(changes));
+  })();
+  return { revision, changes };
+}
+
+// Every revision of a submission, newest first
+function listRevisions(db, submissionId) {
+  return db.prepare(`
+    SELECT r.revision, r.user_id, ${displayName("u")} as author_name, r.changes, r.created_at
+    FROM submission_revisions r
+    LEFT JOIN users u ON r.user_id = u.id
+    WHERE r.submission_id = ?
+    ORDER BY r.revision DESC
+  `).all(submissionId).map(row => ({ ...row, changes: JSON.parse(row.changes) }));
+}
+
+/*
+  What changed after revision `since` (0 = the original submission),
+  as one field-level diff: each field's value before the first later
+  edit and its value now. Fields that were changed and then changed
+  back are left out.
+*/
+function changesSince(db, submissionId, since) {
+  const later = db.prepare(`
+    SELECT changes FROM submission_revisions
+    WHERE submission_id = ? AND revision > ?
+    ORDER BY revision ASC
+  `).all(submissionId, since);
+
+  const diff = {};
+  for (const row of later) {
+    for (const [field, change] of Object.entries(JSON.parse(row.changes))) {
+      diff[field] = { from: diff[field] ? diff[field].from : change.from, to: change.to };
+    }
+  }
+  for (const field of Object.keys(diff)) {
+    if (diff[field].from === diff[field].to) delete diff[field];
+  }
+  return diff;
+}
+
+// Notes that a user has seen the submission as it is now
+function markViewed(db, submissionId, userId) {
+  db.prepare(`
+    INSERT INTO submission_views (submission_id, user_id, revision)
+    VALUES (?, ?, ?)
+    ON CONFLICT(submission_id, user_id)
+    DO UPDATE SET revision = excluded.revision, viewed_at = CURRENT_TIMESTAMP
+  `).run(submissionId, userId, currentRevision(db, submissionId));
+}
+
+/*
+  For a batch of submissions, as a Map of id -> { revision,
+  last_viewed_revision, changed_since_viewed }. last_viewed_revision
+  is null if the user has never opened it (which doesn't count as
+  changed -- it's all new to them).
+*/
+function viewStates(db, submissionIds, userId) {
+  const states = new Map(submissionIds.map(id => [id, { revision: 0, last_viewed_revision: null, changed_since_viewed: false }]));
+  if (submissionIds.length === 0) return states;
+  const placeholders = submissionIds.map(() => "?").join(", ");
+
+  const revisions = db.prepare(`
+    SELECT submission_id, MAX(revision) as revision FROM submission_revisions
+    WHERE submission_id IN (${placeholders}) GROUP BY submission_id
+  `).all(...submissionIds);
+  for (const row of revisions) states.get(row.submission_id).revision = row.revision;
+
+  const views = db.prepare(`
+    SELECT submission_id, revision FROM submission_views
+    WHERE user_id = ? AND submission_id IN (${placeholders})
+  `).all(userId, ...submissionIds);
+  for (const row of views) {
+    const state = states.get(row.submission_id);
+    state.last_viewed_revision = row.revision;
+    state.changed_since_viewed = state.revision > row.revision;
+  }
+  return states;
+}
+
+module.exports = { MATERIAL_FIELDS, currentRevision, applyEdit, listRevisions, changesSince, markViewed, viewStates };
@@ -37,7 +37,29 @@
 
 const express = require("express");
 const bcrypt = require("bcryptjs");
-const { createToken, requireAuth, requireRole } = require("./auth");
+const {
+  createAuthMiddleware, requireScope, signPurposeToken, verifyPurposeToken,
+  API_KEY_SCOPES, API_KEY_PREFIX,
+} = require("./auth");
+const { requireCapability, hasCapability, capabilitiesFor, CAPABILITIES, BUILT_IN_ROLES } = require("./permissions");
+const sessions = require("./sessions");
+const impersonation = require("./impersonation");
+const privacy = require("./privacy");
+const { displayName } = privacy;
+const deletion = require("./deletion");
+const ratings = require("./ratings");
+const scorecards = require("./scorecards");
+const revisions = require("./revisions");
+const drafts = require("./drafts");
+const search = require("./search");
+const alerts = require("./alerts");
+const attachments = require("./attachments");
+const documentText = require("./document-text");
+const { openStorage } = require("./storage");
+const { generateToken, hashToken } = require("./tokens");
+const totp = require("./totp");
+const { createMemoryStore, rateLimit, createLockout } = require("./rate-limit");
+const { createBackupManager } = require("./backup");
 
 // Email is optional - app works without it
 let email;
@@ -53,116 +75,1379 @@ try {
     meetingRequestEmail: () => ({ subject: "", html: "" }),
     partnerResponseEmail: () => ({ subject: "", html: "" }),
     statusChangeEmail: () => ({ subject: "", html: "" }),
+    passwordResetEmail: () => ({ subject: "", html: "" }),
+    verificationEmail: () => ({ subject: "", html: "" }),
+    boardInvitationEmail: () => ({ subject: "", html: "" }),
+    savedSearchMatchEmail: () => ({ subject: "", html: "" }),
+    watchlistEmail: () => ({ subject: "", html: "" }),
   };
 }
 
-function createRoutes(db) {
+// In pipeline order
+const SUBMISSION_STATUSES = ["new", "under_review", "more_info", "approved", "passed"];
+
+function createRoutes(db, { backups = createBackupManager(db), storage = openStorage() } = {}) {
   const router = express.Router();
+  const { requireAuth, requireVerifiedEmail } = createAuthMiddleware(db);
+
+  // Emails a signed link that proves the user owns their address
+  function sendVerificationEmail(user) {
+    try {
+      const verifyToken = signPurposeToken("verify-email", { id: user.id, email: user.email }, "24h");
+      const tmpl = email.verificationEmail(user.name, verifyToken);
+      email.sendEmail(user.email, tmpl.subject, tmpl.html).catch(() => {});
+    } catch (emailErr) { console.error("[Email] Error:", emailErr.message); }
+  }
+
+  // ===========================================================
+  // BRUTE-FORCE PROTECTION (see rate-limit.js)
+  // ===========================================================
+
+  const rateLimitStore = createMemoryStore();
+  const lockout = createLockout({ store: rateLimitStore });
+  const loginLimiter = rateLimit({
+    store: rateLimitStore, prefix: "login", windowMs: 15 * 60 * 1000, max: 20,
+    message: "Too many login attempts from this address, please try again later",
+  });
+  // Each flow gets its own bucket, so using one up doesn't block the others
+  const registerLimiter = rateLimit({
+    store: rateLimitStore, prefix: "register", windowMs: 60 * 60 * 1000, max: 10,
+  });
+  const forgotPasswordLimiter = rateLimit({
+    store: rateLimitStore, prefix: "forgot-password", windowMs: 60 * 60 * 1000, max: 10,
+  });
+  const resetPasswordLimiter = rateLimit({
+    store: rateLimitStore, prefix: "reset-password", windowMs: 60 * 60 * 1000, max: 10,
+  });
+  const invitationLimiter = rateLimit({
+    store: rateLimitStore, prefix: "invitation-accept", windowMs: 60 * 60 * 1000, max: 10,
+  });
+
+  // Every login attempt is kept so admins can spot attacks
+  function recordLoginAttempt(req, address, userId, success, reason) {
+    db.prepare(`
+      INSERT INTO login_attempts (email, user_id, ip_address, user_agent, success, reason)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(String(address).toLowerCase(), userId || null, req.ip || null,
+      (req.get("user-agent") || "").slice(0, 255) || null, success ? 1 : 0, reason);
+  }
+
+  function tooManyFailures(res, lock) {
+    res.set("Retry-After", String(lock.retryAfter));
+    const minutes = Math.ceil(lock.retryAfter / 60);
+    return res.status(429).json({
+      error: `Too many failed attempts. Try again in ${minutes} minute${minutes === 1 ? "" : "s"}`,
+    });
+  }
+
+  /*
+    Routes that re-check a password or code for someone who is already
+    signed in (2FA changes, password change) share the login lockout,
+    so an open session can't be used to guess either.
+  */
+  function accountLocked(req, res, user) {
+    const lock = lockout.status(user.email);
+    if (!lock.locked) return false;
+    recordLoginAttempt(req, user.email, user.id, false, "locked");
+    tooManyFailures(res, lock);
+    return true;
+  }
+
+  function rejectCredential(req, res, user, reason, status, error) {
+    recordLoginAttempt(req, user.email, user.id, false, reason);
+    const after = lockout.recordFailure(user.email);
+    if (after.locked) return tooManyFailures(res, after);
+    return res.status(status).json({ error });
+  }
+
+  function getSetting(key, fallback) {
+    const row = db.prepare("SELECT value FROM platform_settings WHERE key = ?").get(key);
+    return row ? row.value : fallback;
+  }
+
+  // Admins can make 2FA mandatory for any role that can see every submission
+  function twoFactorRequiredFor(role) {
+    if (getSetting("require_2fa", "false") !== "true") return false;
+    const caps = capabilitiesFor(db, role);
+    return caps.has("*") || caps.has("submission.read_all");
+  }
+
+  // Never send password hashes or 2FA secrets to the frontend
+  function publicUser(user) {
+    const { password, totp_secret, totp_last_step, ...safeUser } = user;
+    return safeUser;
+  }
+
+  // Final step of every successful login: new session + token pair
+  function completeLogin(user, req) {
+    const { token, refreshToken } = sessions.startSession(db, user, req);
+    return { user: publicUser(user), token, refreshToken };
+  }
+
+  /*
+    Checks an authenticator code OR a one-time recovery code.
+    Both are single-use: the TOTP step is remembered and the
+    recovery code is marked as used.
+  */
+  function verifySecondFactor(user, { code, recoveryCode }) {
+    if (code) {
+      const step = totp.verifyCode(user.totp_secret, code, user.totp_last_step);
+      if (step === null) return false;
+      db.prepare("UPDATE users SET totp_last_step = ? WHERE id = ?").run(step, user.id);
+      return true;
+    }
+    if (recoveryCode) {
+      const result = db.prepare(
+        "UPDATE recovery_codes SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND code_hash = ? AND used_at IS NULL"
+      ).run(user.id, totp.hashRecoveryCode(recoveryCode));
+      return result.changes > 0;
+    }
+    return false;
+  }
+
+  // Replaces any existing recovery codes. Returns the plain codes (shown once).
+  function issueRecoveryCodes(userId) {
+    const codes = totp.generateRecoveryCodes();
+    const insert = db.prepare("INSERT INTO recovery_codes (user_id, code_hash) VALUES (?, ?)");
+    db.transaction(() => {
+      db.prepare("DELETE FROM recovery_codes WHERE user_id = ?").run(userId);
+      codes.forEach(code => insert.run(userId, totp.hashRecoveryCode(code)));
+    })();
+    return codes;
+  }
+
+  /*
+    2FA enrolment accepts a normal login OR the setupToken that
+    login hands out when 2FA is mandatory but not set up yet.
+  */
+  function requireAuthOrSetupToken(req, res, next) {
+    const setup = req.body.setupToken && verifyPurposeToken(req.body.setupToken, "2fa-setup");
+    if (setup) {
+      req.user = { id: setup.id, role: setup.role };
+      req.viaSetupToken = true;
+      return next();
+    }
+    requireAuth(req, res, next);
+  }
+
+  // ===========================================================
+  // AUTH ROUTES
+  // ===========================================================
+
+  /*
+    POST /api/auth/register
+    
+    Creates a new founder account.
+    Board members are added by admins, not self-service.
+
+    The account works straight away, but the founder must confirm
+    their email (link sent here) before they can submit a startup.
+    
+    Request body: { name, email, password }
+    Response: { user, token, refreshToken }
+  */
+  router.post("/auth/register", registerLimiter, (req, res) => {
+    const { name, email, password } = req.body;
+
+    // Validation
+    if (!name || !email || !password) {
+      return res.status(400).json({ error: "Name, email, and password are required" });
+    }
+
+    if (password.length < 8) {
+      return res.status(400).json({ error: "Password must be at least 8 characters" });
+    }
+
+    // Check if email already exists
+    const existing = db.prepare("SELECT id FROM users WHERE email = ?").get(email.toLowerCase());
+    if (existing) {
+      return res.status(409).json({ error: "An account with this email already exists" });
+    }
+
+    // Hash the password (never store plain text!)
+    const hashedPassword = bcrypt.hashSync(password, 10);
+
+    // Insert the new user
+    try {
+      db.prepare(
+        "INSERT INTO users (email, password, name, role) VALUES (?, ?, ?, 'founder')"
+      ).run(email.toLowerCase(), hashedPassword, name);
+
+      const user = db.prepare("SELECT id, email, name, role, verified_at FROM users WHERE email = ?").get(email.toLowerCase());
+      const { token, refreshToken } = sessions.startSession(db, user, req);
+      sendVerificationEmail(user);
+
+      res.status(201).json({ user, token, refreshToken });
+    } catch (dbErr) {
+      console.error("[Register] DB Error:", dbErr.message);
+      res.status(500).json({ error: "Registration failed: " + dbErr.message });
+    }
+  });
+
+  /*
+    POST /api/auth/login
+    
+    Authenticates a user and returns a JWT token.
+    
+    KEY CONCEPT: Timing-Safe Comparison
+    
+    bcrypt.compareSync() compares the plain password against the hash.
+    It's designed to take the same amount of time whether the password
+    is right or wrong, which prevents "timing attacks" where an attacker
+    measures response time to guess passwords.
+    
+    KEY CONCEPT: Two-step login
+
+    If the user has 2FA turned on, a correct password is not enough.
+    Instead of tokens we return a short-lived challengeToken, and the
+    frontend sends it back with the authenticator code to
+    POST /api/auth/login/2fa. If 2FA is mandatory for their role but
+    not set up yet, we return a setupToken that only works for
+    enrolment (POST /api/auth/2fa/setup and /confirm).
+
+    Repeated wrong passwords lock the account for a while
+    (429 with a Retry-After header), see rate-limit.js.
+
+    Request body: { email, password }
+    Response: { user, token, refreshToken }
+          or: { twoFactorRequired: true, challengeToken }
+          or: { twoFactorSetupRequired: true, setupToken }
+  */
+  router.post("/auth/login", loginLimiter, (req, res) => {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({ error: "Email and password are required" });
+    }
+
+    // Locked accounts are refused before we even check the password
+    const lock = lockout.status(email);
+    if (lock.locked) {
+      recordLoginAttempt(req, email, null, false, "locked");
+      return tooManyFailures(res, lock);
+    }
+
+    const user = db.prepare("SELECT * FROM users WHERE email = ? AND deleted_at IS NULL").get(email.toLowerCase());
+
+    if (!user || !bcrypt.compareSync(password, user.password)) {
+      recordLoginAttempt(req, email, user && user.id, false, user ? "bad_password" : "unknown_email");
+      const after = lockout.recordFailure(email);
+      if (after.locked) return tooManyFailures(res, after);
+
+      // Same error message for both cases -- don't reveal whether
+      // the email exists (prevents email enumeration attacks)
+      return res.status(401).json({ error: "Invalid email or password" });
+    }
+
+    if (user.totp_enabled_at) {
+      const challengeToken = signPurposeToken("2fa-login", { id: user.id }, "5m");
+      return res.json({ twoFactorRequired: true, challengeToken });
+    }
+
+    if (twoFactorRequiredFor(user.role)) {
+      const setupToken = signPurposeToken("2fa-setup", { id: user.id, role: user.role }, "15m");
+      return res.json({ twoFactorSetupRequired: true, setupToken });
+    }
+
+    lockout.reset(email);
+    recordLoginAttempt(req, email, user.id, true, "password");
+
+    // Return user info WITHOUT the password hash
+    res.json(completeLogin(user, req));
+  });
+
+  /*
+    POST /api/auth/login/2fa
+
+    Second step of login for users with 2FA enabled.
+    Send either the 6-digit code or one of the recovery codes.
+
+    Request body: { challengeToken, code } or { challengeToken, recoveryCode }
+    Response: { user, token, refreshToken }
+  */
+  router.post("/auth/login/2fa", loginLimiter, (req, res) => {
+    const { challengeToken, code, recoveryCode } = req.body;
+    const challenge = challengeToken && verifyPurposeToken(challengeToken, "2fa-login");
+    if (!challenge) {
+      return res.status(401).json({ error: "Login expired, please sign in again" });
+    }
+
+    const user = db.prepare("SELECT * FROM users WHERE id = ? AND deleted_at IS NULL").get(challenge.id);
+    if (!user || !user.totp_enabled_at) {
+      return res.status(401).json({ error: "Login expired, please sign in again" });
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    const lock = lockout.status(user.email);
+    if (lock.locked) {
+      recordLoginAttempt(req, user.email, user.id, false, "locked");
+      return tooManyFailures(res, lock);
+    }
+
+    if (!verifySecondFactor(user, { code, recoveryCode })) {
+      recordLoginAttempt(req, user.email, user.id, false, "bad_2fa_code");
+      const after = lockout.recordFailure(user.email);
+      if (after.locked) return tooManyFailures(res, after);
+      return res.status(401).json({ error: "Invalid verification code" });
+    }
+
+    lockout.reset(user.email);
+    recordLoginAttempt(req, user.email, user.id, true, recoveryCode && !code ? "recovery_code" : "2fa");
+    res.json(completeLogin(user, req));
+  });
+
+  /*
+    POST /api/auth/refresh
+
+    Swaps a refresh token for a new access token + refresh token.
+    The old refresh token stops working (rotation, see sessions.js).
+
+    If 2FA has been made mandatory for the user's role and they haven't
+    enrolled, the session ends here with a 403 carrying a setupToken,
+    the same as login -- otherwise a session opened before the setting
+    was switched on could keep refreshing forever.
+
+    Request body: { refreshToken }
+    Response: { token, refreshToken }
+  */
+  router.post("/auth/refresh", (req, res) => {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ error: "refreshToken is required" });
+    }
+
+    const result = sessions.refreshSession(db, refreshToken, req);
+    if (!result) {
+      return res.status(401).json({ error: "Invalid or expired refresh token" });
+    }
+
+    const user = db.prepare("SELECT id, role, totp_enabled_at FROM users WHERE id = ?").get(result.userId);
+    if (!user.totp_enabled_at && twoFactorRequiredFor(user.role)) {
+      sessions.revokeSession(db, result.sessionId);
+      const setupToken = signPurposeToken("2fa-setup", { id: user.id, role: user.role }, "15m");
+      return res.status(403).json({
+        error: "Two-factor authentication is required for your role",
+        twoFactorSetupRequired: true,
+        setupToken,
+      });
+    }
+
+    res.json({ token: result.token, refreshToken: result.refreshToken });
+  });
+
+  /*
+    POST /api/auth/logout
+
+    Revokes the current session. The access token stops working
+    immediately and its refresh token can no longer be used.
+  */
+  router.post("/auth/logout", requireAuth, (req, res) => {
+    sessions.revokeSession(db, req.user.sid);
+    res.json({ success: true });
+  });
+
+  /*
+    GET /api/auth/me
+    
+    Returns the currently logged-in user's profile.
+    The frontend calls this on page load to check if the
+    stored token is still valid.
+  */
+  router.get("/auth/me", requireAuth, (req, res) => {
+    const user = db.prepare(
+      "SELECT id, email, name, role, specialty, bio, linkedin, website, location, verified_at, totp_enabled_at, created_at FROM users WHERE id = ?"
+    ).get(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    // The frontend uses these to decide what to show
+    const me = { ...user, capabilities: [...req.user.capabilities] };
+
+    // Lets the frontend show a "Viewing as ..." banner
+    if (req.user.impersonation) {
+      const record = impersonation.getImpersonation(db, req.user.impersonation.id);
+      me.impersonation = {
+        id: record.id,
+        admin: { id: record.admin_id, name: record.admin_name },
+        readOnly: !record.allow_writes,
+        reason: record.reason,
+        startedAt: record.started_at,
+        expiresAt: record.expires_at,
+      };
+    }
+
+    res.json({ user: me, impersonating: !!req.user.impersonation });
+  });
+
+  /*
+    POST /api/auth/verify-email
+
+    Confirms a founder's email address using the token from the
+    verification email. Safe to call twice.
+
+    Request body: { token }
+  */
+  router.post("/auth/verify-email", (req, res) => {
+    const { token } = req.body;
+    const decoded = token && verifyPurposeToken(token, "verify-email");
+    if (!decoded) {
+      return res.status(400).json({ error: "Verification link is invalid or has expired" });
+    }
+
+    // The link is only good for the address it was sent to
+    const user = db.prepare("SELECT id, email, verified_at FROM users WHERE id = ?").get(decoded.id);
+    if (!user || user.email !== decoded.email) {
+      return res.status(400).json({ error: "Verification link is invalid or has expired" });
+    }
+
+    if (!user.verified_at) {
+      db.prepare("UPDATE users SET verified_at = CURRENT_TIMESTAMP WHERE id = ?").run(user.id);
+    }
+
+    res.json({ success: true });
+  });
+
+  /*
+    POST /api/auth/resend-verification
+
+    Sends a fresh verification email to the logged-in user.
+  */
+  router.post("/auth/resend-verification", requireAuth, (req, res) => {
+    const user = db.prepare("SELECT id, email, name, verified_at FROM users WHERE id = ?").get(req.user.id);
+    if (!user) return res.status(404).json({ error: "User not found" });
+    if (user.verified_at) return res.status(400).json({ error: "Email is already verified" });
+
+    sendVerificationEmail(user);
+    res.json({ success: true });
+  });
+
+  /*
+    POST /api/auth/forgot-password
+
+    Emails a password reset link if the account exists.
+
+    KEY CONCEPT: Don't leak which emails are registered
+
+    We send the same response whether or not the email matched,
+    otherwise this endpoint could be used to test for accounts.
+
+    Request body: { email }
+  */
+  router.post("/auth/forgot-password", forgotPasswordLimiter, (req, res) => {
+    const address = req.body.email;
+    if (!address) {
+      return res.status(400).json({ error: "Email is required" });
+    }
+
+    const user = db.prepare("SELECT id, name, email FROM users WHERE email = ? AND deleted_at IS NULL").get(address.toLowerCase());
+
+    if (user) {
+      // Only the newest link should work
+      db.prepare(
+        "UPDATE password_resets SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND used_at IS NULL"
+      ).run(user.id);
+
+      const resetToken = generateToken();
+      db.prepare(
+        "INSERT INTO password_resets (user_id, token_hash, expires_at) VALUES (?, ?, datetime('now', '+1 hour'))"
+      ).run(user.id, hashToken(resetToken));
+
+      try {
+        const tmpl = email.passwordResetEmail(user.name, resetToken);
+        email.sendEmail(user.email, tmpl.subject, tmpl.html).catch(() => {});
+      } catch (emailErr) { console.error("[Email] Error:", emailErr.message); }
+    }
+
+    res.json({ success: true, message: "If an account exists for that email, a reset link has been sent" });
+  });
+
+  /*
+    POST /api/auth/reset-password
+
+    Sets a new password using the token from the reset email.
+    Tokens are single-use, expire after 1 hour, and a successful
+    reset signs the user out of every device.
+
+    Request body: { token, password }
+  */
+  router.post("/auth/reset-password", resetPasswordLimiter, (req, res) => {
+    const { token, password } = req.body;
+
+    if (!token || !password || typeof token !== "string" || typeof password !== "string") {
+      return res.status(400).json({ error: "Token and password are required" });
+    }
+
+    if (password.length < 8) {
+      return res.status(400).json({ error: "Password must be at least 8 characters" });
+    }
+
+    const reset = db.prepare(`
+      SELECT id, user_id FROM password_resets
+      WHERE token_hash = ? AND used_at IS NULL AND expires_at > datetime('now')
+    `).get(hashToken(token));
+
+    if (!reset) {
+      return res.status(400).json({ error: "Reset link is invalid or has expired" });
+    }
+
+    const hashedPassword = bcrypt.hashSync(password, 10);
+    db.transaction(() => {
+      db.prepare("UPDATE users SET password = ? WHERE id = ?").run(hashedPassword, reset.user_id);
+      db.prepare("UPDATE password_resets SET used_at = CURRENT_TIMESTAMP WHERE id = ?").run(reset.id);
+      sessions.revokeAllSessions(db, reset.user_id);
+    })();
+
+    res.json({ success: true });
+  });
+
+  // ===========================================================
+  // TWO-FACTOR AUTHENTICATION ROUTES
+  // ===========================================================
+
+  /*
+    POST /api/auth/2fa/setup
+
+    Starts 2FA enrolment: generates a new secret and returns it with
+    an otpauth:// URI (render it as a QR code). 2FA isn't switched on
+    until the user proves their app works via /auth/2fa/confirm.
+  */
+  router.post("/auth/2fa/setup", requireAuthOrSetupToken, (req, res) => {
+    const user = db.prepare("SELECT id, email, totp_enabled_at FROM users WHERE id = ?").get(req.user.id);
+    if (!user) return res.status(404).json({ error: "User not found" });
+    if (user.totp_enabled_at) return res.status(409).json({ error: "Two-factor authentication is already enabled" });
+
+    const secret = totp.generateSecret();
+    db.prepare("UPDATE users SET totp_secret = ?, totp_last_step = NULL WHERE id = ?").run(secret, user.id);
+
+    res.json({
+      secret,
+      otpauthUri: totp.otpauthUri(secret, user.email, getSetting("platform_name", "Partner")),
+    });
+  });
+
+  /*
+    POST /api/auth/2fa/confirm
+
+    Finishes enrolment with a code from the authenticator app and
+    returns 10 one-time recovery codes. They are only shown once.
+    When enrolling with a setupToken, this also completes the login.
+
+    Request body: { code }
+  */
+  router.post("/auth/2fa/confirm", loginLimiter, requireAuthOrSetupToken, (req, res) => {
+    const user = db.prepare("SELECT * FROM users WHERE id = ?").get(req.user.id);
+    if (!user) return res.status(404).json({ error: "User not found" });
+    if (user.totp_enabled_at) return res.status(409).json({ error: "Two-factor authentication is already enabled" });
+    if (!user.totp_secret) return res.status(400).json({ error: "Start setup first" });
+    if (accountLocked(req, res, user)) return;
+
+    if (!verifySecondFactor(user, { code: req.body.code })) {
+      return rejectCredential(req, res, user, "bad_2fa_code", 400, "Invalid verification code");
+    }
+
+    lockout.reset(user.email);
+    db.prepare("UPDATE users SET totp_enabled_at = CURRENT_TIMESTAMP WHERE id = ?").run(user.id);
+    const recoveryCodes = issueRecoveryCodes(user.id);
+
+    if (req.viaSetupToken) {
+      const enrolled = db.prepare("SELECT * FROM users WHERE id = ?").get(user.id);
+      return res.json({ recoveryCodes, ...completeLogin(enrolled, req) });
+    }
+    res.json({ recoveryCodes });
+  });
+
+  /*
+    POST /api/auth/2fa/recovery-codes
+
+    Replaces the recovery codes (e.g. after using some up).
+    Requires a current authenticator code.
+
+    Request body: { code }
+  */
+  router.post("/auth/2fa/recovery-codes", loginLimiter, requireAuth, (req, res) => {
+    const user = db.prepare("SELECT * FROM users WHERE id = ?").get(req.user.id);
+    if (!user || !user.totp_enabled_at) return res.status(400).json({ error: "Two-factor authentication is not enabled" });
+    if (accountLocked(req, res, user)) return;
+
+    if (!verifySecondFactor(user, { code: req.body.code })) {
+      return rejectCredential(req, res, user, "bad_2fa_code", 401, "Invalid verification code");
+    }
+
+    lockout.reset(user.email);
+    res.json({ recoveryCodes: issueRecoveryCodes(user.id) });
+  });
+
+  /*
+    POST /api/auth/2fa/disable
+
+    Turns 2FA off. Needs the password AND a code, so a stolen
+    laptop with an open session can't quietly remove it.
+    Not allowed while 2FA is mandatory for the user's role.
+
+    Request body: { password, code } or { password, recoveryCode }
+  */
+  router.post("/auth/2fa/disable", loginLimiter, requireAuth, (req, res) => {
+    const { password, code, recoveryCode } = req.body;
+    const user = db.prepare("SELECT * FROM users WHERE id = ?").get(req.user.id);
+    if (!user || !user.totp_enabled_at) return res.status(400).json({ error: "Two-factor authentication is not enabled" });
+
+    if (twoFactorRequiredFor(user.role)) {
+      return res.status(403).json({ error: "Two-factor authentication is required for your role" });
+    }
+
+    if (accountLocked(req, res, user)) return;
+
+    if (typeof password !== "string" || !bcrypt.compareSync(password, user.password)) {
+      return rejectCredential(req, res, user, "bad_password", 401, "Password is incorrect");
+    }
+    if (!verifySecondFactor(user, { code, recoveryCode })) {
+      return rejectCredential(req, res, user, "bad_2fa_code", 401, "Invalid verification code");
+    }
+
+    lockout.reset(user.email);
+
+    db.transaction(() => {
+      db.prepare(
+        "UPDATE users SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL WHERE id = ?"
+      ).run(user.id);
+      db.prepare("DELETE FROM recovery_codes WHERE user_id = ?").run(user.id);
+    })();
+
+    res.json({ success: true });
+  });
+
+  /*
+    POST /api/admin/users/:id/2fa/reset
+
+    Removes 2FA from an account (lost phone AND lost recovery codes).
+    Also signs them out everywhere. Admin only.
+  */
+  router.post("/admin/users/:id/2fa/reset", requireAuth, requireCapability("user.manage"), (req, res) => {
+    const user = db.prepare("SELECT id FROM users WHERE id = ?").get(req.params.id);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    db.transaction(() => {
+      db.prepare(
+        "UPDATE users SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL WHERE id = ?"
+      ).run(user.id);
+      db.prepare("DELETE FROM recovery_codes WHERE user_id = ?").run(user.id);
+      sessions.revokeAllSessions(db, user.id);
+    })();
+
+    res.json({ success: true });
+  });
+
+  // ===========================================================
+  // SESSION ROUTES ("my devices")
+  // ===========================================================
+
+  /*
+    GET /api/my/sessions
+
+    Lists the logged-in user's active sessions, one per device.
+    The session making this request is flagged with current: true.
+  */
+  router.get("/my/sessions", requireAuth, (req, res) => {
+    const list = sessions.listSessions(db, req.user.id).map(s => ({
+      ...s,
+      current: s.id === req.user.sid,
+    }));
+    res.json({ sessions: list });
+  });
+
+  /*
+    DELETE /api/my/sessions/:id
+
+    Signs out one of your own devices.
+  */
+  router.delete("/my/sessions/:id", requireAuth, (req, res) => {
+    const revoked = sessions.revokeSession(db, req.params.id, req.user.id);
+    if (!revoked) return res.status(404).json({ error: "Session not found" });
+    res.json({ success: true });
+  });
+
+  /*
+    POST /api/admin/users/:id/revoke-sessions
+
+    Signs a user out of every device. Admin only.
+  */
+  router.post("/admin/users/:id/revoke-sessions", requireAuth, requireCapability("user.manage"), (req, res) => {
+    const user = db.prepare("SELECT id FROM users WHERE id = ?").get(req.params.id);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    const revoked = sessions.revokeAllSessions(db, user.id);
+    res.json({ success: true, revoked });
+  });
+
+  // ===========================================================
+  // PERSONAL DATA ROUTES (POPIA, see privacy.js)
+  // ===========================================================
+
+  /*
+    GET /api/my/data-export
+
+    Downloads everything we hold about the logged-in user as a JSON
+    file: profile, submissions, notes, messages, partnerships,
+    meeting requests, admin messages, sessions and login history.
+  */
+  router.get("/my/data-export", requireAuth, (req, res) => {
+    const data = privacy.buildDataExport(db, req.user.id);
+    if (!data) return res.status(404).json({ error: "User not found" });
+
+    res.setHeader("Content-Disposition", `attachment; filename=partner-data-export-${req.user.id}.json`);
+    res.json(data);
+  });
+
+  /*
+    POST /api/my/erasure-request
+
+    Asks for the account to be erased. Nothing happens until an admin
+    approves it -- e.g. they may need to keep records of an active
+    partnership first. Requires the password, so a stolen session
+    can't file one.
+
+    Request body: { password, reason? }
+  */
+  router.post("/my/erasure-request", requireAuth, (req, res) => {
+    const { password, reason } = req.body;
+
+    const user = db.prepare("SELECT id, password FROM users WHERE id = ?").get(req.user.id);
+    if (!user || !password || !bcrypt.compareSync(password, user.password)) {
+      return res.status(401).json({ error: "Password is incorrect" });
+    }
+
+    const pending = db.prepare("SELECT id FROM erasure_requests WHERE user_id = ? AND status = 'pending'").get(user.id);
+    if (pending) return res.status(400).json({ error: "You already have a pending erasure request" });
+
+    const result = db.prepare("INSERT INTO erasure_requests (user_id, reason) VALUES (?, ?)").run(user.id, reason || null);
+    const request = db.prepare("SELECT * FROM erasure_requests WHERE id = ?").get(result.lastInsertRowid);
+    res.status(201).json({ request });
+  });
+
+  // GET /api/my/erasure-request -- the user's most recent request, if any
+  router.get("/my/erasure-request", requireAuth, (req, res) => {
+    const request = db.prepare(
+      "SELECT * FROM erasure_requests WHERE user_id = ? ORDER BY requested_at DESC, id DESC LIMIT 1"
+    ).get(req.user.id);
+    res.json({ request: request || null });
+  });
+
+  // DELETE /api/my/erasure-request -- withdraws a pending request
+  router.delete("/my/erasure-request", requireAuth, (req, res) => {
+    const result = db.prepare(
+      "UPDATE erasure_requests SET status = 'cancelled' WHERE user_id = ? AND status = 'pending'"
+    ).run(req.user.id);
+    if (result.changes === 0) return res.status(404).json({ error: "No pending erasure request" });
+    res.json({ success: true });
+  });
+
+  /*
+    GET /api/admin/erasure-requests
+    Lists erasure requests, pending first.
+  */
+  router.get("/admin/erasure-requests", requireAuth, requireCapability("privacy.manage"), (req, res) => {
+    const requests = db.prepare(`
+      SELECT er.*, u.name as user_name, u.email as user_email, u.role as user_role, r.name as reviewed_by_name
+      FROM erasure_requests er
+      LEFT JOIN users u ON er.user_id = u.id
+      LEFT JOIN users r ON er.reviewed_by = r.id
+      ORDER BY er.status = 'pending' DESC, er.requested_at DESC
+    `).all();
+    res.json({ requests });
+  });
+
+  /*
+    PATCH /api/admin/erasure-requests/:id
+
+    Approving anonymises the user straight away (see privacy.js) and
+    can't be undone. Rejecting needs a note explaining why, e.g. a
+    legal obligation to keep the records.
+
+    Request body: { action: "approve" | "reject", note? }
+  */
+  router.patch("/admin/erasure-requests/:id", requireAuth, requireCapability("privacy.manage"), (req, res) => {
+    const { action, note } = req.body;
+    if (action !== "approve" && action !== "reject") {
+      return res.status(400).json({ error: "Action must be approve or reject" });
+    }
+
+    const request = db.prepare("SELECT * FROM erasure_requests WHERE id = ?").get(req.params.id);
+    if (!request) return res.status(404).json({ error: "Erasure request not found" });
+    if (request.status !== "pending") return res.status(400).json({ error: `Request is already ${request.status}` });
+    if (request.user_id === req.user.id) {
+      return res.status(403).json({ error: "Another admin must review your own request" });
+    }
+
+    if (action === "reject") {
+      if (!note || !note.trim()) return res.status(400).json({ error: "A note is required when rejecting" });
+      db.prepare(`
+        UPDATE erasure_requests SET status = 'rejected', reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP, review_note = ?
+        WHERE id = ?
+      `).run(req.user.id, note.trim(), request.id);
+    } else {
+      db.transaction(() => {
+        privacy.anonymiseUser(db, request.user_id);
+        db.prepare(`
+          UPDATE erasure_requests SET status = 'completed', reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP, review_note = ?
+          WHERE id = ?
+        `).run(req.user.id, note || null, request.id);
+      })();
+    }
+
+    const updated = db.prepare("SELECT * FROM erasure_requests WHERE id = ?").get(request.id);
+    res.json({ request: updated });
+  });
+
+  // ===========================================================
+  // SECURITY ROUTES (Admin only)
+  // ===========================================================
+
+  /*
+    GET /api/admin/security/login-attempts
+
+    Recent login attempts, newest first, plus the IPs with the most
+    failures in the last 24 hours.
+
+    Query: ?email=someone@x.com&success=0&limit=100
+  */
+  router.get("/admin/security/login-attempts", requireAuth, requireCapability("security.manage"), (req, res) => {
+    const { email: address, success } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+    const conditions = [];
+    const values = [];
+
+    if (address) {
+      conditions.push("email = ?");
+      values.push(address.toLowerCase());
+    }
+    if (success === "0" || success === "1") {
+      conditions.push("success = ?");
+      values.push(Number(success));
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+    const attempts = db.prepare(`
+      SELECT * FROM login_attempts ${whereClause}
+      ORDER BY created_at DESC, id DESC LIMIT ${limit}
+    `).all(...values);
+
+    const topFailingIps = db.prepare(`
+      SELECT ip_address, COUNT(*) as failures, COUNT(DISTINCT email) as accounts, MAX(created_at) as last_attempt
+      FROM login_attempts
+      WHERE success = 0 AND created_at >= datetime('now', '-1 day')
+      GROUP BY ip_address
+      ORDER BY failures DESC
+      LIMIT 10
+    `).all();
+
+    res.json({ attempts, topFailingIps });
+  });
+
+  /*
+    GET /api/admin/security/lockouts
+
+    Accounts with recent failed logins, including locked ones.
+    Lockouts live in memory, so they reset when the server restarts.
+  */
+  router.get("/admin/security/lockouts", requireAuth, requireCapability("security.manage"), (req, res) => {
+    const lockouts = lockout.list().sort((a, b) => b.failures - a.failures);
+    res.json({ lockouts });
+  });
+
+  /*
+    DELETE /api/admin/security/lockouts/:email
+
+    Unlocks an account and forgets its failed attempts.
+  */
+  router.delete("/admin/security/lockouts/:email", requireAuth, requireCapability("security.manage"), (req, res) => {
+    lockout.reset(req.params.email);
+    res.json({ success: true });
+  });
+
+  // ===========================================================
+  // API KEY ROUTES (Admin only)
+  // ===========================================================
+
+  /*
+    POST /api/admin/api-keys
+
+    Creates an API key for scripts and integrations. The key acts as
+    the admin who created it, limited to the given scopes.
+    The full key is returned ONCE -- only its hash is stored.
+
+    Request body: { name, scopes: ["export"], expiresInDays? }
+    Response: { apiKey, key }
+  */
+  router.post("/admin/api-keys", requireAuth, requireCapability("apikey.manage"), (req, res) => {
+    const { name, scopes, expiresInDays } = req.body;
+
+    if (!name || !name.trim()) return res.status(400).json({ error: "Name is required" });
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({ error: "At least one scope is required" });
+    }
+    const unknown = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown scopes: ${unknown.join(", ")}. Valid scopes: ${API_KEY_SCOPES.join(", ")}` });
+    }
+    if (expiresInDays !== undefined && !(Number(expiresInDays) > 0)) {
+      return res.status(400).json({ error: "expiresInDays must be a positive number" });
+    }
+
+    const key = API_KEY_PREFIX + generateToken(24);
+    const result = db.prepare(`
+      INSERT INTO api_keys (name, key_prefix, key_hash, scopes, created_by, expires_at)
+      VALUES (?, ?, ?, ?, ?, CASE WHEN ? IS NULL THEN NULL ELSE datetime('now', ?) END)
+    `).run(name.trim(), key.slice(0, API_KEY_PREFIX.length + 8), hashToken(key), [...new Set(scopes)].join(","),
+      req.user.id, expiresInDays || null, `+${Number(expiresInDays) || 0} days`);
+
+    const apiKey = db.prepare(`
+      SELECT id, name, key_prefix, scopes, created_by, created_at, expires_at, last_used_at, revoked_at
+      FROM api_keys WHERE id = ?
+    `).get(result.lastInsertRowid);
+
+    res.status(201).json({ apiKey, key });
+  });
+
+  /*
+    GET /api/admin/api-keys
+    Lists all API keys (never the keys themselves). Admin only.
+  */
+  router.get("/admin/api-keys", requireAuth, requireCapability("apikey.manage"), (req, res) => {
+    const apiKeys = db.prepare(`
+      SELECT k.id, k.name, k.key_prefix, k.scopes, k.created_by, k.created_at, k.expires_at,
+             k.last_used_at, k.revoked_at, u.name as created_by_name
+      FROM api_keys k JOIN users u ON k.created_by = u.id
+      ORDER BY k.created_at DESC
+    `).all();
+    res.json({ apiKeys, availableScopes: API_KEY_SCOPES });
+  });
+
+  /*
+    DELETE /api/admin/api-keys/:id
+    Revokes an API key. It stops working immediately. Admin only.
+  */
+  router.delete("/admin/api-keys/:id", requireAuth, requireCapability("apikey.manage"), (req, res) => {
+    const result = db.prepare(
+      "UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL"
+    ).run(req.params.id);
+    if (result.changes === 0) return res.status(404).json({ error: "API key not found" });
+    res.json({ success: true });
+  });
+
+  // ===========================================================
+  // BACKUP ROUTES (see backup.js)
+  // ===========================================================
+
+  /*
+    GET /api/admin/backups
+    Lists snapshots, newest first, plus where they're kept. Admin only.
+  */
+  router.get("/admin/backups", requireAuth, requireCapability("backup.manage"), (req, res) => {
+    res.json({
+      backups: backups.listSnapshots(),
+      dir: backups.dir,
+      retention: backups.retention,
+      scheduled: backups.scheduled,
+    });
+  });
+
+  /*
+    POST /api/admin/backups
+    Takes a snapshot now. Request body: { name? } (a label for the file)
+    Response: { backup } -- backup.deleted lists snapshots removed by retention
+  */
+  router.post("/admin/backups", requireAuth, requireCapability("backup.manage"), (req, res) => {
+    const { name } = req.body || {};
+    if (name !== undefined && typeof name !== "string") return res.status(400).json({ error: "Name must be text" });
+    const backup = backups.createSnapshot({ label: name || null });
+    res.status(201).json({ backup });
+  });
+
+  /*
+    GET /api/admin/backups/:file/download
+    Downloads a snapshot as a SQLite file. Admin only.
+  */
+  router.get("/admin/backups/:file/download", requireAuth, requireCapability("backup.manage"), (req, res) => {
+    const fullPath = backups.resolve(req.params.file);
+    if (!fullPath) return res.status(404).json({ error: "Backup not found" });
+    res.download(fullPath, req.params.file);
+  });
+
+  /*
+    POST /api/admin/backups/:file/restore
+
+    Replaces ALL current data with the snapshot. The current data is
+    snapshotted first (kind "pre-restore"), so this can be undone by
+    restoring that. Sessions started after the snapshot was taken
+    no longer exist, so everyone -- including you -- may need to log in again.
+
+    Response: { restored, safetySnapshot, migrationsApplied }
+  */
+  router.post("/admin/backups/:file/restore", requireAuth, requireCapability("backup.manage"), (req, res) => {
+    if (!backups.resolve(req.params.file)) return res.status(404).json({ error: "Backup not found" });
+    backups.restoreSnapshot(req.params.file).then(result => {
+      res.json(result);
+    }).catch(e => res.status(422).json({ error: e.message }));
+  });
+
+  /*
+    DELETE /api/admin/backups/:file
+    Deletes a snapshot file. Admin only.
+  */
+  router.delete("/admin/backups/:file", requireAuth, requireCapability("backup.manage"), (req, res) => {
+    if (!backups.deleteSnapshot(req.params.file)) return res.status(404).json({ error: "Backup not found" });
+    res.json({ success: true });
+  });
+
+  // ===========================================================
+  // ROLE ROUTES (admin)
+  // ===========================================================
+
+  // Checks a capabilities list from a request body. Returns an error message or null.
+  function invalidCapabilities(capabilities) {
+    if (!Array.isArray(capabilities)) return "capabilities must be an array";
+    const unknown = capabilities.filter(cap => !CAPABILITIES[cap]);
+    return unknown.length > 0 ? `Unknown capabilities: ${unknown.join(", ")}` : null;
+  }
+
+  function serializeRole(row) {
+    return { ...row, capabilities: row.capabilities ? row.capabilities.split(",") : [], builtIn: false };
+  }
+
+  /*
+    GET /api/admin/roles
+    Lists built-in and custom roles, plus every capability that can be
+    granted (for the role editor).
+  */
+  router.get("/admin/roles", requireAuth, requireCapability("role.manage"), (req, res) => {
+    const counts = Object.fromEntries(
+      db.prepare("SELECT role, COUNT(*) as count FROM users GROUP BY role").all().map(r => [r.role, r.count])
+    );
+    const builtIn = Object.entries(BUILT_IN_ROLES).map(([name, capabilities]) => ({
+      name, description: null, capabilities, builtIn: true, userCount: counts[name] || 0,
+    }));
+    const custom = db.prepare("SELECT * FROM roles ORDER BY name").all()
+      .map(row => ({ ...serializeRole(row), userCount: counts[row.name] || 0 }));
+
+    res.json({ roles: [...builtIn, ...custom], capabilities: CAPABILITIES });
+  });
+
+  /*
+    POST /api/admin/roles
+    Creates a custom role, e.g. an "observer" who can read submissions
+    and analytics but not rate or comment.
+
+    Request body: { name, description?, capabilities: ["submission.read_all", ...] }
+  */
+  router.post("/admin/roles", requireAuth, requireCapability("role.manage"), (req, res) => {
+    const { name, description, capabilities } = req.body;
+
+    if (!name || !/^[a-z][a-z0-9_]{1,31}$/.test(name)) {
+      return res.status(400).json({ error: "Role name must be 2-32 lowercase letters, digits or underscores" });
+    }
+    if (BUILT_IN_ROLES[name]) return res.status(400).json({ error: "That is a built-in role" });
+    const capError = invalidCapabilities(capabilities);
+    if (capError) return res.status(400).json({ error: capError });
+
+    const existing = db.prepare("SELECT name FROM roles WHERE name = ?").get(name);
+    if (existing) return res.status(400).json({ error: "A role with that name already exists" });
+
+    db.prepare("INSERT INTO roles (name, description, capabilities, created_by) VALUES (?, ?, ?, ?)")
+      .run(name, description || null, [...new Set(capabilities)].join(","), req.user.id);
+
+    const role = db.prepare("SELECT * FROM roles WHERE name = ?").get(name);
+    res.status(201).json({ role: serializeRole(role) });
+  });
+
+  /*
+    PUT /api/admin/roles/:name
+    Updates a custom role's description and/or capabilities. Takes
+    effect on each holder's next request. Built-in roles can't be edited.
+  */
+  router.put("/admin/roles/:name", requireAuth, requireCapability("role.manage"), (req, res) => {
+    const { description, capabilities } = req.body;
+    if (BUILT_IN_ROLES[req.params.name]) return res.status(400).json({ error: "Built-in roles can't be edited" });
+
+    const role = db.prepare("SELECT * FROM roles WHERE name = ?").get(req.params.name);
+    if (!role) return res.status(404).json({ error: "Role not found" });
 
-  // ===========================================================
-  // AUTH ROUTES
-  // ===========================================================
+    if (capabilities !== undefined) {
+      const capError = invalidCapabilities(capabilities);
+      if (capError) return res.status(400).json({ error: capError });
+    }
+
+    db.prepare("UPDATE roles SET description = ?, capabilities = ? WHERE name = ?").run(
+      description !== undefined ? description : role.description,
+      capabilities !== undefined ? [...new Set(capabilities)].join(",") : role.capabilities,
+      role.name
+    );
+
+    const updated = db.prepare("SELECT * FROM roles WHERE name = ?").get(role.name);
+    res.json({ role: serializeRole(updated) });
+  });
 
   /*
-    POST /api/auth/register
-    
-    Creates a new founder account.
-    Board members are added by admins, not self-service.
-    
-    Request body: { name, email, password }
-    Response: { user, token }
+    DELETE /api/admin/roles/:name
+    Deletes a custom role. Refused while any user still holds it --
+    reassign them first.
   */
-  router.post("/auth/register", (req, res) => {
-    const { name, email, password } = req.body;
+  router.delete("/admin/roles/:name", requireAuth, requireCapability("role.manage"), (req, res) => {
+    if (BUILT_IN_ROLES[req.params.name]) return res.status(400).json({ error: "Built-in roles can't be deleted" });
 
-    // Validation
-    if (!name || !email || !password) {
-      return res.status(400).json({ error: "Name, email, and password are required" });
+    const holders = db.prepare("SELECT COUNT(*) as count FROM users WHERE role = ?").get(req.params.name).count;
+    if (holders > 0) {
+      return res.status(400).json({ error: `${holders} user${holders === 1 ? " still has" : "s still have"} this role` });
     }
 
-    if (password.length < 8) {
-      return res.status(400).json({ error: "Password must be at least 8 characters" });
+    const result = db.prepare("DELETE FROM roles WHERE name = ?").run(req.params.name);
+    if (result.changes === 0) return res.status(404).json({ error: "Role not found" });
+    res.json({ success: true });
+  });
+
+  /*
+    PUT /api/admin/users/:id/role
+    Assigns a built-in or custom role to a user.
+
+    Request body: { role }
+  */
+  router.put("/admin/users/:id/role", requireAuth, requireCapability("role.manage"), (req, res) => {
+    const { role } = req.body;
+    const exists = BUILT_IN_ROLES[role] || db.prepare("SELECT name FROM roles WHERE name = ?").get(role);
+    if (!role || !exists) return res.status(400).json({ error: "Unknown role" });
+
+    if (Number(req.params.id) === req.user.id) {
+      return res.status(400).json({ error: "You can't change your own role" });
     }
 
-    // Check if email already exists
-    const existing = db.prepare("SELECT id FROM users WHERE email = ?").get(email.toLowerCase());
-    if (existing) {
-      return res.status(409).json({ error: "An account with this email already exists" });
+    const result = db.prepare("UPDATE users SET role = ? WHERE id = ?").run(role, req.params.id);
+    if (result.changes === 0) return res.status(404).json({ error: "User not found" });
+
+    const user = db.prepare("SELECT id, email, name, role FROM users WHERE id = ?").get(req.params.id);
+    res.json({ user });
+  });
+
+  // ===========================================================
+  // SCORECARD CRITERIA ROUTES (see scorecards.js)
+  // ===========================================================
+
+  // Checks the editable fields of a criterion; returns an error message or null
+  function invalidCriterion({ name, description, industry, stage, weight, position }, { partial = false } = {}) {
+    if (!(partial && name === undefined) && (typeof name !== "string" || !name.trim() || name.length > 80)) {
+      return "Name is required (up to 80 characters)";
+    }
+    if (!(partial && weight === undefined) && !(typeof weight === "number" && weight > 0 && weight <= 100)) {
+      return "Weight must be a number above 0 (up to 100)";
     }
+    for (const [field, value] of Object.entries({ description, industry, stage })) {
+      if (value !== undefined && value !== null && typeof value !== "string") return `${field} must be text or null`;
+    }
+    if (position !== undefined && !Number.isInteger(position)) return "Position must be a whole number";
+    return null;
+  }
 
-    // Hash the password (never store plain text!)
-    const hashedPassword = bcrypt.hashSync(password, 10);
+  /*
+    GET /api/admin/scorecard-criteria
+    Lists criteria, with how many scores each has. Retired ones are
+    included with ?archived=include.
 
-    // Insert the new user
-    try {
-      db.prepare(
-        "INSERT INTO users (email, password, name, role) VALUES (?, ?, ?, 'founder')"
-      ).run(email.toLowerCase(), hashedPassword, name);
+    Filter with ?industry=FinTech&stage=Seed to see one rubric
+    (the criteria that submission would be scored on).
+  */
+  router.get("/admin/scorecard-criteria", requireAuth, requireCapability("scorecard.manage"), (req, res) => {
+    const { industry, stage, archived } = req.query;
+    const conditions = [];
+    const values = [];
+    if (archived !== "include") conditions.push("c.archived_at IS NULL");
+    if (industry) {
+      conditions.push("(c.industry IS NULL OR c.industry = ?)");
+      values.push(industry);
+    }
+    if (stage) {
+      conditions.push("(c.stage IS NULL OR c.stage = ?)");
+      values.push(stage);
+    }
+
+    const criteria = db.prepare(`
+      SELECT c.*, (SELECT COUNT(*) FROM scorecard_scores WHERE criterion_id = c.id) as score_count
+      FROM scorecard_criteria c
+      ${conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ""}
+      ORDER BY c.position, c.id
+    `).all(...values);
+    res.json({ criteria });
+  });
 
-      const user = db.prepare("SELECT id, email, name, role FROM users WHERE email = ?").get(email.toLowerCase());
-      const token = createToken(user);
+  /*
+    POST /api/admin/scorecard-criteria
+    Adds a criterion. Leave industry and/or stage out (or null) to
+    apply it to every industry/stage.
 
-      res.status(201).json({ user, token });
-    } catch (dbErr) {
-      console.error("[Register] DB Error:", dbErr.message);
-      res.status(500).json({ error: "Registration failed: " + dbErr.message });
+    Request body: { name, weight, description?, industry?, stage?, position? }
+  */
+  router.post("/admin/scorecard-criteria", requireAuth, requireCapability("scorecard.manage"), (req, res) => {
+    const error = invalidCriterion(req.body);
+    if (error) return res.status(400).json({ error });
+
+    const { name, description, industry, stage, weight } = req.body;
+    const position = req.body.position !== undefined
+      ? req.body.position
+      : db.prepare("SELECT COALESCE(MAX(position), -1) + 1 as next FROM scorecard_criteria").get().next;
+
+    const result = db.prepare(`
+      INSERT INTO scorecard_criteria (name, description, industry, stage, weight, position, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(name.trim(), description || null, industry || null, stage || null, weight, position, req.user.id);
+
+    const criterion = db.prepare("SELECT * FROM scorecard_criteria WHERE id = ?").get(result.lastInsertRowid);
+    res.status(201).json({ criterion });
+  });
+
+  /*
+    PUT /api/admin/scorecard-criteria/:id
+    Updates any of name, description, industry, stage, weight and
+    position. Existing scores are kept; totals are recomputed with
+    the new weights.
+  */
+  router.put("/admin/scorecard-criteria/:id", requireAuth, requireCapability("scorecard.manage"), (req, res) => {
+    const criterion = db.prepare("SELECT * FROM scorecard_criteria WHERE id = ?").get(req.params.id);
+    if (!criterion) return res.status(404).json({ error: "Criterion not found" });
+
+    const error = invalidCriterion(req.body, { partial: true });
+    if (error) return res.status(400).json({ error });
+
+    const updates = [];
+    const values = [];
+    for (const field of ["name", "description", "industry", "stage", "weight", "position"]) {
+      if (req.body[field] === undefined) continue;
+      updates.push(`${field} = ?`);
+      const value = req.body[field];
+      values.push(typeof value === "string" ? value.trim() || null : value);
     }
+    if (updates.length === 0) return res.status(400).json({ error: "No valid fields to update" });
+
+    db.prepare(`UPDATE scorecard_criteria SET ${updates.join(", ")} WHERE id = ?`).run(...values, criterion.id);
+    const updated = db.prepare("SELECT * FROM scorecard_criteria WHERE id = ?").get(criterion.id);
+    res.json({ criterion: updated });
   });
 
   /*
-    POST /api/auth/login
-    
-    Authenticates a user and returns a JWT token.
-    
-    KEY CONCEPT: Timing-Safe Comparison
-    
-    bcrypt.compareSync() compares the plain password against the hash.
-    It's designed to take the same amount of time whether the password
-    is right or wrong, which prevents "timing attacks" where an attacker
-    measures response time to guess passwords.
-    
-    Request body: { email, password }
-    Response: { user, token }
+    DELETE /api/admin/scorecard-criteria/:id
+    Retires a criterion: it leaves every rubric and total, but its
+    scores are kept. POST .../restore brings it back.
   */
-  router.post("/auth/login", (req, res) => {
-    const { email, password } = req.body;
+  router.delete("/admin/scorecard-criteria/:id", requireAuth, requireCapability("scorecard.manage"), (req, res) => {
+    const result = db.prepare(
+      "UPDATE scorecard_criteria SET archived_at = CURRENT_TIMESTAMP WHERE id = ? AND archived_at IS NULL"
+    ).run(req.params.id);
+    if (result.changes === 0) return res.status(404).json({ error: "Criterion not found" });
+    res.json({ success: true });
+  });
 
-    if (!email || !password) {
-      return res.status(400).json({ error: "Email and password are required" });
+  router.post("/admin/scorecard-criteria/:id/restore", requireAuth, requireCapability("scorecard.manage"), (req, res) => {
+    const result = db.prepare(
+      "UPDATE scorecard_criteria SET archived_at = NULL WHERE id = ? AND archived_at IS NOT NULL"
+    ).run(req.params.id);
+    if (result.changes === 0) return res.status(404).json({ error: "Retired criterion not found" });
+    res.json({ success: true });
+  });
+
+  // ===========================================================
+  // IMPERSONATION ROUTES (see impersonation.js)
+  // ===========================================================
+
+  /*
+    POST /api/admin/users/:id/impersonate
+
+    Returns a token that acts as the given user for 30 minutes.
+    Read-only unless allowWrites is true. A reason is required and
+    is kept in the audit trail.
+
+    Request body: { reason, allowWrites? }
+    Response: { token, impersonation }
+  */
+  router.post("/admin/users/:id/impersonate", requireAuth, requireCapability("user.impersonate"), (req, res) => {
+    const { reason, allowWrites } = req.body;
+
+    if (req.user.impersonation) {
+      return res.status(400).json({ error: "Stop the current impersonation first" });
+    }
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({ error: "A reason is required" });
     }
 
-    const user = db.prepare("SELECT * FROM users WHERE email = ?").get(email.toLowerCase());
+    const target = db.prepare("SELECT id, name, email, role FROM users WHERE id = ? AND deleted_at IS NULL").get(req.params.id);
+    if (!target) return res.status(404).json({ error: "User not found" });
+    if (target.id === req.user.id) return res.status(400).json({ error: "You can't impersonate yourself" });
 
-    if (!user || !bcrypt.compareSync(password, user.password)) {
-      // Same error message for both cases -- don't reveal whether
-      // the email exists (prevents email enumeration attacks)
-      return res.status(401).json({ error: "Invalid email or password" });
+    // Impersonating another admin would be a way around the audit trail
+    const targetCaps = capabilitiesFor(db, target.role);
+    if (targetCaps.has("*") || targetCaps.has("user.impersonate")) {
+      return res.status(403).json({ error: "Admins can't be impersonated" });
     }
 
-    const token = createToken(user);
+    const started = impersonation.startImpersonation(db, req.user, target, {
+      reason: reason.trim(),
+      allowWrites: allowWrites === true,
+    });
+    res.status(201).json(started);
+  });
 
-    // Return user info WITHOUT the password hash
-    const { password: _, ...safeUser } = user;
-    res.json({ user: safeUser, token });
+  /*
+    POST /api/auth/impersonation/stop
+    Called with the impersonation token. Ends it; the admin carries
+    on with their own token.
+  */
+  router.post("/auth/impersonation/stop", requireAuth, (req, res) => {
+    if (!req.user.impersonation) {
+      return res.status(400).json({ error: "Not impersonating" });
+    }
+    impersonation.stopImpersonation(db, req.user.impersonation.id);
+    res.json({ success: true });
   });
 
   /*
-    GET /api/auth/me
-    
-    Returns the currently logged-in user's profile.
-    The frontend calls this on page load to check if the
-    stored token is still valid.
+    GET /api/admin/impersonations
+    Audit trail: every impersonation, newest first, with how many
+    requests were made. Admin only.
   */
-  router.get("/auth/me", requireAuth, (req, res) => {
-    const user = db.prepare(
-      "SELECT id, email, name, role, specialty, bio, linkedin, website, location, created_at FROM users WHERE id = ?"
-    ).get(req.user.id);
+  router.get("/admin/impersonations", requireAuth, requireCapability("user.impersonate"), (req, res) => {
+    const impersonations = db.prepare(`
+      SELECT i.*, a.name as admin_name, t.name as target_name, t.email as target_email,
+        (SELECT COUNT(*) FROM impersonation_events e WHERE e.impersonation_id = i.id AND e.event = 'request') as request_count,
+        (i.ended_at IS NULL AND i.expires_at > datetime('now')) as active
+      FROM impersonations i
+      LEFT JOIN users a ON i.admin_id = a.id
+      LEFT JOIN users t ON i.target_user_id = t.id
+      ORDER BY i.started_at DESC, i.id DESC
+      LIMIT 200
+    `).all();
+    res.json({ impersonations });
+  });
 
-    if (!user) {
-      return res.status(404).json({ error: "User not found" });
-    }
+  /*
+    GET /api/admin/impersonations/:id
+    One impersonation with its full event log. Admin only.
+  */
+  router.get("/admin/impersonations/:id", requireAuth, requireCapability("user.impersonate"), (req, res) => {
+    const record = impersonation.getImpersonation(db, req.params.id);
+    if (!record) return res.status(404).json({ error: "Impersonation not found" });
+
+    const events = db.prepare(
+      "SELECT * FROM impersonation_events WHERE impersonation_id = ? ORDER BY id ASC"
+    ).all(record.id);
+    res.json({ impersonation: record, events });
+  });
 
-    res.json({ user });
+  /*
+    DELETE /api/admin/impersonations/:id
+    Ends an impersonation from the admin side (e.g. a forgotten tab).
+  */
+  router.delete("/admin/impersonations/:id", requireAuth, requireCapability("user.impersonate"), (req, res) => {
+    const record = impersonation.getImpersonation(db, req.params.id);
+    if (!record) return res.status(404).json({ error: "Impersonation not found" });
+    impersonation.stopImpersonation(db, record.id);
+    res.json({ success: true });
   });
 
   // ===========================================================
@@ -206,8 +1491,43 @@ function createRoutes(db) {
     res.json({ user });
   });
 
+  /*
+    PUT /api/profile/password
+
+    Changes the logged-in user's password. Requires the current
+    password, and signs out every other device (this one stays in).
+
+    Request body: { currentPassword, newPassword }
+  */
+  router.put("/profile/password", loginLimiter, requireAuth, (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword || typeof currentPassword !== "string" || typeof newPassword !== "string") {
+      return res.status(400).json({ error: "Current and new password are required" });
+    }
+
+    if (newPassword.length < 8) {
+      return res.status(400).json({ error: "Password must be at least 8 characters" });
+    }
+
+    const user = db.prepare("SELECT id, email, password FROM users WHERE id = ?").get(req.user.id);
+    if (!user) return res.status(404).json({ error: "User not found" });
+    if (accountLocked(req, res, user)) return;
+
+    if (!bcrypt.compareSync(currentPassword, user.password)) {
+      return rejectCredential(req, res, user, "bad_password", 401, "Current password is incorrect");
+    }
+
+    lockout.reset(user.email);
+
+    db.prepare("UPDATE users SET password = ? WHERE id = ?").run(bcrypt.hashSync(newPassword, 10), user.id);
+    const revoked = sessions.revokeAllSessions(db, user.id, req.user.sid);
+
+    res.json({ success: true, revokedSessions: revoked });
+  });
+
   // Admin: update any user's profile
-  router.put("/admin/users/:id/profile", requireAuth, requireRole("admin"), (req, res) => {
+  router.put("/admin/users/:id/profile", requireAuth, requireCapability("user.manage"), (req, res) => {
     const { name, bio, linkedin, website, location, specialty } = req.body;
     const updates = [];
     const values = [];
@@ -237,62 +1557,196 @@ function createRoutes(db) {
   // SUBMISSION ROUTES
   // ===========================================================
 
+  /*
+    Archived submissions are read-only (see deletion.js): anything
+    other than a GET on /submissions/:id/... gets a 409. Archiving
+    and un-archiving live under /admin/submissions, so they aren't
+    caught by this.
+  */
+  router.use("/submissions/:id", (req, res, next) => {
+    if (req.method === "GET" || req.method === "HEAD") return next();
+    const sub = db.prepare("SELECT deleted_at FROM submissions WHERE id = ?").get(req.params.id);
+    if (sub && sub.deleted_at) return res.status(409).json({ error: "This submission is archived" });
+    next();
+  });
+
   /*
     POST /api/submissions
     
-    Creates a new submission. Only founders can do this.
+    Creates a new submission. Only founders with a verified
+    email can do this.
     
-    KEY CONCEPT: Role-Based Access Control (RBAC) in the backend
+    KEY CONCEPT: Access control in the backend
     
-    The requireRole("founder") middleware runs BEFORE this handler.
-    If the user isn't a founder, they get a 403 Forbidden response
-    and this code never executes.
+    The requireCapability("submission.create") middleware runs BEFORE
+    this handler. If the user's role doesn't grant it, they get a 403
+    Forbidden response and this code never executes.
   */
-  router.post("/submissions", requireAuth, requireRole("founder"), (req, res) => {
-    const { companyName, oneLiner, industry, stage, teamSize, website, problem, solution, traction, lookingFor, fundingTarget, additionalNotes } = req.body;
-
-    if (!companyName || !oneLiner || !industry || !stage || !problem || !solution || !traction || !lookingFor) {
-      return res.status(400).json({ error: "Required fields are missing" });
+  router.post("/submissions", requireAuth, requireCapability("submission.create"), requireVerifiedEmail, (req, res) => {
+    const missing = drafts.missingFields(req.body);
+    if (missing.length > 0) {
+      return res.status(400).json({ error: "Required fields are missing", missing });
     }
 
+    const submission = insertSubmission(req.user.id, req.body);
+    alertSavedSearches(submission.id);
+    analyzeInBackground(submission, `Stored analysis for submission ${submission.id}`);
+    res.status(201).json({ submission });
+  });
+
+  // Creates a submission from the form fields ({ companyName, oneLiner, ... })
+  function insertSubmission(userId, fields) {
+    const { companyName, oneLiner, industry, stage, teamSize, website, problem, solution, traction, lookingFor, fundingTarget, additionalNotes } = fields;
+
     // lookingFor comes as an array from the frontend, store as comma-separated
     const lookingForStr = Array.isArray(lookingFor) ? lookingFor.join(",") : lookingFor;
 
-    db.prepare(`
+    const result = db.prepare(`
       INSERT INTO submissions (user_id, company_name, one_liner, industry, stage, team_size, website, problem, solution, traction, looking_for, funding_target, additional_notes)
       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `).run(req.user.id, companyName, oneLiner, industry, stage, teamSize || null, website || null, problem, solution, traction, lookingForStr, fundingTarget || null, additionalNotes || null);
+    `).run(userId, companyName, oneLiner, industry, stage, teamSize || null, website || null, problem, solution, traction, lookingForStr, fundingTarget || null, additionalNotes || null);
 
-    const submission = db.prepare("SELECT * FROM submissions WHERE user_id = ? AND company_name = ? ORDER BY id DESC LIMIT 1").get(req.user.id, companyName);
+    return db.prepare("SELECT * FROM submissions WHERE id = ?").get(result.lastInsertRowid);
+  }
 
-    // Trigger AI analysis asynchronously (don't block response)
-    if (submission) {
-      try {
-        const { analyzeSubmission, enabled: aiEnabled } = require("./ai-analysis");
-        if (aiEnabled) {
-          analyzeSubmission(submission).then(analysis => {
-            if (analysis) {
-              db.prepare("UPDATE submissions SET ai_analysis = ? WHERE id = ?").run(analysis, submission.id);
-              console.log(`[AI] Stored analysis for submission ${submission.id}`);
-            }
-          }).catch(e => console.error("[AI] Async error:", e.message));
+  /*
+    Runs the AI analysis without blocking the response, and stores it.
+    The submission's documents are read first (see attachments.js).
+  */
+  function analyzeInBackground(submission, logMessage) {
+    try {
+      const { analyzeSubmission, enabled: aiEnabled } = require("./ai-analysis");
+      if (!aiEnabled) return;
+      attachments.analysisDocuments(db, storage, submission.id).then(documents => {
+        return analyzeSubmission(submission, documents);
+      }).then(analysis => {
+        if (analysis) {
+          db.prepare("UPDATE submissions SET ai_analysis = ? WHERE id = ?").run(analysis, submission.id);
+          console.log(`[AI] ${logMessage}`);
+          alertSavedSearches(submission.id);
         }
-      } catch (e) {
-        console.log("[AI] Module not available:", e.message);
-      }
+      }).catch(e => console.error("[AI] Async error:", e.message));
+    } catch (e) {
+      console.log("[AI] Module not available:", e.message);
+    }
+  }
+
+  /*
+    Re-analysis after a submission's files change. Uploading a deck,
+    a model and a cap table shouldn't start three full analyses, so
+    it waits until the files have stopped changing for a few seconds
+    and then runs once.
+  */
+  const REANALYSIS_DELAY_MS = 5 * 1000;
+  const pendingReanalysis = new Map(); // submissionId -> timer
+
+  function reanalyseSoon(submissionId) {
+    clearTimeout(pendingReanalysis.get(submissionId));
+    const timer = setTimeout(() => {
+      pendingReanalysis.delete(submissionId);
+      const submission = db.prepare("SELECT * FROM submissions WHERE id = ?").get(submissionId);
+      if (submission) analyzeInBackground(submission, `Re-analysed submission ${submissionId} after its files changed`);
+    }, REANALYSIS_DELAY_MS);
+    timer.unref();
+    pendingReanalysis.set(submissionId, timer);
+  }
+
+  /*
+    Alerts (see alerts.js) are a side effect: like the emails, they
+    must never fail the request that triggered them.
+  */
+  function alertSavedSearches(submissionId) {
+    try {
+      alerts.matchSavedSearches(db, email, submissionId);
+    } catch (e) { console.error("[Alerts] Error:", e.message); }
+  }
+
+  function alertWatchers(submissionId, alert) {
+    try {
+      alerts.notifyWatchers(db, email, submissionId, alert);
+    } catch (e) { console.error("[Alerts] Error:", e.message); }
+  }
+
+  // ===========================================================
+  // DRAFT ROUTES (see drafts.js)
+  // ===========================================================
+
+  /*
+    GET /api/drafts
+    The founder's unsubmitted drafts, most recently saved first. Each
+    comes with `missing` -- the required fields still to fill in.
+  */
+  router.get("/drafts", requireAuth, requireCapability("submission.create"), (req, res) => {
+    res.json({ drafts: drafts.listDrafts(db, req.user.id) });
+  });
+
+  /*
+    POST /api/drafts
+    Starts a draft. Any of the submission fields can be sent; none
+    are required yet.
+
+    Request body: { companyName?, oneLiner?, problem?, ... }
+  */
+  router.post("/drafts", requireAuth, requireCapability("submission.create"), (req, res) => {
+    const error = drafts.invalidDraftFields(req.body);
+    if (error) return res.status(400).json({ error });
+    res.status(201).json({ draft: drafts.createDraft(db, req.user.id, req.body) });
+  });
+
+  router.get("/drafts/:id", requireAuth, requireCapability("submission.create"), (req, res) => {
+    const draft = drafts.getDraft(db, req.params.id, req.user.id);
+    if (!draft) return res.status(404).json({ error: "Draft not found" });
+    res.json({ draft });
+  });
+
+  /*
+    PATCH /api/drafts/:id
+    Autosave. Only the fields sent are changed; null clears one.
+  */
+  router.patch("/drafts/:id", requireAuth, requireCapability("submission.create"), (req, res) => {
+    const error = drafts.invalidDraftFields(req.body);
+    if (error) return res.status(400).json({ error });
+
+    const draft = drafts.updateDraft(db, req.params.id, req.user.id, req.body);
+    if (!draft) return res.status(404).json({ error: "Draft not found" });
+    res.json({ draft });
+  });
+
+  router.delete("/drafts/:id", requireAuth, requireCapability("submission.create"), (req, res) => {
+    if (!drafts.deleteDraft(db, req.params.id, req.user.id)) return res.status(404).json({ error: "Draft not found" });
+    res.json({ success: true });
+  });
+
+  /*
+    POST /api/drafts/:id/submit
+
+    Turns a complete draft into a real submission: the board can see
+    it from now on and the AI analysis starts. The draft is deleted.
+    An incomplete draft gets a 422 listing the missing fields.
+  */
+  router.post("/drafts/:id/submit", requireAuth, requireCapability("submission.create"), requireVerifiedEmail, (req, res) => {
+    const draft = drafts.getDraft(db, req.params.id, req.user.id);
+    if (!draft) return res.status(404).json({ error: "Draft not found" });
+    if (!draft.complete) {
+      return res.status(422).json({ error: "Required fields are missing", missing: draft.missing });
     }
 
-    res.status(201).json({ submission: submission || {} });
+    let submission;
+    db.transaction(() => {
+      submission = insertSubmission(req.user.id, draft.data);
+      drafts.deleteDraft(db, draft.id, req.user.id);
+    })();
+
+    alertSavedSearches(submission.id);
+    analyzeInBackground(submission, `Stored analysis for submission ${submission.id}`);
+    res.status(201).json({ submission });
   });
 
   /*
     POST /api/submissions/:id/ai-analysis
     Regenerate AI analysis for a submission. Board/Admin only.
   */
-  router.post("/submissions/:id/ai-analysis", requireAuth, (req, res) => {
-    if (req.user.role !== "board" && req.user.role !== "admin") {
-      return res.status(403).json({ error: "Access denied" });
-    }
+  router.post("/submissions/:id/ai-analysis", requireAuth, requireCapability("submission.analyze"), (req, res) => {
     const sub = db.prepare("SELECT * FROM submissions WHERE id = ?").get(req.params.id);
     if (!sub) return res.status(404).json({ error: "Submission not found" });
 
@@ -300,9 +1754,12 @@ function createRoutes(db) {
       const { analyzeSubmission, enabled: aiEnabled } = require("./ai-analysis");
       if (!aiEnabled) return res.status(503).json({ error: "AI analysis not configured" });
 
-      analyzeSubmission(sub).then(analysis => {
+      attachments.analysisDocuments(db, storage, sub.id).then(documents => {
+        return analyzeSubmission(sub, documents);
+      }).then(analysis => {
         if (analysis) {
           db.prepare("UPDATE submissions SET ai_analysis = ? WHERE id = ?").run(analysis, sub.id);
+          alertSavedSearches(sub.id);
           res.json({ analysis: JSON.parse(analysis) });
         } else {
           res.status(500).json({ error: "Analysis generation failed" });
@@ -316,48 +1773,48 @@ function createRoutes(db) {
   /*
     PATCH /api/submissions/:id
     Founder edits their own submission.
+
+    Every edit that changes something is kept as a revision (see
+    revisions.js), and editing a material field (problem, traction,
+    ...) re-runs the AI analysis in the background.
   */
-  router.patch("/submissions/:id", requireAuth, requireRole("founder"), (req, res) => {
+  router.patch("/submissions/:id", requireAuth, requireCapability("submission.manage_own"), (req, res) => {
     const sub = db.prepare("SELECT * FROM submissions WHERE id = ?").get(req.params.id);
     if (!sub) return res.status(404).json({ error: "Submission not found" });
     if (sub.user_id !== req.user.id) return res.status(403).json({ error: "Access denied" });
 
     const allowed = ["company_name", "one_liner", "problem", "solution", "traction", "funding_target", "additional_notes"];
-    const updates = [];
-    const values = [];
+    const updates = {};
     for (const [key, val] of Object.entries(req.body)) {
-      if (allowed.includes(key)) {
-        updates.push(`${key} = ?`);
-        values.push(val || null);
-      }
+      if (allowed.includes(key)) updates[key] = val || null;
     }
-    if (updates.length === 0) return res.status(400).json({ error: "No valid fields to update" });
+    if (Object.keys(updates).length === 0) return res.status(400).json({ error: "No valid fields to update" });
 
-    values.push(req.params.id);
-    db.prepare(`UPDATE submissions SET ${updates.join(", ")} WHERE id = ?`).run(...values);
+    const revision = revisions.applyEdit(db, sub, req.user.id, updates);
     const updated = db.prepare("SELECT * FROM submissions WHERE id = ?").get(req.params.id);
-    res.json({ submission: updated });
+
+    if (revision && Object.keys(revision.changes).some(field => revisions.MATERIAL_FIELDS.includes(field))) {
+      analyzeInBackground(updated, `Re-analysed submission ${updated.id} after revision ${revision.revision}`);
+    }
+
+    res.json({
+      submission: withBoardView(updated, req.user),
+      revision: revision ? revision.revision : revisions.currentRevision(db, sub.id),
+    });
   });
 
   /*
     DELETE /api/submissions/:id
     Founder withdraws their submission. Only if status is 'new'.
+    The submission is archived, not deleted (see deletion.js).
   */
-  router.delete("/submissions/:id", requireAuth, requireRole("founder"), (req, res) => {
+  router.delete("/submissions/:id", requireAuth, requireCapability("submission.manage_own"), (req, res) => {
     const sub = db.prepare("SELECT * FROM submissions WHERE id = ?").get(req.params.id);
     if (!sub) return res.status(404).json({ error: "Submission not found" });
     if (sub.user_id !== req.user.id) return res.status(403).json({ error: "Access denied" });
     if (sub.status !== "new") return res.status(400).json({ error: "Can only withdraw submissions with 'Submitted' status" });
 
-    db.prepare("DELETE FROM board_notes WHERE submission_id = ?").run(req.params.id);
-    db.prepare("DELETE FROM tagged_members WHERE submission_id = ?").run(req.params.id);
-    db.prepare("DELETE FROM chat_messages WHERE submission_id = ?").run(req.params.id);
-    db.prepare("DELETE FROM partnerships WHERE submission_id = ?").run(req.params.id);
-    db.prepare("DELETE FROM meeting_requests WHERE submission_id = ?").run(req.params.id);
-    db.prepare("DELETE FROM partnership_messages WHERE submission_id = ?").run(req.params.id);
-    db.prepare("DELETE FROM shared_links WHERE submission_id = ?").run(req.params.id);
-    db.prepare("DELETE FROM submissions WHERE id = ?").run(req.params.id);
-
+    deletion.archiveSubmission(db, sub.id);
     res.json({ success: true });
   });
 
@@ -369,84 +1826,229 @@ function createRoutes(db) {
     - Board members see ALL submissions
     
     Supports filtering via query parameters:
-    ?status=under_review&industry=FinTech&search=neural
+    ?status=under_review&industry=FinTech&stage=Seed&search=neural
+    ?min_readiness=7              (AI readiness score of at least 7)
+    (search looks through all of the submission's text, not just its
+    name; notes and discussion are searched with /api/search)
+
+    Archived submissions are left out unless ?archived=include (both)
+    or ?archived=only.
+
+    Also available to API keys with the "submissions:read" scope.
     
     KEY CONCEPT: Dynamic SQL with Filters
     
     We build WHERE clauses based on query parameters. This is how
     search and filtering work on the backend.
+
+    KEY CONCEPT: Pagination
+
+    The list comes back one page at a time, with the total so the UI
+    can show "1-50 of 3,214":
+      ?limit=50&offset=100          (limit defaults to 50, max 200)
+      ?sort=rating&order=asc        (submitted_at, rating, company_name
+                                     or status; default newest first)
+    Unrated submissions always sort last; status sorts in pipeline
+    order (new -> passed). Sorting by rating is for the board only.
+
+    Each submission comes with its notes, tagged members and chat
+    count. List views that don't need them can ask for less:
+      ?include=tagged_members,chat_count   (no notes)
+      ?include=                            (just the submissions)
+
+    KEY CONCEPT: Avoiding N+1 queries
+
+    Fetching notes with one query per submission means 50 rows = 150
+    queries. Instead we fetch the related rows for the whole page at
+    once (WHERE submission_id IN (...)) and group them in JS.
   */
-  router.get("/submissions", requireAuth, (req, res) => {
-    const { status, industry, search } = req.query;
+  const SUBMISSION_SORTS = {
+    submitted_at: "s.submitted_at",
+    rating: "s.rating",
+    company_name: "s.company_name COLLATE NOCASE",
+    status: `CASE s.status ${SUBMISSION_STATUSES.map((st, i) => `WHEN '${st}' THEN ${i}`).join(" ")} END`,
+  };
+  const SUBMISSION_INCLUDES = ["notes", "tagged_members", "chat_count"];
+
+  /*
+    Adds what board members see on top of the submission itself: the
+    rating aggregates (see ratings.js), the scorecard total (see
+    scorecards.js) and whether it changed since they last looked (see
+    revisions.js). Everyone else gets the rating stripped -- founders
+    never see scores. List routes pass in batch-loaded data.
+  */
+  function withBoardView(sub, user, { summary, scorecard, view } = {}) {
+    const { rating, ...rest } = sub;
+    if (!hasCapability(user, "submission.read_all")) return rest;
+    summary = summary || ratings.ratingSummaries(db, [sub.id], user.id).get(sub.id);
+    scorecard = scorecard || scorecards.scorecardTotals(db, [sub.id]).get(sub.id);
+    view = view || revisions.viewStates(db, [sub.id], user.id).get(sub.id);
+    return {
+      ...rest,
+      rating: summary.average,
+      rating_count: summary.count,
+      rating_spread: summary.spread,
+      my_rating: summary.mine,
+      scorecard_total: scorecard.weighted_total,
+      scorecard_reviewers: scorecard.reviewers,
+      revision: view.revision,
+      last_viewed_revision: view.last_viewed_revision,
+      changed_since_viewed: view.changed_since_viewed,
+    };
+  }
+
+  router.get("/submissions", requireAuth, requireScope("submissions:read"), (req, res) => {
+    const { archived } = req.query;
     const conditions = [];
     const values = [];
 
-    // Role-based filtering
-    if (req.user.role === "founder") {
-      conditions.push("s.user_id = ?");
-      values.push(req.user.id);
+    const sort = req.query.sort || "submitted_at";
+    if (!SUBMISSION_SORTS[sort]) {
+      return res.status(400).json({ error: `sort must be one of: ${Object.keys(SUBMISSION_SORTS).join(", ")}` });
     }
-
-    // Optional filters
-    if (status && status !== "all") {
-      conditions.push("s.status = ?");
-      values.push(status);
+    // Sorting by a hidden score would reveal it -- founders never see ratings
+    if (sort === "rating" && !hasCapability(req.user, "submission.read_all")) {
+      return res.status(400).json({ error: "Only board members can sort by rating" });
     }
-    if (industry && industry !== "all") {
-      conditions.push("s.industry = ?");
-      values.push(industry);
+    const order = req.query.order === "asc" || (!req.query.order && sort === "company_name") ? "ASC" : "DESC";
+    const include = req.query.include === undefined
+      ? SUBMISSION_INCLUDES
+      : String(req.query.include).split(",").map(s => s.trim()).filter(Boolean);
+    const unknownInclude = include.find(name => !SUBMISSION_INCLUDES.includes(name));
+    if (unknownInclude) {
+      return res.status(400).json({ error: `include must be a list of: ${SUBMISSION_INCLUDES.join(", ")}` });
     }
-    if (search) {
-      conditions.push("(s.company_name LIKE ? OR s.one_liner LIKE ? OR s.industry LIKE ?)");
-      const searchTerm = `%${search}%`;
-      values.push(searchTerm, searchTerm, searchTerm);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    if (req.query.min_readiness !== undefined && !(Number(req.query.min_readiness) >= 0)) {
+      return res.status(400).json({ error: "min_readiness must be a number" });
+    }
+
+    if (archived === "only") conditions.push("s.deleted_at IS NOT NULL");
+    else if (archived !== "include") conditions.push("s.deleted_at IS NULL");
+
+    // Without submission.read_all you only see your own
+    if (!hasCapability(req.user, "submission.read_all")) {
+      conditions.push("s.user_id = ?");
+      values.push(req.user.id);
     }
 
+    // Optional filters, the same ones saved searches use (see alerts.js)
+    const filters = alerts.filterConditions(req.query);
+    conditions.push(...filters.conditions);
+    values.push(...filters.values);
+
     const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
 
+    const total = db.prepare(`SELECT COUNT(*) as count FROM submissions s ${whereClause}`).get(...values).count;
+
+    // s.id breaks ties, so pages don't overlap when sort values repeat
+    const sortColumn = SUBMISSION_SORTS[sort];
+    const nullsLast = sort === "rating" ? "s.rating IS NULL, " : "";
     const submissions = db.prepare(`
-      SELECT s.*, u.name as founder_name
+      SELECT s.*, ${displayName("u")} as founder_name
       FROM submissions s
       JOIN users u ON s.user_id = u.id
       ${whereClause}
-      ORDER BY s.submitted_at DESC
+      ORDER BY ${nullsLast}${sortColumn} ${order}, s.id ${order}
+      LIMIT ${limit} OFFSET ${offset}
     `).all(...values);
 
-    // For each submission, fetch related data
-    const enriched = submissions.map(sub => {
+    // Related data for the whole page, grouped by submission id
+    const ids = submissions.map(sub => sub.id);
+    const placeholders = ids.map(() => "?").join(", ");
+    const groupBySubmission = (rows, toItem = row => row) => {
+      const groups = new Map(ids.map(id => [id, []]));
+      for (const row of rows) groups.get(row.submission_id).push(toItem(row));
+      return groups;
+    };
+
+    let notes = null;
+    if (include.includes("notes") && ids.length > 0) {
       // Board notes (founders only see founder_visible ones)
-      const noteCondition = req.user.role === "founder" ? "AND bn.founder_visible = 1" : "";
-      const notes = db.prepare(`
-        SELECT bn.*, u.name as author_name
+      const noteCondition = hasCapability(req.user, "note.read_internal") ? "" : "AND bn.founder_visible = 1";
+      notes = groupBySubmission(db.prepare(`
+        SELECT bn.*, ${displayName("u")} as author_name
         FROM board_notes bn
         JOIN users u ON bn.user_id = u.id
-        WHERE bn.submission_id = ? ${noteCondition}
+        WHERE bn.submission_id IN (${placeholders}) ${noteCondition}
         ORDER BY bn.created_at ASC
-      `).all(sub.id);
+      `).all(...ids));
+    }
 
-      // Tagged members
-      const tagged = db.prepare(`
-        SELECT u.id, u.name, u.specialty
+    let tagged = null;
+    if (include.includes("tagged_members") && ids.length > 0) {
+      tagged = groupBySubmission(db.prepare(`
+        SELECT tm.submission_id, u.id, u.name, u.specialty
         FROM tagged_members tm
         JOIN users u ON tm.user_id = u.id
-        WHERE tm.submission_id = ?
-      `).all(sub.id);
+        WHERE tm.submission_id IN (${placeholders})
+      `).all(...ids), ({ submission_id, ...member }) => member);
+    }
+
+    // Chat message count (discussion participants only)
+    const chatCounts = new Map();
+    if (include.includes("chat_count") && ids.length > 0 && hasCapability(req.user, "discussion.participate")) {
+      db.prepare(`
+        SELECT submission_id, COUNT(*) as count FROM chat_messages
+        WHERE submission_id IN (${placeholders}) GROUP BY submission_id
+      `).all(...ids).forEach(row => chatCounts.set(row.submission_id, row.count));
+    }
 
-      // Chat message count (board only)
-      const chatCount = req.user.role === "board"
-        ? db.prepare("SELECT COUNT(*) as count FROM chat_messages WHERE submission_id = ?").get(sub.id).count
-        : 0;
+    const summaries = ratings.ratingSummaries(db, ids, req.user.id);
+    const scorecardTotals = scorecards.scorecardTotals(db, ids);
+    const views = revisions.viewStates(db, ids, req.user.id);
 
-      return {
-        ...sub,
+    const enriched = submissions.map(sub => {
+      const result = {
+        ...withBoardView(sub, req.user, {
+          summary: summaries.get(sub.id), scorecard: scorecardTotals.get(sub.id), view: views.get(sub.id),
+        }),
         looking_for: sub.looking_for ? sub.looking_for.split(",") : [],
-        notes,
-        tagged_members: tagged,
-        chat_count: chatCount,
       };
+      if (include.includes("notes")) result.notes = notes ? notes.get(sub.id) : [];
+      if (include.includes("tagged_members")) result.tagged_members = tagged ? tagged.get(sub.id) : [];
+      if (include.includes("chat_count")) result.chat_count = chatCounts.get(sub.id) || 0;
+      return result;
+    });
+
+    res.json({
+      submissions: enriched,
+      total,
+      limit,
+      offset,
+      has_more: offset + enriched.length < total,
     });
+  });
+
+  /*
+    GET /api/search?q=m-pesa traction
+
+    Searches submissions, AI analysis summaries, board notes and
+    board discussion at once, best match first (see search.js). Only
+    what the user could open anyway comes back -- founders only find
+    their own submissions and never internal notes.
+
+      ?types=note,chat          (any of submission, analysis, note, chat)
+      ?limit=20&offset=40       (limit defaults to 20, max 100)
+
+    Each result's snippet is HTML: the matching words are wrapped in
+    <mark> and everything else is escaped.
+  */
+  router.get("/search", requireAuth, requireScope("submissions:read"), (req, res) => {
+    const query = String(req.query.q || "").trim();
+    if (!query) return res.status(400).json({ error: "q is required" });
+    const types = req.query.types === undefined
+      ? search.DOC_TYPES
+      : String(req.query.types).split(",").map(t => t.trim()).filter(Boolean);
+    if (types.some(type => !search.DOC_TYPES.includes(type))) {
+      return res.status(400).json({ error: `types must be a list of: ${search.DOC_TYPES.join(", ")}` });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
 
-    res.json({ submissions: enriched });
+    const { total, results } = search.search(db, req.user, { query, types, limit, offset });
+    res.json({ query, results, total, limit, offset, has_more: offset + results.length < total });
   });
 
   /*
@@ -459,9 +2061,9 @@ function createRoutes(db) {
     :id in the URL becomes req.params.id in the handler.
     So GET /api/submissions/42 means req.params.id === "42"
   */
-  router.get("/submissions/:id", requireAuth, (req, res) => {
+  router.get("/submissions/:id", requireAuth, requireScope("submissions:read"), (req, res) => {
     const sub = db.prepare(`
-      SELECT s.*, u.name as founder_name
+      SELECT s.*, ${displayName("u")} as founder_name
       FROM submissions s
       JOIN users u ON s.user_id = u.id
       WHERE s.id = ?
@@ -471,14 +2073,14 @@ function createRoutes(db) {
       return res.status(404).json({ error: "Submission not found" });
     }
 
-    // Founders can only see their own submissions
-    if (req.user.role === "founder" && sub.user_id !== req.user.id) {
+    // Without submission.read_all you can only see your own
+    if (!hasCapability(req.user, "submission.read_all") && sub.user_id !== req.user.id) {
       return res.status(403).json({ error: "Access denied" });
     }
 
-    const noteCondition = req.user.role === "founder" ? "AND bn.founder_visible = 1" : "";
+    const noteCondition = hasCapability(req.user, "note.read_internal") ? "" : "AND bn.founder_visible = 1";
     const notes = db.prepare(`
-      SELECT bn.*, u.name as author_name
+      SELECT bn.*, ${displayName("u")} as author_name
       FROM board_notes bn JOIN users u ON bn.user_id = u.id
       WHERE bn.submission_id = ? ${noteCondition}
       ORDER BY bn.created_at ASC
@@ -490,9 +2092,9 @@ function createRoutes(db) {
       WHERE tm.submission_id = ?
     `).all(sub.id);
 
-    const chatMessages = (req.user.role === "board" || (req.user.role === "founder" && sub.user_id === req.user.id))
+    const chatMessages = (hasCapability(req.user, "discussion.participate") || sub.user_id === req.user.id)
       ? db.prepare(`
-          SELECT cm.*, u.name as author_name
+          SELECT cm.*, ${displayName("u")} as author_name
           FROM chat_messages cm JOIN users u ON cm.user_id = u.id
           WHERE cm.submission_id = ?
           ORDER BY cm.created_at ASC
@@ -500,32 +2102,99 @@ function createRoutes(db) {
       : [];
 
     const partnerships = db.prepare(`
-      SELECT p.*, u.name as partner_name, u.specialty as partner_specialty
+      SELECT p.*, ${displayName("u")} as partner_name, u.specialty as partner_specialty
       FROM partnerships p JOIN users u ON p.user_id = u.id
       WHERE p.submission_id = ?
       ORDER BY p.created_at ASC
     `).all(sub.id);
 
     const meetingRequests = db.prepare(`
-      SELECT mr.*, u.name as requester_name, u.specialty as requester_specialty
+      SELECT mr.*, ${displayName("u")} as requester_name, u.specialty as requester_specialty
       FROM meeting_requests mr JOIN users u ON mr.user_id = u.id
       WHERE mr.submission_id = ?
       ORDER BY mr.created_at DESC
     `).all(sub.id);
 
+    // Who gave which score is board-only. So is the revision tracking:
+    // opening the submission marks the current revision as seen, and
+    // the response says what changed since the previous visit.
+    let view;
+    let boardOnly = {};
+    if (hasCapability(req.user, "submission.read_all")) {
+      view = revisions.viewStates(db, [sub.id], req.user.id).get(sub.id);
+      boardOnly = {
+        ratings: ratings.listRatings(db, sub.id),
+        changes_since_viewed: view.changed_since_viewed
+          ? revisions.changesSince(db, sub.id, view.last_viewed_revision)
+          : {},
+        watching: alerts.isWatching(db, req.user.id, sub.id),
+      };
+      // Only a person actually reading it counts -- not an admin
+      // impersonating them, and not an API integration
+      if (!req.user.impersonation && !req.user.apiKey) revisions.markViewed(db, sub.id, req.user.id);
+    }
+
     res.json({
       submission: {
-        ...sub,
+        ...withBoardView(sub, req.user, { view }),
+        ...boardOnly,
         looking_for: sub.looking_for ? sub.looking_for.split(",") : [],
         notes,
         tagged_members: tagged,
         chat_messages: chatMessages,
         partnerships,
         meeting_requests: meetingRequests,
+        attachments: attachments.listAttachments(db, sub.id, ["submission"]),
       },
     });
   });
 
+  /*
+    GET /api/submissions/:id/revisions
+
+    The submission's edit history, newest first. Each revision lists
+    the fields it changed with their before/after values (see
+    revisions.js). Visible to its founder and the board.
+  */
+  router.get("/submissions/:id/revisions", requireAuth, requireScope("submissions:read"), (req, res) => {
+    const sub = db.prepare("SELECT id, user_id FROM submissions WHERE id = ?").get(req.params.id);
+    if (!sub) return res.status(404).json({ error: "Submission not found" });
+    if (!hasCapability(req.user, "submission.read_all") && sub.user_id !== req.user.id) {
+      return res.status(403).json({ error: "Access denied" });
+    }
+
+    const history = revisions.listRevisions(db, sub.id);
+    res.json({ revision: history.length > 0 ? history[0].revision : 0, revisions: history });
+  });
+
+  /*
+    GET /api/submissions/:id/changes?since=3
+
+    A field-level diff of everything that changed after a revision:
+    each changed field's value then and now. since=0 compares with the
+    original submission. Board members can leave since out to get
+    what changed since they last opened it.
+  */
+  router.get("/submissions/:id/changes", requireAuth, requireScope("submissions:read"), (req, res) => {
+    const sub = db.prepare("SELECT id, user_id FROM submissions WHERE id = ?").get(req.params.id);
+    if (!sub) return res.status(404).json({ error: "Submission not found" });
+    if (!hasCapability(req.user, "submission.read_all") && sub.user_id !== req.user.id) {
+      return res.status(403).json({ error: "Access denied" });
+    }
+
+    let since = req.query.since !== undefined ? Number(req.query.since) : null;
+    if (since === null) {
+      since = revisions.viewStates(db, [sub.id], req.user.id).get(sub.id).last_viewed_revision || 0;
+    }
+    if (!Number.isInteger(since) || since < 0) return res.status(400).json({ error: "since must be a revision number" });
+
+    res.json({
+      since,
+      revision: revisions.currentRevision(db, sub.id),
+      changes: revisions.changesSince(db, sub.id, since),
+    });
+  });
+
   /*
     PATCH /api/submissions/:id/status
     
@@ -536,45 +2205,111 @@ function createRoutes(db) {
     PUT replaces the entire resource. PATCH updates specific fields.
     Changing just the status is a PATCH operation.
   */
-  router.patch("/submissions/:id/status", requireAuth, requireRole("board"), (req, res) => {
+  router.patch("/submissions/:id/status", requireAuth, requireCapability("submission.update_status"), (req, res) => {
     const { status } = req.body;
-    const valid = ["new", "under_review", "more_info", "approved", "passed"];
-
-    if (!valid.includes(status)) {
+    if (!SUBMISSION_STATUSES.includes(status)) {
       return res.status(400).json({ error: "Invalid status" });
     }
 
+    const before = db.prepare("SELECT status FROM submissions WHERE id = ?").get(req.params.id);
     db.prepare("UPDATE submissions SET status = ? WHERE id = ?").run(status, req.params.id);
 
-    // Email founder about status change
+    // Email founder about status change (verified addresses only)
     try {
       const sub = db.prepare("SELECT company_name, user_id FROM submissions WHERE id = ?").get(req.params.id);
       if (sub) {
-        const founder = db.prepare("SELECT name, email FROM users WHERE id = ?").get(sub.user_id);
-        if (founder) {
+        const founder = db.prepare("SELECT name, email, verified_at FROM users WHERE id = ?").get(sub.user_id);
+        if (founder && founder.verified_at) {
           const tmpl = email.statusChangeEmail(founder.name, sub.company_name, status);
           email.sendEmail(founder.email, tmpl.subject, tmpl.html).catch(() => {});
         }
       }
     } catch (emailErr) { console.error("[Email] Error:", emailErr.message); }
 
+    if (before && before.status !== status) {
+      alertWatchers(req.params.id, {
+        type: "watch_status",
+        message: `Status changed to ${status.replace(/_/g, " ")}`,
+        actorId: req.user.id,
+      });
+    }
+
     res.json({ success: true, status });
   });
 
   /*
     PATCH /api/submissions/:id/rating
     
-    Sets a board member's rating on a submission.
+    Sets the current board member's own rating on a submission, with
+    an optional comment. Rating again replaces it. Returns the
+    submission's updated aggregates (see ratings.js).
+
+    Body: { rating: 4, comment: "Great team, early market" }
   */
-  router.patch("/submissions/:id/rating", requireAuth, requireRole("board"), (req, res) => {
-    const { rating } = req.body;
+  router.patch("/submissions/:id/rating", requireAuth, requireCapability("submission.rate"), (req, res) => {
+    const { rating, comment } = req.body;
+
+    if (!(typeof rating === "number" && Number.isInteger(rating) && rating >= 1 && rating <= 5)) {
+      return res.status(400).json({ error: "Rating must be a whole number from 1 to 5" });
+    }
+    if (comment !== undefined && comment !== null && typeof comment !== "string") {
+      return res.status(400).json({ error: "Comment must be text" });
+    }
+
+    const sub = db.prepare("SELECT id FROM submissions WHERE id = ?").get(req.params.id);
+    if (!sub) return res.status(404).json({ error: "Submission not found" });
 
-    if (!rating || rating < 1 || rating > 5) {
-      return res.status(400).json({ error: "Rating must be between 1 and 5" });
+    const summary = ratings.rateSubmission(db, sub.id, req.user.id, rating, (comment || "").trim() || null);
+    res.json({
+      success: true,
+      rating: summary.mine.rating,
+      comment: summary.mine.comment,
+      average: summary.average,
+      count: summary.count,
+      spread: summary.spread,
+    });
+  });
+
+  /*
+    DELETE /api/submissions/:id/rating
+    Withdraws the current board member's rating.
+  */
+  router.delete("/submissions/:id/rating", requireAuth, requireCapability("submission.rate"), (req, res) => {
+    if (!ratings.removeRating(db, req.params.id, req.user.id)) {
+      return res.status(404).json({ error: "You haven't rated this submission" });
     }
+    res.json({ success: true });
+  });
+
+  /*
+    GET /api/submissions/:id/scorecard
+
+    The submission's rubric (the criteria for its industry and stage)
+    with each criterion's average across reviewers, your own scores,
+    the weighted total and every reviewer's total (see scorecards.js).
+  */
+  router.get("/submissions/:id/scorecard", requireAuth, requireCapability("submission.read_all"), (req, res) => {
+    const sub = db.prepare("SELECT id, industry, stage FROM submissions WHERE id = ?").get(req.params.id);
+    if (!sub) return res.status(404).json({ error: "Submission not found" });
+    res.json({ scorecard: scorecards.scorecardFor(db, sub, req.user.id) });
+  });
+
+  /*
+    PUT /api/submissions/:id/scorecard
+    Saves the current board member's scores. Only the criteria sent
+    are changed; a null score clears one.
 
-    db.prepare("UPDATE submissions SET rating = ? WHERE id = ?").run(rating, req.params.id);
-    res.json({ success: true, rating });
+    Body: { scores: [{ criterion_id: 1, score: 4, comment: "Strong team" }, ...] }
+  */
+  router.put("/submissions/:id/scorecard", requireAuth, requireCapability("submission.rate"), (req, res) => {
+    const sub = db.prepare("SELECT id, industry, stage FROM submissions WHERE id = ?").get(req.params.id);
+    if (!sub) return res.status(404).json({ error: "Submission not found" });
+
+    const error = scorecards.invalidScores(scorecards.rubricFor(db, sub), req.body.scores);
+    if (error) return res.status(400).json({ error });
+
+    scorecards.saveScores(db, sub.id, req.user.id, req.body.scores);
+    res.json({ scorecard: scorecards.scorecardFor(db, sub, req.user.id) });
   });
 
   // ===========================================================
@@ -585,8 +2320,9 @@ function createRoutes(db) {
     POST /api/submissions/:id/notes
     
     Adds a board note to a submission.
+    Also available to API keys with the "notes:write" scope.
   */
-  router.post("/submissions/:id/notes", requireAuth, requireRole("board"), (req, res) => {
+  router.post("/submissions/:id/notes", requireAuth, requireScope("notes:write"), requireCapability("note.write_internal"), (req, res) => {
     const { text, founderVisible } = req.body;
 
     if (!text || !text.trim()) {
@@ -598,11 +2334,19 @@ function createRoutes(db) {
     ).run(req.params.id, req.user.id, text, founderVisible ? 1 : 0);
 
     const note = db.prepare(`
-      SELECT bn.*, u.name as author_name
+      SELECT bn.*, ${displayName("u")} as author_name
       FROM board_notes bn JOIN users u ON bn.user_id = u.id
       WHERE bn.id = ?
     `).get(result.lastInsertRowid);
 
+    // Internal notes only reach watchers who may read them
+    alertWatchers(req.params.id, {
+      type: "watch_note",
+      message: `New ${note.founder_visible ? "" : "internal "}note from ${note.author_name}`,
+      actorId: req.user.id,
+      capabilities: note.founder_visible ? [] : ["note.read_internal"],
+    });
+
     res.status(201).json({ note });
   });
 
@@ -617,12 +2361,14 @@ function createRoutes(db) {
     is a no-op (does nothing). The UNIQUE constraint on (submission_id, user_id)
     prevents duplicates, and OR IGNORE means we don't throw an error.
   */
-  router.post("/submissions/:id/tag", requireAuth, requireRole("board"), (req, res) => {
+  router.post("/submissions/:id/tag", requireAuth, requireCapability("submission.tag"), (req, res) => {
     const { userId } = req.body;
 
     if (!userId) {
       return res.status(400).json({ error: "userId is required" });
     }
+    const member = db.prepare("SELECT id FROM users WHERE id = ? AND deleted_at IS NULL").get(userId);
+    if (!member) return res.status(404).json({ error: "User not found" });
 
     db.prepare(
       "INSERT OR IGNORE INTO tagged_members (submission_id, user_id, tagged_by) VALUES (?, ?, ?)"
@@ -636,7 +2382,7 @@ function createRoutes(db) {
     
     Removes a tag from a submission.
   */
-  router.delete("/submissions/:id/tag/:userId", requireAuth, requireRole("board"), (req, res) => {
+  router.delete("/submissions/:id/tag/:userId", requireAuth, requireCapability("submission.tag"), (req, res) => {
     db.prepare(
       "DELETE FROM tagged_members WHERE submission_id = ? AND user_id = ?"
     ).run(req.params.id, req.params.userId);
@@ -657,11 +2403,10 @@ function createRoutes(db) {
     }
 
     // Board can chat on any submission, founders only on their own
-    if (req.user.role === "founder") {
-      const sub = db.prepare("SELECT user_id FROM submissions WHERE id = ?").get(req.params.id);
-      if (!sub || sub.user_id !== req.user.id) {
-        return res.status(403).json({ error: "Access denied" });
-      }
+    const sub = db.prepare("SELECT user_id FROM submissions WHERE id = ?").get(req.params.id);
+    if (!sub) return res.status(404).json({ error: "Submission not found" });
+    if (!hasCapability(req.user, "discussion.participate") && sub.user_id !== req.user.id) {
+      return res.status(403).json({ error: "Access denied" });
     }
 
     const result = db.prepare(
@@ -669,7 +2414,7 @@ function createRoutes(db) {
     ).run(req.params.id, req.user.id, text);
 
     const message = db.prepare(`
-      SELECT cm.*, u.name as author_name
+      SELECT cm.*, ${displayName("u")} as author_name
       FROM chat_messages cm JOIN users u ON cm.user_id = u.id
       WHERE cm.id = ?
     `).get(result.lastInsertRowid);
@@ -687,7 +2432,7 @@ function createRoutes(db) {
     Board member claims a Partner spot on a submission.
     Max 3 partners per submission.
   */
-  router.post("/submissions/:id/partner", requireAuth, requireRole("board"), (req, res) => {
+  router.post("/submissions/:id/partner", requireAuth, requireCapability("partnership.request"), (req, res) => {
     const subId = req.params.id;
 
     // Check submission exists
@@ -711,15 +2456,15 @@ function createRoutes(db) {
     ).run(subId, req.user.id);
 
     const partnership = db.prepare(`
-      SELECT p.*, u.name as partner_name, u.specialty as partner_specialty
+      SELECT p.*, ${displayName("u")} as partner_name, u.specialty as partner_specialty
       FROM partnerships p JOIN users u ON p.user_id = u.id
       WHERE p.id = ?
     `).get(result.lastInsertRowid);
 
-    // Email founder about new partner request
+    // Email founder about new partner request (verified addresses only)
     try {
-      const founder = db.prepare("SELECT name, email FROM users WHERE id = ?").get(sub.user_id);
-      if (founder && partnership) {
+      const founder = db.prepare("SELECT name, email, verified_at FROM users WHERE id = ?").get(sub.user_id);
+      if (founder && founder.verified_at && partnership) {
         const tmpl = email.partnerRequestEmail(founder.name, partnership.partner_name, partnership.partner_specialty, sub.company_name);
         email.sendEmail(founder.email, tmpl.subject, tmpl.html).catch(() => {});
       }
@@ -733,7 +2478,7 @@ function createRoutes(db) {
     
     Board member withdraws their partner request (only if still pending).
   */
-  router.delete("/submissions/:id/partner", requireAuth, requireRole("board"), (req, res) => {
+  router.delete("/submissions/:id/partner", requireAuth, requireCapability("partnership.request"), (req, res) => {
     const result = db.prepare(
       "DELETE FROM partnerships WHERE submission_id = ? AND user_id = ? AND status = 'pending'"
     ).run(req.params.id, req.user.id);
@@ -755,12 +2500,12 @@ function createRoutes(db) {
     if (!sub) return res.status(404).json({ error: "Submission not found" });
 
     // Founders can only see partners for their own submissions
-    if (req.user.role === "founder" && sub.user_id !== req.user.id) {
+    if (!hasCapability(req.user, "submission.read_all") && sub.user_id !== req.user.id) {
       return res.status(403).json({ error: "Access denied" });
     }
 
     const partners = db.prepare(`
-      SELECT p.*, u.name as partner_name, u.specialty as partner_specialty
+      SELECT p.*, ${displayName("u")} as partner_name, u.specialty as partner_specialty
       FROM partnerships p JOIN users u ON p.user_id = u.id
       WHERE p.submission_id = ?
       ORDER BY p.created_at ASC
@@ -774,7 +2519,7 @@ function createRoutes(db) {
     
     Founder accepts or declines a partnership request.
   */
-  router.patch("/partnerships/:id/respond", requireAuth, requireRole("founder"), (req, res) => {
+  router.patch("/partnerships/:id/respond", requireAuth, requireCapability("submission.manage_own"), (req, res) => {
     const { response } = req.body;
     if (!["accepted", "declined"].includes(response)) {
       return res.status(400).json({ error: "Response must be 'accepted' or 'declined'" });
@@ -796,17 +2541,26 @@ function createRoutes(db) {
       "UPDATE partnerships SET status = ?, responded_at = CURRENT_TIMESTAMP WHERE id = ?"
     ).run(response, req.params.id);
 
-    // Email board member about the response
+    // Email board member about the response (verified addresses only)
     try {
-      const boardMember = db.prepare("SELECT name, email FROM users WHERE id = ?").get(partnership.user_id);
+      const boardMember = db.prepare("SELECT name, email, verified_at FROM users WHERE id = ?").get(partnership.user_id);
       const founderUser = db.prepare("SELECT name FROM users WHERE id = ?").get(req.user.id);
       const sub = db.prepare("SELECT company_name FROM submissions WHERE id = ?").get(partnership.submission_id);
-      if (boardMember && founderUser && sub) {
+      if (boardMember && boardMember.verified_at && founderUser && sub) {
         const tmpl = email.partnerResponseEmail(boardMember.name, founderUser.name, sub.company_name, response === "accepted");
         email.sendEmail(boardMember.email, tmpl.subject, tmpl.html).catch(() => {});
       }
     } catch (emailErr) { console.error("[Email] Error:", emailErr.message); }
 
+    if (response === "accepted") {
+      const partner = db.prepare("SELECT name FROM users WHERE id = ?").get(partnership.user_id);
+      alertWatchers(partnership.submission_id, {
+        type: "watch_partner",
+        message: `${partner ? partner.name : "A board member"} is now a partner`,
+        actorId: partnership.user_id,
+      });
+    }
+
     res.json({ success: true, status: response });
   });
 
@@ -820,7 +2574,7 @@ function createRoutes(db) {
     Board member requests a meeting with the founder.
     Creates a meeting request AND posts a chat message.
   */
-  router.post("/submissions/:id/meeting", requireAuth, requireRole("board"), (req, res) => {
+  router.post("/submissions/:id/meeting", requireAuth, requireCapability("meeting.request"), (req, res) => {
     const { message } = req.body;
     const subId = req.params.id;
 
@@ -843,15 +2597,15 @@ function createRoutes(db) {
     ).run(subId, req.user.id, chatText);
 
     const meetingRequest = db.prepare(`
-      SELECT mr.*, u.name as requester_name, u.specialty as requester_specialty
+      SELECT mr.*, ${displayName("u")} as requester_name, u.specialty as requester_specialty
       FROM meeting_requests mr JOIN users u ON mr.user_id = u.id
       WHERE mr.id = ?
     `).get(result.lastInsertRowid);
 
-    // Email founder about meeting request
+    // Email founder about meeting request (verified addresses only)
     try {
-      const founder = db.prepare("SELECT name, email FROM users WHERE id = ?").get(sub.user_id);
-      if (founder && meetingRequest) {
+      const founder = db.prepare("SELECT name, email, verified_at FROM users WHERE id = ?").get(sub.user_id);
+      if (founder && founder.verified_at && meetingRequest) {
         const tmpl = email.meetingRequestEmail(founder.name, meetingRequest.requester_name, meetingRequest.requester_specialty, sub.company_name, meetingMsg);
         email.sendEmail(founder.email, tmpl.subject, tmpl.html).catch(() => {});
       }
@@ -865,14 +2619,14 @@ function createRoutes(db) {
     
     Founder gets all partnership requests across their submissions.
   */
-  router.get("/my/partnerships", requireAuth, requireRole("founder"), (req, res) => {
+  router.get("/my/partnerships", requireAuth, requireCapability("submission.manage_own"), (req, res) => {
     const partnerships = db.prepare(`
-      SELECT p.*, u.name as partner_name, u.specialty as partner_specialty,
+      SELECT p.*, ${displayName("u")} as partner_name, u.specialty as partner_specialty,
              s.company_name, s.one_liner, s.id as submission_id
       FROM partnerships p
       JOIN users u ON p.user_id = u.id
       JOIN submissions s ON p.submission_id = s.id
-      WHERE s.user_id = ?
+      WHERE s.user_id = ? AND s.deleted_at IS NULL
       ORDER BY p.created_at DESC
     `).all(req.user.id);
 
@@ -884,14 +2638,14 @@ function createRoutes(db) {
     
     Founder gets all meeting requests across their submissions.
   */
-  router.get("/my/meetings", requireAuth, requireRole("founder"), (req, res) => {
+  router.get("/my/meetings", requireAuth, requireCapability("submission.manage_own"), (req, res) => {
     const meetings = db.prepare(`
-      SELECT mr.*, u.name as requester_name, u.specialty as requester_specialty,
+      SELECT mr.*, ${displayName("u")} as requester_name, u.specialty as requester_specialty,
              s.company_name, s.id as submission_id
       FROM meeting_requests mr
       JOIN users u ON mr.user_id = u.id
       JOIN submissions s ON mr.submission_id = s.id
-      WHERE s.user_id = ?
+      WHERE s.user_id = ? AND s.deleted_at IS NULL
       ORDER BY mr.created_at DESC
     `).all(req.user.id);
 
@@ -910,24 +2664,24 @@ function createRoutes(db) {
   */
   router.get("/active-partnerships", requireAuth, (req, res) => {
     let subs;
-    if (req.user.role === "founder") {
+    if (!hasCapability(req.user, "partnership.request")) {
       subs = db.prepare(`
         SELECT DISTINCT s.* FROM submissions s
         JOIN partnerships p ON p.submission_id = s.id
-        WHERE s.user_id = ? AND p.status = 'accepted'
+        WHERE s.user_id = ? AND p.status = 'accepted' AND s.deleted_at IS NULL
       `).all(req.user.id);
     } else {
       subs = db.prepare(`
         SELECT DISTINCT s.* FROM submissions s
         JOIN partnerships p ON p.submission_id = s.id
-        WHERE p.user_id = ? AND p.status = 'accepted'
+        WHERE p.user_id = ? AND p.status = 'accepted' AND s.deleted_at IS NULL
       `).all(req.user.id);
     }
 
     // Enrich each submission with its accepted partners
     const enriched = subs.map(s => {
       const partners = db.prepare(`
-        SELECT p.*, u.name as partner_name, u.specialty as partner_specialty
+        SELECT p.*, ${displayName("u")} as partner_name, u.specialty as partner_specialty
         FROM partnerships p JOIN users u ON p.user_id = u.id
         WHERE p.submission_id = ? AND p.status = 'accepted'
       `).all(s.id);
@@ -949,27 +2703,27 @@ function createRoutes(db) {
     if (!sub) return res.status(404).json({ error: "Submission not found" });
 
     // Check access: must be founder or accepted partner
-    const isFounder = req.user.role === "founder" && sub.user_id === req.user.id;
+    const isFounder = sub.user_id === req.user.id;
     const isPartner = db.prepare(
       "SELECT id FROM partnerships WHERE submission_id = ? AND user_id = ? AND status = 'accepted'"
     ).get(subId, req.user.id);
     if (!isFounder && !isPartner) return res.status(403).json({ error: "Access denied" });
 
     const messages = db.prepare(`
-      SELECT pm.*, u.name as author_name, u.role as author_role
+      SELECT pm.*, ${displayName("u")} as author_name, u.role as author_role
       FROM partnership_messages pm JOIN users u ON pm.user_id = u.id
       WHERE pm.submission_id = ?
       ORDER BY pm.created_at ASC
     `).all(subId);
 
     const links = db.prepare(`
-      SELECT sl.*, u.name as author_name
+      SELECT sl.*, ${displayName("u")} as author_name
       FROM shared_links sl JOIN users u ON sl.user_id = u.id
       WHERE sl.submission_id = ?
       ORDER BY sl.created_at DESC
     `).all(subId);
 
-    res.json({ messages, links });
+    res.json({ messages, links, attachments: attachments.listAttachments(db, sub.id, ["partnership"]) });
   });
 
   /*
@@ -985,7 +2739,7 @@ function createRoutes(db) {
     const sub = db.prepare("SELECT * FROM submissions WHERE id = ?").get(subId);
     if (!sub) return res.status(404).json({ error: "Submission not found" });
 
-    const isFounder = req.user.role === "founder" && sub.user_id === req.user.id;
+    const isFounder = sub.user_id === req.user.id;
     const isPartner = db.prepare(
       "SELECT id FROM partnerships WHERE submission_id = ? AND user_id = ? AND status = 'accepted'"
     ).get(subId, req.user.id);
@@ -996,7 +2750,7 @@ function createRoutes(db) {
     ).run(subId, req.user.id, text);
 
     const message = db.prepare(`
-      SELECT pm.*, u.name as author_name, u.role as author_role
+      SELECT pm.*, ${displayName("u")} as author_name, u.role as author_role
       FROM partnership_messages pm JOIN users u ON pm.user_id = u.id
       WHERE pm.id = ?
     `).get(result.lastInsertRowid);
@@ -1017,7 +2771,7 @@ function createRoutes(db) {
     const sub = db.prepare("SELECT * FROM submissions WHERE id = ?").get(subId);
     if (!sub) return res.status(404).json({ error: "Submission not found" });
 
-    const isFounder = req.user.role === "founder" && sub.user_id === req.user.id;
+    const isFounder = sub.user_id === req.user.id;
     const isPartner = db.prepare(
       "SELECT id FROM partnerships WHERE submission_id = ? AND user_id = ? AND status = 'accepted'"
     ).get(subId, req.user.id);
@@ -1028,7 +2782,7 @@ function createRoutes(db) {
     ).run(subId, req.user.id, url, title || null);
 
     const link = db.prepare(`
-      SELECT sl.*, u.name as author_name
+      SELECT sl.*, ${displayName("u")} as author_name
       FROM shared_links sl JOIN users u ON sl.user_id = u.id
       WHERE sl.id = ?
     `).get(result.lastInsertRowid);
@@ -1036,6 +2790,278 @@ function createRoutes(db) {
     res.status(201).json({ link });
   });
 
+  // ===========================================================
+  // SAVED SEARCH, WATCHLIST & NOTIFICATION ROUTES (see alerts.js)
+  // ===========================================================
+
+  function invalidSavedSearch({ name, filters, emailAlerts }, { partial = false } = {}) {
+    if (!(partial && name === undefined) && (typeof name !== "string" || !name.trim() || name.trim().length > 100)) {
+      return "Name is required (at most 100 characters)";
+    }
+    if (!(partial && filters === undefined)) {
+      const error = alerts.invalidFilters(filters);
+      if (error) return error;
+    }
+    if (emailAlerts !== undefined && typeof emailAlerts !== "boolean") return "emailAlerts must be true or false";
+    return null;
+  }
+
+  router.get("/saved-searches", requireAuth, requireCapability("submission.read_all"), (req, res) => {
+    res.json({ saved_searches: alerts.listSavedSearches(db, req.user.id) });
+  });
+
+  /*
+    POST /api/saved-searches
+
+    Saves a named set of GET /api/submissions filters. From now on the
+    board member is notified whenever a new submission matches.
+
+    Request body: {
+      name: "Seed CleanTech",
+      filters: { industry: "CleanTech", stage: "Seed" },   (or status,
+               search, min_readiness: 7)
+      emailAlerts: true                                      (default)
+    }
+  */
+  router.post("/saved-searches", requireAuth, requireCapability("submission.read_all"), (req, res) => {
+    const error = invalidSavedSearch(req.body);
+    if (error) return res.status(400).json({ error });
+    const name = req.body.name.trim();
+    if (alerts.savedSearchNamed(db, req.user.id, name)) {
+      return res.status(409).json({ error: "You already have a saved search with that name" });
+    }
+    const savedSearch = alerts.createSavedSearch(db, req.user.id, { ...req.body, name });
+    res.status(201).json({ saved_search: savedSearch });
+  });
+
+  // Changes any of name, filters and emailAlerts
+  router.patch("/saved-searches/:id", requireAuth, requireCapability("submission.read_all"), (req, res) => {
+    const error = invalidSavedSearch(req.body, { partial: true });
+    if (error) return res.status(400).json({ error });
+    const name = req.body.name === undefined ? undefined : req.body.name.trim();
+    const sameName = name !== undefined && alerts.savedSearchNamed(db, req.user.id, name);
+    if (sameName && String(sameName.id) !== String(req.params.id)) {
+      return res.status(409).json({ error: "You already have a saved search with that name" });
+    }
+    const savedSearch = alerts.updateSavedSearch(db, req.params.id, req.user.id, { ...req.body, name });
+    if (!savedSearch) return res.status(404).json({ error: "Saved search not found" });
+    res.json({ saved_search: savedSearch });
+  });
+
+  router.delete("/saved-searches/:id", requireAuth, requireCapability("submission.read_all"), (req, res) => {
+    if (!alerts.deleteSavedSearch(db, req.params.id, req.user.id)) return res.status(404).json({ error: "Saved search not found" });
+    res.json({ success: true });
+  });
+
+  router.get("/watchlist", requireAuth, requireCapability("submission.read_all"), (req, res) => {
+    res.json({ watchlist: alerts.listWatched(db, req.user.id) });
+  });
+
+  /*
+    POST /api/watchlist
+
+    Watches a submission: the board member is notified when its status
+    changes, it gets a note or a founder accepts a partner. Watching
+    it again just changes emailAlerts.
+
+    Request body: { submissionId: 42, emailAlerts: true }
+  */
+  router.post("/watchlist", requireAuth, requireCapability("submission.read_all"), (req, res) => {
+    const { submissionId, emailAlerts } = req.body;
+    if (emailAlerts !== undefined && typeof emailAlerts !== "boolean") {
+      return res.status(400).json({ error: "emailAlerts must be true or false" });
+    }
+    const sub = submissionId && db.prepare("SELECT id, deleted_at FROM submissions WHERE id = ?").get(submissionId);
+    if (!sub) return res.status(404).json({ error: "Submission not found" });
+    if (sub.deleted_at) return res.status(409).json({ error: "This submission is archived" });
+
+    alerts.watchSubmission(db, req.user.id, sub.id, { emailAlerts: emailAlerts !== false });
+    res.status(201).json({ watchlist: alerts.listWatched(db, req.user.id) });
+  });
+
+  // Stops watching (also works once a submission is archived)
+  router.delete("/watchlist/:submissionId", requireAuth, requireCapability("submission.read_all"), (req, res) => {
+    if (!alerts.unwatchSubmission(db, req.user.id, req.params.submissionId)) {
+      return res.status(404).json({ error: "You're not watching that submission" });
+    }
+    res.json({ success: true });
+  });
+
+  /*
+    GET /api/notifications
+
+    The user's in-app notifications, newest first, with how many are
+    unread (for the badge).
+      ?unread=1                 (unread only)
+      ?limit=50&offset=0        (limit defaults to 50, max 200)
+  */
+  router.get("/notifications", requireAuth, (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const unreadOnly = req.query.unread === "1" || req.query.unread === "true";
+
+    const { notifications, total } = alerts.listNotifications(db, req.user.id, { unreadOnly, limit, offset });
+    res.json({
+      notifications,
+      unread: alerts.unreadCount(db, req.user.id),
+      total,
+      limit,
+      offset,
+      has_more: offset + notifications.length < total,
+    });
+  });
+
+  router.post("/notifications/:id/read", requireAuth, (req, res) => {
+    if (!alerts.markRead(db, req.params.id, req.user.id)) return res.status(404).json({ error: "Notification not found" });
+    res.json({ success: true, unread: alerts.unreadCount(db, req.user.id) });
+  });
+
+  router.post("/notifications/read-all", requireAuth, (req, res) => {
+    alerts.markAllRead(db, req.user.id);
+    res.json({ success: true, unread: 0 });
+  });
+
+  // ===========================================================
+  // ATTACHMENT ROUTES (see attachments.js)
+  // ===========================================================
+
+  /*
+    Reads the raw request body (the file itself) into req.body as a
+    Buffer, up to the upload limit. Runs only after the upload has
+    been authorised, so nobody can make us buffer 20 MB for nothing.
+  */
+  const rawUpload = express.raw({ type: () => true, limit: attachments.UPLOAD_MAX_BYTES });
+  function readUpload(req, res, next) {
+    rawUpload(req, res, err => {
+      if (err && err.type === "entity.too.large") {
+        const megabytes = Math.round(attachments.UPLOAD_MAX_BYTES / (1024 * 1024));
+        return res.status(413).json({ error: `Files can be at most ${megabytes} MB` });
+      }
+      if (err) return res.status(400).json({ error: "Could not read the upload" });
+      next();
+    });
+  }
+
+  /*
+    POST /api/submissions/:id/attachments?filename=deck.pdf&kind=pitch_deck&scope=submission
+
+    Uploads a file. The body is the file's bytes (not JSON or a
+    form), with its Content-Type. kind is one of pitch_deck,
+    financial_model, cap_table or other; scope is "submission"
+    (founder only, the default) or "partnership" (founder or an
+    accepted partner).
+  */
+  router.post("/submissions/:id/attachments", requireAuth, (req, res) => {
+    const sub = db.prepare("SELECT id, user_id FROM submissions WHERE id = ?").get(req.params.id);
+    if (!sub) return res.status(404).json({ error: "Submission not found" });
+
+    const { scope = "submission", kind = "other" } = req.query;
+    if (!attachments.SCOPES.includes(scope)) {
+      return res.status(400).json({ error: `scope must be one of: ${attachments.SCOPES.join(", ")}` });
+    }
+    if (!attachments.KINDS.includes(kind)) {
+      return res.status(400).json({ error: `kind must be one of: ${attachments.KINDS.join(", ")}` });
+    }
+    const filename = attachments.cleanFilename(req.query.filename);
+    if (!filename) return res.status(400).json({ error: "filename is required" });
+
+    if (!attachments.permissionsFor(db, req.user, sub).upload[scope]) {
+      return res.status(403).json({ error: "Access denied" });
+    }
+    const tooMany = `A submission can have at most ${attachments.MAX_ATTACHMENTS_PER_SUBMISSION} files`;
+    if (attachments.countAttachments(db, sub.id) >= attachments.MAX_ATTACHMENTS_PER_SUBMISSION) {
+      return res.status(409).json({ error: tooMany });
+    }
+
+    readUpload(req, res, () => {
+      if (!Buffer.isBuffer(req.body)) return res.status(400).json({ error: "Send the file itself as the request body" });
+      const checked = attachments.checkFile(filename, req.get("content-type"), req.body);
+      if (checked.error) return res.status(415).json({ error: checked.error });
+
+      attachments.saveAttachment(db, storage, {
+        submissionId: sub.id, userId: req.user.id, scope, kind, filename,
+        contentType: checked.contentType, data: req.body,
+      }).then(attachment => {
+        if (!attachment) return res.status(409).json({ error: tooMany });
+        res.status(201).json({ attachment });
+        // A new deck is worth a fresh look
+        if (scope === "submission" && documentText.canExtract(attachment.content_type)) {
+          reanalyseSoon(sub.id);
+        }
+      }).catch(err => {
+        console.error("[Attachments] Upload error:", err.message);
+        res.status(500).json({ error: "Could not store the file" });
+      });
+    });
+  });
+
+  /*
+    GET /api/submissions/:id/attachments
+    The submission's files the user is allowed to see, newest first.
+  */
+  router.get("/submissions/:id/attachments", requireAuth, requireScope("submissions:read"), (req, res) => {
+    const sub = db.prepare("SELECT id, user_id FROM submissions WHERE id = ?").get(req.params.id);
+    if (!sub) return res.status(404).json({ error: "Submission not found" });
+
+    const { view } = attachments.permissionsFor(db, req.user, sub);
+    const visible = attachments.SCOPES.filter(scope => view[scope]);
+    if (visible.length === 0) return res.status(403).json({ error: "Access denied" });
+    res.json({ attachments: attachments.listAttachments(db, sub.id, visible) });
+  });
+
+  /*
+    GET /api/attachments/:id/download
+
+    Sends the file, to whoever can see it. Always as a download with
+    the type we checked on upload -- never rendered inline, so an
+    uploaded file can't run as a page on our domain.
+  */
+  router.get("/attachments/:id/download", requireAuth, requireScope("submissions:read"), (req, res) => {
+    const attachment = attachments.getAttachment(db, req.params.id);
+    if (!attachment) return res.status(404).json({ error: "File not found" });
+    const sub = db.prepare("SELECT id, user_id FROM submissions WHERE id = ?").get(attachment.submission_id);
+    if (!attachments.permissionsFor(db, req.user, sub).view[attachment.scope]) {
+      return res.status(403).json({ error: "Access denied" });
+    }
+
+    attachments.readAttachment(db, storage, attachment.id).then(data => {
+      if (!data) return res.status(404).json({ error: "File not found" });
+      res.attachment(attachment.filename);
+      res.set({
+        "Content-Type": attachment.content_type,
+        "X-Content-Type-Options": "nosniff",
+        "Cache-Control": "private, no-store",
+      });
+      res.send(data);
+    }).catch(err => {
+      console.error("[Attachments] Download error:", err.message);
+      res.status(500).json({ error: "Could not read the file" });
+    });
+  });
+
+  /*
+    DELETE /api/attachments/:id
+    Removes a file. Only whoever uploaded it can.
+  */
+  router.delete("/attachments/:id", requireAuth, (req, res) => {
+    const attachment = attachments.getAttachment(db, req.params.id);
+    if (!attachment) return res.status(404).json({ error: "File not found" });
+    if (attachment.user_id !== req.user.id) return res.status(403).json({ error: "Only the uploader can delete a file" });
+    const sub = db.prepare("SELECT deleted_at FROM submissions WHERE id = ?").get(attachment.submission_id);
+    if (sub.deleted_at) return res.status(409).json({ error: "This submission is archived" });
+
+    attachments.deleteAttachment(db, storage, attachment.id).then(() => {
+      res.json({ success: true });
+      // Don't leave an analysis that cites a file that's gone
+      if (attachment.scope === "submission" && documentText.canExtract(attachment.content_type)) {
+        reanalyseSoon(attachment.submission_id);
+      }
+    }).catch(err => {
+      console.error("[Attachments] Delete error:", err.message);
+      res.status(500).json({ error: "Could not delete the file" });
+    });
+  });
+
   // ===========================================================
   // ANALYTICS ROUTES (Board only)
   // ===========================================================
@@ -1051,14 +3077,14 @@ function createRoutes(db) {
     AVG(), and GROUP BY. This is much faster than fetching all
     rows and computing in JavaScript.
   */
-  router.get("/analytics", requireAuth, requireRole("board"), (req, res) => {
-    const total = db.prepare("SELECT COUNT(*) as count FROM submissions").get().count;
-    const byStatus = db.prepare("SELECT status, COUNT(*) as count FROM submissions GROUP BY status").all();
-    const byIndustry = db.prepare("SELECT industry, COUNT(*) as count FROM submissions GROUP BY industry ORDER BY count DESC").all();
-    const byStage = db.prepare("SELECT stage, COUNT(*) as count FROM submissions GROUP BY stage").all();
-    const avgRating = db.prepare("SELECT AVG(rating) as avg FROM submissions WHERE rating IS NOT NULL").get().avg;
-    const approved = db.prepare("SELECT COUNT(*) as count FROM submissions WHERE status = 'approved'").get().count;
-    const passed = db.prepare("SELECT COUNT(*) as count FROM submissions WHERE status = 'passed'").get().count;
+  router.get("/analytics", requireAuth, requireCapability("analytics.view"), (req, res) => {
+    const total = db.prepare("SELECT COUNT(*) as count FROM submissions WHERE deleted_at IS NULL").get().count;
+    const byStatus = db.prepare("SELECT status, COUNT(*) as count FROM submissions WHERE deleted_at IS NULL GROUP BY status").all();
+    const byIndustry = db.prepare("SELECT industry, COUNT(*) as count FROM submissions WHERE deleted_at IS NULL GROUP BY industry ORDER BY count DESC").all();
+    const byStage = db.prepare("SELECT stage, COUNT(*) as count FROM submissions WHERE deleted_at IS NULL GROUP BY stage").all();
+    const avgRating = db.prepare("SELECT AVG(rating) as avg FROM submissions WHERE rating IS NOT NULL AND deleted_at IS NULL").get().avg;
+    const approved = db.prepare("SELECT COUNT(*) as count FROM submissions WHERE status = 'approved' AND deleted_at IS NULL").get().count;
+    const passed = db.prepare("SELECT COUNT(*) as count FROM submissions WHERE status = 'passed' AND deleted_at IS NULL").get().count;
 
     // Weekly submission volume (last 8 weeks)
     const weeklyVolume = db.prepare(`
@@ -1066,28 +3092,35 @@ function createRoutes(db) {
         strftime('%Y-%W', submitted_at) as week,
         COUNT(*) as count
       FROM submissions
-      WHERE submitted_at >= date('now', '-56 days')
+      WHERE submitted_at >= date('now', '-56 days') AND deleted_at IS NULL
       GROUP BY week
       ORDER BY week ASC
     `).all();
 
-    // Rating distribution
+    // Rating distribution: submissions by average rating, to the nearest star
     const ratingDist = db.prepare(`
-      SELECT rating, COUNT(*) as count
+      SELECT CAST(ROUND(rating) AS INTEGER) as rating, COUNT(*) as count
       FROM submissions
-      WHERE rating IS NOT NULL
-      GROUP BY rating
-      ORDER BY rating ASC
+      WHERE rating IS NOT NULL AND deleted_at IS NULL
+      GROUP BY 1
+      ORDER BY 1 ASC
     `).all();
 
-    // Top rated submissions
-    const topRated = db.prepare(`
-      SELECT s.company_name, s.industry, s.stage, s.rating
+    // Top rated submissions. More raters breaks ties: 4.5 from six
+    // members says more than 4.5 from one.
+    const topRatedRows = db.prepare(`
+      SELECT s.id, s.company_name, s.industry, s.stage
       FROM submissions s
-      WHERE s.rating IS NOT NULL
-      ORDER BY s.rating DESC
+      WHERE s.rating IS NOT NULL AND s.deleted_at IS NULL
+      ORDER BY s.rating DESC,
+        (SELECT COUNT(*) FROM submission_ratings r WHERE r.submission_id = s.id) DESC
       LIMIT 6
     `).all();
+    const topSummaries = ratings.ratingSummaries(db, topRatedRows.map(s => s.id), req.user.id);
+    const topRated = topRatedRows.map(({ id, ...s }) => {
+      const summary = topSummaries.get(id);
+      return { ...s, rating: summary.average, rating_count: summary.count, rating_spread: summary.spread };
+    });
 
     res.json({
       total,
@@ -1110,16 +3143,19 @@ function createRoutes(db) {
     POST /api/admin/board-members
     Create a new board member account. Admin only.
   */
-  router.post("/admin/board-members", requireAuth, requireRole("admin"), (req, res) => {
+  router.post("/admin/board-members", requireAuth, requireCapability("user.manage"), (req, res) => {
     const { name, email, password, specialty } = req.body;
     if (!name || !email || !password) return res.status(400).json({ error: "Name, email, and password required" });
 
-    const existing = db.prepare("SELECT id FROM users WHERE email = ?").get(email.toLowerCase());
+    const existing = db.prepare("SELECT id, deleted_at FROM users WHERE email = ?").get(email.toLowerCase());
+    if (existing && existing.deleted_at) {
+      return res.status(409).json({ error: "Email belongs to a removed user -- purge them first to reuse it" });
+    }
     if (existing) return res.status(409).json({ error: "Email already exists" });
 
     const hashedPassword = bcrypt.hashSync(password, 10);
     const result = db.prepare(
-      "INSERT INTO users (email, password, name, role, specialty) VALUES (?, ?, ?, 'board', ?)"
+      "INSERT INTO users (email, password, name, role, specialty, verified_at) VALUES (?, ?, ?, 'board', ?, CURRENT_TIMESTAMP)"
     ).run(email.toLowerCase(), hashedPassword, name, specialty || null);
 
     const user = db.prepare("SELECT id, email, name, role, specialty FROM users WHERE id = ?").get(result.lastInsertRowid);
@@ -1129,11 +3165,96 @@ function createRoutes(db) {
   /*
     DELETE /api/admin/board-members/:id
     Remove a board member. Admin only.
+    They're soft-deleted (see deletion.js): their notes stay, shown
+    as "Former member".
   */
-  router.delete("/admin/board-members/:id", requireAuth, requireRole("admin"), (req, res) => {
-    const user = db.prepare("SELECT * FROM users WHERE id = ? AND role = 'board'").get(req.params.id);
+  router.delete("/admin/board-members/:id", requireAuth, requireCapability("user.manage"), (req, res) => {
+    const user = db.prepare("SELECT id FROM users WHERE id = ? AND role = 'board' AND deleted_at IS NULL").get(req.params.id);
     if (!user) return res.status(404).json({ error: "Board member not found" });
-    db.prepare("DELETE FROM users WHERE id = ? AND role = 'board'").run(req.params.id);
+    deletion.removeUser(db, user.id);
+    res.json({ success: true });
+  });
+
+  /*
+    DELETE /api/admin/users/:id
+    Removes any user (soft delete, see deletion.js). A removed
+    founder's submissions are archived. You can't remove yourself.
+  */
+  router.delete("/admin/users/:id", requireAuth, requireCapability("user.manage"), (req, res) => {
+    if (Number(req.params.id) === req.user.id) return res.status(400).json({ error: "You can't remove your own account" });
+    if (!deletion.removeUser(db, req.params.id)) return res.status(404).json({ error: "User not found" });
+    res.json({ success: true });
+  });
+
+  /*
+    GET /api/admin/removed-users
+    Users who have been removed but not purged. Admin only.
+  */
+  router.get("/admin/removed-users", requireAuth, requireCapability("user.manage"), (req, res) => {
+    const users = db.prepare(`
+      SELECT u.id, u.name, u.email, u.role, u.created_at, u.deleted_at,
+        (SELECT COUNT(*) FROM submissions WHERE user_id = u.id) as submissions_count,
+        (SELECT COUNT(*) FROM board_notes WHERE user_id = u.id) as notes_count
+      FROM users u WHERE u.deleted_at IS NOT NULL
+      ORDER BY u.deleted_at DESC
+    `).all();
+    res.json({ users });
+  });
+
+  /*
+    POST /api/admin/users/:id/purge
+
+    Permanently deletes a removed user and EVERYTHING they created --
+    submissions, notes, messages, partnerships. Can't be undone
+    (short of restoring a backup). The user must be removed first.
+  */
+  router.post("/admin/users/:id/purge", requireAuth, requireCapability("data.purge"), (req, res) => {
+    const user = db.prepare("SELECT id, deleted_at FROM users WHERE id = ?").get(req.params.id);
+    if (!user) return res.status(404).json({ error: "User not found" });
+    if (!user.deleted_at) return res.status(409).json({ error: "Remove the user before purging them" });
+
+    // The files go once the rows are gone (see attachments.js)
+    const submissionIds = db.prepare("SELECT id FROM submissions WHERE user_id = ?").all(user.id).map(s => s.id);
+    const files = attachments.storageKeysFor(db, { submissionIds, userId: user.id });
+    deletion.purgeUser(db, user.id);
+    attachments.removeFiles(storage, files).catch(err => console.error("[Attachments] Purge error:", err.message));
+    res.json({ success: true });
+  });
+
+  /*
+    POST /api/admin/submissions/:id/archive
+    POST /api/admin/submissions/:id/unarchive
+    Hides a submission from listings (or brings it back).
+  */
+  router.post("/admin/submissions/:id/archive", requireAuth, requireCapability("submission.archive"), (req, res) => {
+    const sub = db.prepare("SELECT id FROM submissions WHERE id = ?").get(req.params.id);
+    if (!sub) return res.status(404).json({ error: "Submission not found" });
+    if (!deletion.archiveSubmission(db, sub.id)) return res.status(409).json({ error: "Submission is already archived" });
+    res.json({ success: true });
+  });
+
+  router.post("/admin/submissions/:id/unarchive", requireAuth, requireCapability("submission.archive"), (req, res) => {
+    const sub = db.prepare(`
+      SELECT s.id, u.deleted_at as founder_deleted_at
+      FROM submissions s JOIN users u ON s.user_id = u.id WHERE s.id = ?
+    `).get(req.params.id);
+    if (!sub) return res.status(404).json({ error: "Submission not found" });
+    if (sub.founder_deleted_at) return res.status(409).json({ error: "The founder has been removed" });
+    if (!deletion.unarchiveSubmission(db, sub.id)) return res.status(409).json({ error: "Submission is not archived" });
+    res.json({ success: true });
+  });
+
+  /*
+    POST /api/admin/submissions/:id/purge
+    Permanently deletes an archived submission and everything on it.
+  */
+  router.post("/admin/submissions/:id/purge", requireAuth, requireCapability("data.purge"), (req, res) => {
+    const sub = db.prepare("SELECT id, deleted_at FROM submissions WHERE id = ?").get(req.params.id);
+    if (!sub) return res.status(404).json({ error: "Submission not found" });
+    if (!sub.deleted_at) return res.status(409).json({ error: "Archive the submission before purging it" });
+    const files = attachments.storageKeysFor(db, { submissionIds: [sub.id] });
+    deletion.purgeSubmission(db, sub.id);
+    attachments.removeFiles(storage, files).catch(err => console.error("[Attachments] Purge error:", err.message));
     res.json({ success: true });
   });
 
@@ -1141,14 +3262,14 @@ function createRoutes(db) {
     GET /api/admin/all-board-members
     Get all board members with activity stats. Admin only.
   */
-  router.get("/admin/all-board-members", requireAuth, requireRole("admin"), (req, res) => {
+  router.get("/admin/all-board-members", requireAuth, requireCapability("user.manage"), (req, res) => {
     const members = db.prepare(`
       SELECT u.id, u.name, u.email, u.specialty, u.created_at,
         (SELECT COUNT(*) FROM board_notes WHERE user_id = u.id) as notes_count,
         (SELECT COUNT(*) FROM partnerships WHERE user_id = u.id) as partnerships_count,
         (SELECT COUNT(*) FROM partnerships WHERE user_id = u.id AND status = 'accepted') as accepted_partnerships,
         (SELECT COUNT(*) FROM chat_messages WHERE user_id = u.id) as messages_count
-      FROM users u WHERE u.role = 'board'
+      FROM users u WHERE u.role = 'board' AND u.deleted_at IS NULL
       ORDER BY u.name
     `).all();
     res.json({ members });
@@ -1158,16 +3279,16 @@ function createRoutes(db) {
     GET /api/admin/analytics
     Full platform analytics. Admin only.
   */
-  router.get("/admin/analytics", requireAuth, requireRole("admin"), (req, res) => {
-    const total = db.prepare("SELECT COUNT(*) as count FROM submissions").get().count;
-    const byStatus = db.prepare("SELECT status, COUNT(*) as count FROM submissions GROUP BY status").all();
-    const approved = db.prepare("SELECT COUNT(*) as count FROM submissions WHERE status = 'approved'").get().count;
-    const passed = db.prepare("SELECT COUNT(*) as count FROM submissions WHERE status = 'passed'").get().count;
+  router.get("/admin/analytics", requireAuth, requireCapability("platform.analytics"), (req, res) => {
+    const total = db.prepare("SELECT COUNT(*) as count FROM submissions WHERE deleted_at IS NULL").get().count;
+    const byStatus = db.prepare("SELECT status, COUNT(*) as count FROM submissions WHERE deleted_at IS NULL GROUP BY status").all();
+    const approved = db.prepare("SELECT COUNT(*) as count FROM submissions WHERE status = 'approved' AND deleted_at IS NULL").get().count;
+    const passed = db.prepare("SELECT COUNT(*) as count FROM submissions WHERE status = 'passed' AND deleted_at IS NULL").get().count;
     const totalPartnerships = db.prepare("SELECT COUNT(*) as count FROM partnerships WHERE status = 'accepted'").get().count;
     const pendingPartnerships = db.prepare("SELECT COUNT(*) as count FROM partnerships WHERE status = 'pending'").get().count;
     const totalMeetings = db.prepare("SELECT COUNT(*) as count FROM meeting_requests").get().count;
-    const totalFounders = db.prepare("SELECT COUNT(*) as count FROM users WHERE role = 'founder'").get().count;
-    const totalBoard = db.prepare("SELECT COUNT(*) as count FROM users WHERE role = 'board'").get().count;
+    const totalFounders = db.prepare("SELECT COUNT(*) as count FROM users WHERE role = 'founder' AND deleted_at IS NULL").get().count;
+    const totalBoard = db.prepare("SELECT COUNT(*) as count FROM users WHERE role = 'board' AND deleted_at IS NULL").get().count;
 
     // Board leaderboard
     const leaderboard = db.prepare(`
@@ -1176,7 +3297,7 @@ function createRoutes(db) {
         (SELECT COUNT(*) FROM partnerships WHERE user_id = u.id AND status = 'accepted') as deals,
         (SELECT COUNT(*) FROM chat_messages WHERE user_id = u.id) as messages,
         (SELECT COUNT(*) FROM meeting_requests WHERE user_id = u.id) as meetings
-      FROM users u WHERE u.role = 'board'
+      FROM users u WHERE u.role = 'board' AND u.deleted_at IS NULL
       ORDER BY (
         (SELECT COUNT(*) FROM board_notes WHERE user_id = u.id) +
         (SELECT COUNT(*) FROM partnerships WHERE user_id = u.id AND status = 'accepted') * 5 +
@@ -1223,14 +3344,14 @@ function createRoutes(db) {
     GET/PUT /api/admin/settings
     Platform settings. Admin only.
   */
-  router.get("/admin/settings", requireAuth, requireRole("admin"), (req, res) => {
+  router.get("/admin/settings", requireAuth, requireCapability("settings.manage"), (req, res) => {
     const rows = db.prepare("SELECT key, value FROM platform_settings").all();
     const settings = {};
     rows.forEach(r => settings[r.key] = r.value);
     res.json({ settings });
   });
 
-  router.put("/admin/settings", requireAuth, requireRole("admin"), (req, res) => {
+  router.put("/admin/settings", requireAuth, requireCapability("settings.manage"), (req, res) => {
     const { settings } = req.body;
     if (!settings) return res.status(400).json({ error: "Settings object required" });
     Object.entries(settings).forEach(([key, value]) => {
@@ -1242,7 +3363,7 @@ function createRoutes(db) {
   /*
     Board invitation suggestions (from board members)
   */
-  router.post("/suggest-board-member", requireAuth, requireRole("board"), (req, res) => {
+  router.post("/suggest-board-member", requireAuth, requireCapability("board.suggest"), (req, res) => {
     const { name, email, reason } = req.body;
     if (!name || !email) return res.status(400).json({ error: "Name and email required" });
     db.prepare(
@@ -1251,30 +3372,152 @@ function createRoutes(db) {
     res.status(201).json({ success: true });
   });
 
-  router.get("/admin/invitations", requireAuth, requireRole("admin"), (req, res) => {
+  router.get("/admin/invitations", requireAuth, requireCapability("invitation.manage"), (req, res) => {
     const invitations = db.prepare(`
-      SELECT bi.*, u.name as suggested_by_name
+      SELECT bi.*, u.name as suggested_by_name, au.name as accepted_user_name
       FROM board_invitations bi JOIN users u ON bi.suggested_by = u.id
+      LEFT JOIN users au ON bi.accepted_user_id = au.id
       ORDER BY bi.created_at DESC
     `).all();
     res.json({ invitations });
   });
 
-  router.patch("/admin/invitations/:id", requireAuth, requireRole("admin"), (req, res) => {
+  /*
+    PATCH /api/admin/invitations/:id
+
+    Approve or decline a suggested board member. Admin only.
+
+    Approving emails the invitee a signed link (valid 7 days) to
+    POST /api/invitations/:token/accept, where they choose their own
+    password. Approving again re-sends a fresh link, and the earlier
+    links stop working. The token is also returned so it can be
+    shared by hand if email is off.
+
+    Request body: { status: "approved" | "declined" }
+  */
+  router.patch("/admin/invitations/:id", requireAuth, requireCapability("invitation.manage"), (req, res) => {
     const { status } = req.body;
     if (!["approved", "declined"].includes(status)) return res.status(400).json({ error: "Invalid status" });
-    db.prepare("UPDATE board_invitations SET status = ? WHERE id = ?").run(status, req.params.id);
-    res.json({ success: true, status });
+
+    const invitation = db.prepare(`
+      SELECT bi.*, u.name as suggested_by_name
+      FROM board_invitations bi JOIN users u ON bi.suggested_by = u.id
+      WHERE bi.id = ?
+    `).get(req.params.id);
+    if (!invitation) return res.status(404).json({ error: "Invitation not found" });
+    if (invitation.accepted_at) return res.status(409).json({ error: "Invitation has already been accepted" });
+
+    if (status === "declined") {
+      db.prepare("UPDATE board_invitations SET status = 'declined' WHERE id = ?").run(invitation.id);
+      return res.json({ success: true, status });
+    }
+
+    const existing = db.prepare("SELECT id FROM users WHERE email = ?").get(invitation.email.toLowerCase());
+    if (existing) return res.status(409).json({ error: "An account with this email already exists" });
+
+    // A new nonce per approval: findOpenInvitation only accepts the newest link
+    const nonce = generateToken(16);
+    db.prepare(`
+      UPDATE board_invitations
+      SET status = 'approved', approved_by = ?, invited_at = CURRENT_TIMESTAMP, expires_at = datetime('now', '+7 days'),
+          invite_nonce = ?
+      WHERE id = ?
+    `).run(req.user.id, nonce, invitation.id);
+
+    const inviteToken = signPurposeToken("board-invite", { invitationId: invitation.id, email: invitation.email, nonce }, "7d");
+
+    try {
+      const tmpl = email.boardInvitationEmail(invitation.name, invitation.suggested_by_name, inviteToken);
+      email.sendEmail(invitation.email, tmpl.subject, tmpl.html).catch(() => {});
+    } catch (emailErr) { console.error("[Email] Error:", emailErr.message); }
+
+    res.json({ success: true, status, inviteToken });
+  });
+
+  /*
+    Looks up the approved, unexpired, unaccepted invitation behind a
+    token. Only the most recently sent link matches its nonce.
+  */
+  function findOpenInvitation(token) {
+    const decoded = verifyPurposeToken(token, "board-invite");
+    if (!decoded || !decoded.nonce) return null;
+    return db.prepare(`
+      SELECT * FROM board_invitations
+      WHERE id = ? AND email = ? AND invite_nonce = ? AND status = 'approved'
+        AND accepted_at IS NULL AND expires_at > datetime('now')
+    `).get(decoded.invitationId, decoded.email, decoded.nonce);
+  }
+
+  /*
+    GET /api/invitations/:token
+
+    Public. Lets the accept page show who the invitation is for.
+  */
+  router.get("/invitations/:token", (req, res) => {
+    const invitation = findOpenInvitation(req.params.token);
+    if (!invitation) return res.status(404).json({ error: "Invitation is invalid or has expired" });
+
+    res.json({ invitation: { name: invitation.name, email: invitation.email, expires_at: invitation.expires_at } });
+  });
+
+  /*
+    POST /api/invitations/:token/accept
+
+    Public. The invitee creates their board account from the link
+    in their invitation email. The email address comes from the
+    invitation (and is verified by them receiving it).
+
+    Request body: { password, specialty, bio, name? }
+    Response: { user, token, refreshToken }
+          or: { twoFactorSetupRequired: true, setupToken }
+              (when 2FA is mandatory for the board -- same as login)
+  */
+  router.post("/invitations/:token/accept", invitationLimiter, (req, res) => {
+    const { password, specialty, bio, name } = req.body;
+
+    const invitation = findOpenInvitation(req.params.token);
+    if (!invitation) return res.status(404).json({ error: "Invitation is invalid or has expired" });
+
+    if (!password || password.length < 8) {
+      return res.status(400).json({ error: "Password must be at least 8 characters" });
+    }
+
+    const address = invitation.email.toLowerCase();
+    const existing = db.prepare("SELECT id FROM users WHERE email = ?").get(address);
+    if (existing) return res.status(409).json({ error: "An account with this email already exists" });
+
+    const insertUser = db.prepare(`
+      INSERT INTO users (email, password, name, role, specialty, bio, verified_at)
+      VALUES (?, ?, ?, 'board', ?, ?, CURRENT_TIMESTAMP)
+    `);
+    const hashedPassword = bcrypt.hashSync(password, 10);
+
+    const userId = db.transaction(() => {
+      const result = insertUser.run(address, hashedPassword, name || invitation.name, specialty || null, bio || null);
+      db.prepare(
+        "UPDATE board_invitations SET accepted_at = CURRENT_TIMESTAMP, accepted_user_id = ? WHERE id = ?"
+      ).run(result.lastInsertRowid, invitation.id);
+      return result.lastInsertRowid;
+    })();
+
+    const user = db.prepare("SELECT * FROM users WHERE id = ?").get(userId);
+    if (twoFactorRequiredFor(user.role)) {
+      const setupToken = signPurposeToken("2fa-setup", { id: user.id, role: user.role }, "15m");
+      return res.status(201).json({ twoFactorSetupRequired: true, setupToken });
+    }
+    res.status(201).json(completeLogin(user, req));
   });
 
   /*
     GET /api/admin/export/submissions
     Export all submissions as CSV. Admin only.
+    Also available to API keys with the "export" scope.
   */
-  router.get("/admin/export/submissions", requireAuth, requireRole("admin"), (req, res) => {
+  router.get("/admin/export/submissions", requireAuth, requireScope("export"), requireCapability("export.run"), (req, res) => {
     const subs = db.prepare(`
       SELECT s.*, u.name as founder_name, u.email as founder_email
       FROM submissions s JOIN users u ON s.user_id = u.id
+      WHERE s.deleted_at IS NULL
       ORDER BY s.submitted_at DESC
     `).all();
 
@@ -1289,12 +3532,12 @@ function createRoutes(db) {
     res.send(csv);
   });
 
-  router.get("/admin/export/board", requireAuth, requireRole("admin"), (req, res) => {
+  router.get("/admin/export/board", requireAuth, requireScope("export"), requireCapability("export.run"), (req, res) => {
     const members = db.prepare(`
       SELECT u.id, u.name, u.email, u.specialty, u.created_at,
         (SELECT COUNT(*) FROM partnerships WHERE user_id = u.id AND status = 'accepted') as deals,
         (SELECT COUNT(*) FROM board_notes WHERE user_id = u.id) as notes
-      FROM users u WHERE u.role = 'board' ORDER BY u.name
+      FROM users u WHERE u.role = 'board' AND u.deleted_at IS NULL ORDER BY u.name
     `).all();
 
     const headers = ["ID","Name","Email","Specialty","Deals","Notes","Joined"];
@@ -1308,9 +3551,9 @@ function createRoutes(db) {
   /*
     Admin messaging with board members
   */
-  router.get("/admin/messages/:userId", requireAuth, requireRole("admin"), (req, res) => {
+  router.get("/admin/messages/:userId", requireAuth, requireCapability("message.users"), (req, res) => {
     const messages = db.prepare(`
-      SELECT am.*, u.name as from_name, u.role as from_role
+      SELECT am.*, ${displayName("u")} as from_name, u.role as from_role
       FROM admin_messages am JOIN users u ON am.from_user_id = u.id
       WHERE (am.from_user_id = ? AND am.to_user_id = ?) OR (am.from_user_id = ? AND am.to_user_id = ?)
       ORDER BY am.created_at ASC
@@ -1318,14 +3561,14 @@ function createRoutes(db) {
     res.json({ messages });
   });
 
-  router.post("/admin/messages/:userId", requireAuth, requireRole("admin"), (req, res) => {
+  router.post("/admin/messages/:userId", requireAuth, requireCapability("message.users"), (req, res) => {
     const { text } = req.body;
     if (!text || !text.trim()) return res.status(400).json({ error: "Message required" });
     const result = db.prepare(
       "INSERT INTO admin_messages (from_user_id, to_user_id, text) VALUES (?, ?, ?)"
     ).run(req.user.id, req.params.userId, text);
     const message = db.prepare(`
-      SELECT am.*, u.name as from_name, u.role as from_role
+      SELECT am.*, ${displayName("u")} as from_name, u.role as from_role
       FROM admin_messages am JOIN users u ON am.from_user_id = u.id
       WHERE am.id = ?
     `).get(result.lastInsertRowid);
@@ -1336,15 +3579,15 @@ function createRoutes(db) {
     GET /api/my/admin-messages
     Board member sees their messages with admin.
   */
-  router.get("/my/admin-messages", requireAuth, requireRole("board"), (req, res) => {
+  router.get("/my/admin-messages", requireAuth, requireCapability("board.message_admin"), (req, res) => {
     const messages = db.prepare(`
-      SELECT am.*, u.name as from_name, u.role as from_role
+      SELECT am.*, ${displayName("u")} as from_name, u.role as from_role
       FROM admin_messages am JOIN users u ON am.from_user_id = u.id
       WHERE am.from_user_id = ? OR am.to_user_id = ?
       ORDER BY am.created_at ASC
     `).all(req.user.id, req.user.id);
     
-    const admin = db.prepare("SELECT id, name FROM users WHERE role = 'admin' LIMIT 1").get();
+    const admin = db.prepare("SELECT id, name FROM users WHERE role = 'admin' AND deleted_at IS NULL LIMIT 1").get();
     res.json({ messages, admin });
   });
 
@@ -1352,11 +3595,11 @@ function createRoutes(db) {
     POST /api/my/admin-messages
     Board member replies to admin.
   */
-  router.post("/my/admin-messages", requireAuth, requireRole("board"), (req, res) => {
+  router.post("/my/admin-messages", requireAuth, requireCapability("board.message_admin"), (req, res) => {
     const { text } = req.body;
     if (!text || !text.trim()) return res.status(400).json({ error: "Message required" });
     
-    const admin = db.prepare("SELECT id FROM users WHERE role = 'admin' LIMIT 1").get();
+    const admin = db.prepare("SELECT id FROM users WHERE role = 'admin' AND deleted_at IS NULL LIMIT 1").get();
     if (!admin) return res.status(404).json({ error: "No admin found" });
 
     const result = db.prepare(
@@ -1364,7 +3607,7 @@ function createRoutes(db) {
     ).run(req.user.id, admin.id, text);
 
     const message = db.prepare(`
-      SELECT am.*, u.name as from_name, u.role as from_role
+      SELECT am.*, ${displayName("u")} as from_name, u.role as from_role
       FROM admin_messages am JOIN users u ON am.from_user_id = u.id
       WHERE am.id = ?
     `).get(result.lastInsertRowid);
@@ -1375,9 +3618,9 @@ function createRoutes(db) {
   // BOARD MEMBERS LIST (for tagging UI)
   // ===========================================================
 
-  router.get("/board-members", requireAuth, requireRole("board"), (req, res) => {
+  router.get("/board-members", requireAuth, requireCapability("board.directory"), (req, res) => {
     const members = db.prepare(
-      "SELECT id, name, specialty FROM users WHERE role = 'board'"
+      "SELECT id, name, specialty FROM users WHERE role = 'board' AND deleted_at IS NULL"
     ).all();
     res.json({ members });
   });
@@ -1386,14 +3629,14 @@ function createRoutes(db) {
   // BOARD PROFILES: Full profiles for board/admin, limited for founders
   // ============================================================
   router.get("/board-profiles", requireAuth, (req, res) => {
-    if (req.user.role === "board" || req.user.role === "admin") {
+    if (hasCapability(req.user, "board.directory")) {
       const members = db.prepare(
-        "SELECT id, name, specialty, bio, linkedin, website, email, location FROM users WHERE role = 'board'"
+        "SELECT id, name, specialty, bio, linkedin, website, email, location FROM users WHERE role = 'board' AND deleted_at IS NULL"
       ).all();
       res.json({ members, full: true });
-    } else if (req.user.role === "founder") {
+    } else if (hasCapability(req.user, "submission.create")) {
       const members = db.prepare(
-        "SELECT id, name, specialty, bio FROM users WHERE role = 'board'"
+        "SELECT id, name, specialty, bio FROM users WHERE role = 'board' AND deleted_at IS NULL"
       ).all();
       res.json({ members, full: false });
     } else {
@@ -1408,15 +3651,17 @@ function createRoutes(db) {
   try {
     const { analyzeSubmission, enabled: aiEnabled } = require("./ai-analysis");
     if (aiEnabled) {
-      const missing = db.prepare("SELECT * FROM submissions WHERE ai_analysis IS NULL").all();
+      const missing = db.prepare("SELECT * FROM submissions WHERE ai_analysis IS NULL AND deleted_at IS NULL").all();
       if (missing.length > 0) {
         console.log(`[AI] Backfill: ${missing.length} submissions need analysis`);
         (async () => {
           for (const sub of missing) {
             try {
-              const analysis = await analyzeSubmission(sub);
+              const documents = await attachments.analysisDocuments(db, storage, sub.id);
+              const analysis = await analyzeSubmission(sub, documents);
               if (analysis) {
                 db.prepare("UPDATE submissions SET ai_analysis = ? WHERE id = ?").run(analysis, sub.id);
+                alertSavedSearches(sub.id);
                 console.log(`[AI] Backfill complete: ${sub.company_name}`);
               }
               // Small delay between calls to avoid rate limits
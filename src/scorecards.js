@@ -0,0 +1,196 @@
+/*
+  WEIGHTED SCORECARDS
+  ====================
+
+  KEY CONCEPT: A rubric per industry and stage
+
+  Admins define scorecard criteria ("Team", "Traction", "Regulatory
+  status", ...), each with a weight. A criterion can be limited to one
+  industry and/or one stage; with neither it applies to everything.
+  So a Seed FinTech submission is scored on the general criteria plus
+  the FinTech ones plus any Seed ones -- its rubric.
+
+  Each board member scores each criterion 1-5 (with an optional
+  comment), in scorecard_scores.
+
+  KEY CONCEPT: Weighted totals
+
+  A criterion's score is the average across reviewers. The weighted
+  total is those averages weighted by the criteria's weights:
+
+    Team (weight 3) avg 4.0, Market (weight 1) avg 2.0
+    -> (4.0 * 3 + 2.0 * 1) / (3 + 1) = 3.5
+
+  It's on the same 1-5 scale whatever the rubric, so deals from
+  different industries can be compared. Criteria nobody has scored
+  yet are left out rather than counted as 0; `criteria_scored` says
+  how much of the rubric the total is based on.
+
+  Retired (archived) criteria drop out of rubrics and totals, but
+  their scores are kept.
+*/
+
+const { displayName } = require("./privacy");
+
+// Active criteria that apply to a submission, in display order
+function rubricFor(db, sub) {
+  return db.prepare(`
+    SELECT id, name, description, industry, stage, weight
+    FROM scorecard_criteria
+    WHERE archived_at IS NULL
+      AND (industry IS NULL OR industry = ?)
+      AND (stage IS NULL OR stage = ?)
+    ORDER BY position, id
+  `).all(sub.industry, sub.stage);
+}
+
+/*
+  Checks a list of { criterion_id, score, comment? } against a rubric.
+  Returns an error message, or null if it's valid. A null score
+  clears that criterion.
+*/
+function invalidScores(rubric, scores) {
+  if (!Array.isArray(scores) || scores.length === 0) return "scores must be a non-empty list";
+  const ids = new Set(rubric.map(c => c.id));
+  for (const entry of scores) {
+    if (!entry || !ids.has(Number(entry.criterion_id))) {
+      return `Criterion ${entry && entry.criterion_id} isn't on this submission's scorecard`;
+    }
+    if (entry.score !== null && !(Number.isInteger(entry.score) && entry.score >= 1 && entry.score <= 5)) {
+      return "Each score must be a whole number from 1 to 5 (or null to clear it)";
+    }
+    if (entry.comment !== undefined && entry.comment !== null && typeof entry.comment !== "string") {
+      return "Comments must be text";
+    }
+  }
+  return null;
+}
+
+// Saves one reviewer's scores (already checked with invalidScores)
+function saveScores(db, submissionId, userId, scores) {
+  db.transaction(() => {
+    for (const { score, comment, ...entry } of scores) {
+      const criterion_id = Number(entry.criterion_id);
+      if (score === null) {
+        db.prepare("DELETE FROM scorecard_scores WHERE submission_id = ? AND user_id = ? AND criterion_id = ?")
+          .run(submissionId, userId, criterion_id);
+        continue;
+      }
+      db.prepare(`
+        INSERT INTO scorecard_scores (submission_id, user_id, criterion_id, score, comment)
+        VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT(submission_id, user_id, criterion_id)
+        DO UPDATE SET score = excluded.score, comment = excluded.comment, updated_at = CURRENT_TIMESTAMP
+      `).run(submissionId, userId, criterion_id, score, (comment || "").trim() || null);
+    }
+  })();
+}
+
+// (sum of value * weight) / (sum of weights), or null if there's nothing to weigh
+function weightedAverage(items) {
+  const totalWeight = items.reduce((sum, item) => sum + item.weight, 0);
+  if (totalWeight === 0) return null;
+  return round(items.reduce((sum, item) => sum + item.value * item.weight, 0) / totalWeight);
+}
+
+/*
+  The full scorecard for one submission: its rubric with each
+  criterion's average (and the viewer's own score), the weighted
+  total, and each reviewer's own weighted total.
+*/
+function scorecardFor(db, sub, viewerId) {
+  const rubric = rubricFor(db, sub);
+  const scores = rubric.length === 0 ? [] : db.prepare(`
+    SELECT sc.criterion_id, sc.user_id, ${displayName("u")} as name, sc.score, sc.comment, sc.updated_at
+    FROM scorecard_scores sc
+    LEFT JOIN users u ON sc.user_id = u.id
+    WHERE sc.submission_id = ? AND sc.criterion_id IN (${rubric.map(() => "?").join(", ")})
+    ORDER BY sc.updated_at
+  `).all(sub.id, ...rubric.map(c => c.id));
+
+  const criteria = rubric.map(criterion => {
+    const mine = scores.find(s => s.criterion_id === criterion.id && s.user_id === viewerId);
+    const values = scores.filter(s => s.criterion_id === criterion.id).map(s => s.score);
+    return {
+      ...criterion,
+      average: values.length > 0 ? round(values.reduce((a, b) => a + b, 0) / values.length) : null,
+      count: values.length,
+      my_score: mine ? { score: mine.score, comment: mine.comment } : null,
+    };
+  });
+
+  const reviewers = new Map();
+  for (const s of scores) {
+    if (!reviewers.has(s.user_id)) reviewers.set(s.user_id, { user_id: s.user_id, name: s.name, scores: [] });
+    reviewers.get(s.user_id).scores.push(s);
+  }
+  const weights = new Map(rubric.map(c => [c.id, c.weight]));
+
+  const scored = criteria.filter(c => c.count > 0);
+  return {
+    weighted_total: weightedAverage(scored.map(c => ({ value: c.average, weight: c.weight }))),
+    criteria_scored: scored.length,
+    criteria_total: rubric.length,
+    criteria,
+    reviewers: [...reviewers.values()].map(({ scores: own, ...reviewer }) => ({
+      ...reviewer,
+      weighted_total: weightedAverage(own.map(s => ({ value: s.score, weight: weights.get(s.criterion_id) }))),
+      criteria_scored: own.length,
+      scores: own.map(({ criterion_id, score, comment }) => ({ criterion_id, score, comment })),
+    })),
+  };
+}
+
+/*
+  Just the weighted totals for a batch of submissions (for lists),
+  as a Map of id -> { weighted_total, reviewers }.
+*/
+function scorecardTotals(db, submissionIds) {
+  const totals = new Map(submissionIds.map(id => [id, { weighted_total: null, reviewers: 0 }]));
+  if (submissionIds.length === 0) return totals;
+
+  // Only scores on criteria still on each submission's rubric count,
+  // for the total and the reviewers alike (as in scorecardFor)
+  const onRubric = `
+    FROM scorecard_scores sc
+    JOIN scorecard_criteria c ON c.id = sc.criterion_id
+    JOIN submissions s ON s.id = sc.submission_id
+    WHERE sc.submission_id IN (${submissionIds.map(() => "?").join(", ")})
+      AND c.archived_at IS NULL
+      AND (c.industry IS NULL OR c.industry = s.industry)
+      AND (c.stage IS NULL OR c.stage = s.stage)
+  `;
+
+  // Average per criterion
+  const rows = db.prepare(`
+    SELECT sc.submission_id, c.weight, AVG(sc.score) as average
+    ${onRubric}
+    GROUP BY sc.submission_id, sc.criterion_id
+  `).all(...submissionIds);
+
+  const bySubmission = new Map();
+  for (const row of rows) {
+    if (!bySubmission.has(row.submission_id)) bySubmission.set(row.submission_id, []);
+    bySubmission.get(row.submission_id).push(row);
+  }
+  const reviewerCounts = db.prepare(`
+    SELECT sc.submission_id, COUNT(DISTINCT sc.user_id) as count
+    ${onRubric}
+    GROUP BY sc.submission_id
+  `).all(...submissionIds);
+  const reviewersBySubmission = new Map(reviewerCounts.map(r => [r.submission_id, r.count]));
+
+  for (const [id, criteria] of bySubmission) {
+    totals.set(id, {
+      weighted_total: weightedAverage(criteria.map(c => ({ value: c.average, weight: c.weight }))),
+      reviewers: reviewersBySubmission.get(id) || 0,
+    });
+  }
+  return totals;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = { rubricFor, invalidScores, saveScores, scorecardFor, scorecardTotals };
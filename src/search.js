@@ -0,0 +1,209 @@
+/*
+  FULL-TEXT SEARCH
+  =================
+
+  KEY CONCEPT: One index, kept in sync by the database
+
+  search_index is an SQLite full-text (FTS4) table holding everything
+  searchable, one row per "document":
+
+    submission  -- name, one-liner, problem, solution, traction...
+    analysis    -- the AI analysis summary
+    note        -- a board note
+    chat        -- a board discussion message
+
+  The row's docid encodes what it is: source id * 4 + type (0-3), so
+  note 17 is docid 70. Triggers on submissions, board_notes and
+  chat_messages (migration 023) rewrite a row whenever its source
+  changes, so no route has to remember to -- edits, purges, erasure
+  and synthetic data all stay searchable.
+
+  KEY CONCEPT: Ranking
+
+  FTS4 finds matches but doesn't rank them. We rank with BM25 (the
+  standard search-engine formula) computed from FTS4's matchinfo():
+  a term counts for more when it's rare across all documents, when
+  it appears often in this one, and when this document is short. A
+  hit in a company's name counts double.
+
+  KEY CONCEPT: Who can find what
+
+  Results follow the same rules as the rest of the API, enforced in
+  the query against the live tables (not the index):
+  - Without submission.read_all you only find your own submissions,
+    and on them only founder-visible notes. Internal notes never
+    match for a founder.
+  - Internal notes need note.read_internal.
+  - Board discussion needs discussion.participate (or it's your own
+    submission).
+  - Archived submissions (and everything on them) are left out.
+*/
+
+const { hasCapability } = require("./permissions");
+const { displayName } = require("./privacy");
+
+const DOC_TYPES = ["submission", "analysis", "note", "chat"];
+// title, body, submission_id (not indexed)
+const COLUMN_WEIGHTS = [2, 1, 0];
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+/*
+  Turns what someone typed into a safe FTS query. Each word becomes a
+  prefix search ("traction" finds "tractions"), words split by
+  punctuation stay together as a phrase ("M-Pesa" -> "m pesa*"), and
+  all words must match. Returns null if there's nothing to search for.
+*/
+function matchQuery(input) {
+  const terms = String(input || "").split(/\s+/)
+    .map(term => term.match(/[\p{L}\p{N}]+/gu))
+    .filter(Boolean)
+    .map(words => `"${words.join(" ")}*"`);
+  return terms.length > 0 ? terms.join(" ") : null;
+}
+
+// SQL condition limiting matches to what this user may see (see the top of this file)
+function visibility(user) {
+  const conditions = ["s.deleted_at IS NULL"];
+  const values = [];
+  const readAll = hasCapability(user, "submission.read_all");
+  if (!readAll) {
+    conditions.push("s.user_id = ?");
+    values.push(user.id);
+  }
+  if (!readAll || !hasCapability(user, "note.read_internal")) {
+    conditions.push("(search_index.docid % 4 != 2 OR bn.founder_visible = 1)");
+  }
+  if (readAll && !hasCapability(user, "discussion.participate")) {
+    conditions.push("(search_index.docid % 4 != 3 OR s.user_id = ?)");
+    values.push(user.id);
+  }
+  return { conditions, values };
+}
+
+// matchinfo() comes back as a blob of 32-bit integers
+function toIntegers(blob) {
+  const bytes = Uint8Array.from(blob);
+  return new Uint32Array(bytes.buffer, 0, bytes.length / 4);
+}
+
+/*
+  BM25 from matchinfo(..., 'pcnalx'): p phrases, c columns, n rows,
+  a[c] average column lengths, l[c] this row's column lengths, then
+  x: per phrase per column [hits here, hits everywhere, rows with a hit].
+*/
+function bm25(blob) {
+  const info = toIntegers(blob);
+  const [phrases, columns, rows] = info;
+  const average = info.subarray(3, 3 + columns);
+  const length = info.subarray(3 + columns, 3 + 2 * columns);
+  const hits = info.subarray(3 + 2 * columns);
+  let score = 0;
+  for (let p = 0; p < phrases; p++) {
+    for (let c = 0; c < columns; c++) {
+      const weight = COLUMN_WEIGHTS[c] || 0;
+      const at = 3 * (p * columns + c);
+      const frequency = hits[at];
+      if (!weight || !frequency) continue;
+      const withHit = hits[at + 2];
+      const idf = Math.log(1 + (rows - withHit + 0.5) / (withHit + 0.5));
+      const norm = 1 - BM25_B + BM25_B * (length[c] / (average[c] || 1));
+      score += weight * idf * (frequency * (BM25_K1 + 1)) / (frequency + BM25_K1 * norm);
+    }
+  }
+  return score;
+}
+
+// Snippets are HTML: the text escaped, the matched words in <mark>
+function highlight(snippet) {
+  return String(snippet || "")
+    .replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;")
+    .replace(/\u0001/g, "<mark>").replace(/\u0002/g, "</mark>");
+}
+
+/*
+  Searches everything the user can see. Returns { total, results }
+  for one page, best match first. Each result has its type, the
+  source's id, the submission it's on and a highlighted snippet.
+*/
+function search(db, user, { query, types = DOC_TYPES, limit = 20, offset = 0 }) {
+  const match = matchQuery(query);
+  if (!match || types.length === 0) return { total: 0, results: [] };
+
+  const { conditions, values } = visibility(user);
+  const typeCodes = types.map(type => DOC_TYPES.indexOf(type));
+  const matches = db.prepare(`
+    SELECT search_index.docid, s.id as submission_id, matchinfo(search_index, 'pcnalx') as info
+    FROM search_index
+    JOIN submissions s ON s.id = search_index.submission_id
+    LEFT JOIN board_notes bn ON search_index.docid % 4 = 2 AND bn.id = search_index.docid / 4
+    WHERE search_index MATCH ? AND search_index.docid % 4 IN (${typeCodes.join(", ")}) AND ${conditions.join(" AND ")}
+  `).all(match, ...values);
+
+  const page = matches
+    .map(row => ({ docid: row.docid, submission_id: row.submission_id, score: bm25(row.info) }))
+    .sort((a, b) => b.score - a.score || b.docid - a.docid)
+    .slice(offset, offset + limit);
+  if (page.length === 0) return { total: matches.length, results: [] };
+
+  const docids = page.map(r => r.docid);
+  const snippets = new Map(db.prepare(`
+    SELECT docid, snippet(search_index, char(1), char(2), '…', -1, 16) as snippet
+    FROM search_index WHERE search_index MATCH ? AND docid IN (${docids.map(() => "?").join(", ")})
+  `).all(match, ...docids).map(row => [row.docid, row.snippet]));
+
+  const details = sourceDetails(db, page);
+  return {
+    total: matches.length,
+    results: page.map(({ docid, submission_id, score }) => {
+      const type = DOC_TYPES[docid % 4];
+      const id = Math.floor(docid / 4);
+      return {
+        type,
+        id,
+        submission_id,
+        ...details.get(`${type}:${id}`),
+        snippet: highlight(snippets.get(docid)),
+        score: Math.round(score * 1000) / 1000,
+      };
+    }),
+  };
+}
+
+// What a result list shows about each match, looked up in one query per table
+function sourceDetails(db, page) {
+  const details = new Map();
+  const idsOf = type => page.filter(r => DOC_TYPES[r.docid % 4] === type).map(r => Math.floor(r.docid / 4));
+  const placeholders = ids => ids.map(() => "?").join(", ");
+
+  const submissionIds = [...new Set(page.map(r => r.submission_id))];
+  const submissions = new Map(db.prepare(`
+    SELECT id, company_name, industry, stage, status FROM submissions WHERE id IN (${placeholders(submissionIds)})
+  `).all(...submissionIds).map(s => [s.id, s]));
+  for (const type of ["submission", "analysis"]) {
+    for (const id of idsOf(type)) {
+      const { company_name, industry, stage, status } = submissions.get(id);
+      details.set(`${type}:${id}`, { company_name, industry, stage, status });
+    }
+  }
+
+  for (const [type, table] of [["note", "board_notes"], ["chat", "chat_messages"]]) {
+    const ids = idsOf(type);
+    if (ids.length === 0) continue;
+    const rows = db.prepare(`
+      SELECT t.id, t.submission_id, ${displayName("u")} as author_name, t.created_at
+      FROM ${table} t LEFT JOIN users u ON t.user_id = u.id
+      WHERE t.id IN (${placeholders(ids)})
+    `).all(...ids);
+    for (const row of rows) {
+      details.set(`${type}:${row.id}`, {
+        company_name: submissions.get(row.submission_id).company_name,
+        author_name: row.author_name,
+        created_at: row.created_at,
+      });
+    }
+  }
+  return details;
+}
+
+module.exports = { DOC_TYPES, matchQuery, search };
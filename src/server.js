@@ -2,6 +2,7 @@ const express = require("express");
 const cors = require("cors");
 const { initializeDatabase, seedDatabase } = require("./database");
 const { createRoutes } = require("./routes");
+const { createBackupManager } = require("./backup");
 
 async function start() {
   const app = express();
@@ -11,6 +12,15 @@ async function start() {
   const db = await initializeDatabase();
   seedDatabase(db);
 
+  // Snapshots every BACKUP_INTERVAL_HOURS (see backup.js)
+  const backups = createBackupManager(db);
+  backups.startSchedule();
+
+  // Behind a load balancer / reverse proxy (Render, Heroku, nginx...)
+  // req.ip would be the proxy's address. TRUST_PROXY=1 makes Express
+  // read the client IP from X-Forwarded-For, which rate limiting needs.
+  if (process.env.TRUST_PROXY) app.set("trust proxy", Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+
   // Middleware
   app.use(cors());
   app.use(express.json());
@@ -21,7 +31,7 @@ async function start() {
   });
 
   // Routes
-  app.use("/api", createRoutes(db));
+  app.use("/api", createRoutes(db, { backups }));
 
   app.get("/health", (req, res) => {
     res.json({ status: "ok", timestamp: new Date().toISOString() });
@@ -55,7 +65,10 @@ async function start() {
     console.log("");
   });
 
-  process.on("SIGINT", () => { db.close(); process.exit(0); });
+  // Save any pending writes before exiting (SIGTERM is what hosts send on redeploy)
+  for (const signal of ["SIGINT", "SIGTERM"]) {
+    process.on(signal, () => { backups.stopSchedule(); db.close(); process.exit(0); });
+  }
 }
 
 start().catch(err => {
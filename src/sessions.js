@@ -0,0 +1,131 @@
+/*
+  LOGIN SESSIONS & REFRESH TOKENS
+  =================================
+
+  KEY CONCEPT: Short access tokens + long refresh tokens
+
+  A JWT can't be "un-signed" -- once issued it is valid until it
+  expires. So we keep access tokens short-lived (see ACCESS_TOKEN_TTL
+  in auth.js) and pair each one with a refresh token that lives in
+  the sessions table. One row = one logged-in device.
+
+  The flow:
+  1. Login creates a session row and returns { token, refreshToken }
+  2. The frontend uses the access token until it expires
+  3. It then calls POST /api/auth/refresh with the refresh token
+  4. We ROTATE: the old refresh token stops working, a new pair is issued
+  5. Logout (or an admin) sets revoked_at, and requireAuth rejects
+     any access token that belongs to a revoked session
+
+  KEY CONCEPT: Refresh token reuse detection
+
+  We remember the previous refresh token hash for each session. If an
+  old token is presented again, someone else has a copy of it (the
+  legitimate device already rotated past it), so we revoke the whole
+  session to lock the thief out.
+*/
+
+const { createToken } = require("./auth");
+const { generateToken, hashToken } = require("./tokens");
+
+const REFRESH_TOKEN_TTL_DAYS = 30;
+
+function requestMeta(req) {
+  const userAgent = (req.get("user-agent") || "").slice(0, 255) || null;
+  return { userAgent, ip: req.ip || null };
+}
+
+/*
+  Creates a session for a user who just proved who they are
+  (login, registration, etc.) and returns a fresh token pair.
+*/
+function startSession(db, user, req) {
+  const refreshToken = generateToken();
+  const { userAgent, ip } = requestMeta(req);
+
+  const result = db.prepare(`
+    INSERT INTO sessions (user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+    VALUES (?, ?, ?, ?, datetime('now', ?))
+  `).run(user.id, hashToken(refreshToken), userAgent, ip, `+${REFRESH_TOKEN_TTL_DAYS} days`);
+
+  const sessionId = result.lastInsertRowid;
+  return { token: createToken(user, sessionId), refreshToken, sessionId };
+}
+
+/*
+  Exchanges a refresh token for a new token pair.
+  Returns null if the token is unknown, expired or revoked.
+*/
+function refreshSession(db, refreshToken, req) {
+  const hash = hashToken(refreshToken);
+
+  const session = db.prepare(`
+    SELECT s.*, u.role, s.expires_at <= datetime('now') as expired
+    FROM sessions s JOIN users u ON s.user_id = u.id
+    WHERE s.refresh_token_hash = ?
+  `).get(hash);
+
+  if (!session) {
+    // An already-rotated token being replayed means it was copied
+    const reused = db.prepare("SELECT id FROM sessions WHERE previous_token_hash = ? AND revoked_at IS NULL").get(hash);
+    if (reused) {
+      revokeSession(db, reused.id);
+      console.warn(`[Auth] Refresh token reuse detected, session ${reused.id} revoked`);
+    }
+    return null;
+  }
+
+  if (session.revoked_at || session.expired) return null;
+
+  const nextToken = generateToken();
+  const { userAgent, ip } = requestMeta(req);
+
+  db.prepare(`
+    UPDATE sessions
+    SET previous_token_hash = refresh_token_hash, refresh_token_hash = ?,
+        user_agent = ?, ip_address = ?, last_used_at = CURRENT_TIMESTAMP,
+        expires_at = datetime('now', ?)
+    WHERE id = ?
+  `).run(hashToken(nextToken), userAgent, ip, `+${REFRESH_TOKEN_TTL_DAYS} days`, session.id);
+
+  const user = { id: session.user_id, role: session.role };
+  return { token: createToken(user, session.id), refreshToken: nextToken, sessionId: session.id, userId: user.id };
+}
+
+function revokeSession(db, sessionId, userId) {
+  // userId is optional -- when given, only revoke if the session belongs to them
+  const sql = userId
+    ? "UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ? AND revoked_at IS NULL"
+    : "UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL";
+  const params = userId ? [sessionId, userId] : [sessionId];
+  return db.prepare(sql).run(...params).changes > 0;
+}
+
+/*
+  Signs a user out everywhere. Pass exceptSessionId to keep the
+  current device logged in (e.g. after changing your own password).
+*/
+function revokeAllSessions(db, userId, exceptSessionId) {
+  return db.prepare(
+    "UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND id != ? AND revoked_at IS NULL"
+  ).run(userId, exceptSessionId || 0).changes;
+}
+
+// Active sessions only -- revoked and expired ones are history
+function listSessions(db, userId) {
+  return db.prepare(`
+    SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at
+    FROM sessions
+    WHERE user_id = ? AND revoked_at IS NULL AND expires_at > datetime('now')
+    ORDER BY COALESCE(last_used_at, created_at) DESC
+  `).all(userId);
+}
+
+module.exports = {
+  REFRESH_TOKEN_TTL_DAYS,
+  startSession,
+  refreshSession,
+  revokeSession,
+  revokeAllSessions,
+  listSessions,
+};
@@ -0,0 +1,53 @@
+/*
+  FILE STORAGE BACKENDS
+  ======================
+
+  KEY CONCEPT: Where uploaded files live is pluggable
+
+  Uploaded files (pitch decks, financial models -- see attachments.js)
+  don't go in the database. They go to a storage backend, and the
+  database only keeps each file's metadata and its storage key.
+
+  Every backend has the same small, async interface:
+
+    put(key, buffer)  -> stores the bytes under key (replacing any)
+    get(key)          -> the bytes as a Buffer, or null if missing
+    remove(key)       -> deletes it (missing is fine)
+
+  Keys are generated by us (random hex), never taken from a
+  filename, so a backend can use them as-is.
+
+  Backends (chosen with STORAGE_BACKEND):
+    local  -- files on disk in UPLOAD_DIR (the default)
+
+  An S3-style backend would be another file in this folder with the
+  same three functions.
+
+  NOTE: database snapshots (backup.js) don't include uploaded files.
+  Back up UPLOAD_DIR alongside them.
+*/
+
+const path = require("path");
+const { DB_PATH } = require("../database");
+const { createLocalStorage } = require("./local");
+
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || "local";
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(path.dirname(DB_PATH), "uploads");
+
+const BACKENDS = {
+  local: ({ dir }) => createLocalStorage({ dir }),
+};
+
+/*
+  Usage:
+    const storage = openStorage();                          // from the environment
+    const scratch = openStorage("local", { dir: "/tmp/x" });
+*/
+function openStorage(name = STORAGE_BACKEND, { dir = UPLOAD_DIR } = {}) {
+  if (!BACKENDS[name]) {
+    throw new Error(`Unknown storage backend "${name}". Available: ${Object.keys(BACKENDS).join(", ")}`);
+  }
+  return BACKENDS[name]({ dir });
+}
+
+module.exports = { STORAGE_BACKEND, UPLOAD_DIR, BACKENDS, openStorage };
@@ -0,0 +1,51 @@
+/*
+  LOCAL DISK STORAGE ("local")
+  =============================
+
+  Each file is stored as UPLOAD_DIR/<first 2 chars of key>/<key>.
+  Spreading files over subfolders keeps any one folder from holding
+  tens of thousands of files.
+
+  Writes are atomic (see files.js), so a crash mid-upload never
+  leaves a half-written file under a real key.
+*/
+
+const fs = require("fs");
+const path = require("path");
+const { writeFileAtomic } = require("../files");
+
+// Keys are ours (random hex), but never let one escape the folder
+const KEY_PATTERN = /^[a-f0-9]{16,128}$/;
+
+function createLocalStorage({ dir }) {
+  function filePath(key) {
+    if (!KEY_PATTERN.test(key)) throw new Error(`Invalid storage key "${key}"`);
+    return path.join(dir, key.slice(0, 2), key);
+  }
+
+  return {
+    name: "local",
+    dir,
+
+    async put(key, data) {
+      const target = filePath(key);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      writeFileAtomic(target, data);
+    },
+
+    async get(key) {
+      try {
+        return await fs.promises.readFile(filePath(key));
+      } catch (err) {
+        if (err.code === "ENOENT") return null;
+        throw err;
+      }
+    },
+
+    async remove(key) {
+      await fs.promises.rm(filePath(key), { force: true });
+    },
+  };
+}
+
+module.exports = { createLocalStorage };
@@ -0,0 +1,304 @@
+/*
+  SYNTHETIC DATA GENERATOR
+  =========================
+
+  Fills the database with realistic-looking fake data for load tests
+  and demos: thousands of founders and submissions across every
+  industry the AI screening knows about (INDUSTRY_CONTEXT), with
+  board ratings, scorecards and notes, discussion threads,
+  partnerships, meetings and admin messages hanging off them.
+
+  KEY CONCEPT: Deterministic randomness
+
+  Everything comes from a small seeded random number generator
+  (mulberry32) instead of Math.random(). The same seed and options
+  always produce the same data, so a slow query found on
+  "--seed 42 --submissions 5000" can be reproduced exactly by
+  someone else. Dates count back from `until` (default: today), so
+  pin that too if you need identical timestamps.
+
+  Every generated account's password is Demo1234!, and their emails
+  end in @synthetic.partner.test so they're easy to spot (and can't
+  reach a real inbox).
+
+  Usage (see cli.js):
+    node src/cli.js seed:synthetic --seed 42 --founders 2000 --submissions 5000 --reset
+*/
+
+const bcrypt = require("bcryptjs");
+const { INDUSTRY_CONTEXT } = require("./ai-analysis");
+const { refreshRating } = require("./ratings");
+const { rubricFor } = require("./scorecards");
+
+const SYNTHETIC_DOMAIN = "synthetic.partner.test";
+const STAGES = ["Idea", "Pre-Seed", "Seed", "Series A", "Series B+"];
+const TEAM_SIZES = ["1", "2-5", "6-15", "16-50", "50+"];
+const LOOKING_FOR = ["Investment", "Mentorship", "Strategic Partnerships", "Board Advisors", "Customer Introductions"];
+// Weighted so the pipeline looks like a real one: most things are early
+const STATUSES = ["new", "new", "new", "under_review", "under_review", "more_info", "approved", "passed", "passed"];
+const FUNDING_BY_STAGE = {
+  "Idea": ["$100K Pre-Seed", "$150K Angel Round", "$250K Pre-Seed"],
+  "Pre-Seed": ["$250K Pre-Seed", "$400K Pre-Seed", "$600K Pre-Seed"],
+  "Seed": ["$1M Seed Round", "$1.5M Seed Round", "$2M Seed Round", "$3M Seed Round"],
+  "Series A": ["$5M Series A", "$8M Series A", "$12M Series A"],
+  "Series B+": ["$15M Series B", "$25M Series B", "$40M Series C"],
+};
+
+const DEFAULTS = {
+  seed: 1,
+  founders: 1000,
+  board: 25,
+  submissions: 2500,
+  ratingsPerSubmission: 3,     // averages; each submission gets 0..2x this
+  notesPerSubmission: 3,
+  chatsPerSubmission: 4,
+  partnershipsPerSubmission: 1,
+  meetingsPerSubmission: 1,
+  adminMessages: 500,
+  days: 365,                   // how far back submissions go
+  until: null,                 // latest date (default: today)
+};
+
+// Vocabulary per industry, so a HealthTech pitch reads like one
+const INDUSTRY_WORDS = {
+  "FinTech": { customers: ["informal traders", "gig workers", "SMEs", "stokvels", "unbanked households"], product: ["payments", "credit scoring", "savings", "remittances", "invoicing"], pain: "can't access affordable credit" },
+  "HealthTech": { customers: ["rural clinics", "community health workers", "pharmacies", "patients with chronic illness"], product: ["telemedicine", "diagnostics", "medicine delivery", "patient records"], pain: "wait months for a specialist" },
+  "CleanTech": { customers: ["township households", "small manufacturers", "farms", "schools"], product: ["solar", "battery storage", "energy monitoring", "clean cooking"], pain: "lose hours of work to load shedding" },
+  "EdTech": { customers: ["high school learners", "TVET students", "teachers", "corporate trainees"], product: ["tutoring", "coding bootcamps", "skills assessments", "offline learning"], pain: "don't have access to quality teaching" },
+  "Logistics & Supply Chain": { customers: ["spaza shops", "e-commerce sellers", "fleet operators", "exporters"], product: ["last-mile delivery", "route optimisation", "freight matching", "cold chain tracking"], pain: "pay too much to move goods" },
+  "SaaS": { customers: ["SMEs", "accounting firms", "property managers", "franchise owners"], product: ["HR and payroll", "bookkeeping", "scheduling", "inventory management"], pain: "run their business on spreadsheets" },
+  "AI & Machine Learning": { customers: ["banks", "insurers", "retailers", "call centres"], product: ["fraud detection", "African language models", "demand forecasting", "document processing"], pain: "can't use models trained on foreign data" },
+  "AgriTech": { customers: ["smallholder farmers", "co-operatives", "commercial farms", "fresh produce buyers"], product: ["crop monitoring", "input financing", "market access", "irrigation control"], pain: "lose a third of their harvest before it's sold" },
+  "CyberSecurity": { customers: ["SMEs", "municipalities", "hospitals", "fintechs"], product: ["email security", "POPIA compliance", "threat detection", "identity verification"], pain: "are easy targets for ransomware" },
+};
+
+const NAME_PARTS = {
+  first: ["Thabo", "Naledi", "Sipho", "Ayanda", "Chidi", "Amara", "Kwame", "Zanele", "Lerato", "Tendai", "Fatima", "Yusuf", "Priya", "Johan", "Anika", "Mandla", "Nomsa", "Kofi", "Wanjiru", "Tariq"],
+  last: ["Dlamini", "Nkosi", "Mokoena", "Okafor", "Mensah", "Naidoo", "van der Merwe", "Botha", "Khumalo", "Mutua", "Abdi", "Osei", "Pillay", "Ndlovu", "Adeyemi", "Mahlangu"],
+  company: ["Nova", "Ubuntu", "Savanna", "Baobab", "Kora", "Zuri", "Imali", "Tala", "Indaba", "Jua", "Mara", "Kasi", "Umoja", "Veld", "Amani", "Sizwe"],
+  suffix: ["Pay", "Health", "Grid", "Learn", "Flow", "Labs", "Link", "Works", "Hub", "AI", "Farm", "Shield", "Ledger", "Go", "Stack", "Box"],
+  location: ["Cape Town", "Johannesburg", "Durban", "Pretoria", "Nairobi", "Lagos", "Accra", "Kigali", "Gqeberha", "Stellenbosch"],
+};
+
+const NOTE_TEXTS = [
+  "Strong team, but the go-to-market plan needs more detail.",
+  "Requesting updated financials and a cohort analysis.",
+  "Unit economics look healthy. Worth a deeper look.",
+  "Market is crowded -- what's the defensible advantage?",
+  "Regulatory risk is the main concern here.",
+  "Founder-market fit is excellent.",
+  "Would like to see traction outside Gauteng first.",
+  "Internal: check references before introductions.",
+];
+const CHAT_TEXTS = [
+  "Has anyone spoken to their pilot customers?",
+  "I can make an intro to a distribution partner.",
+  "Traction is real, I checked the numbers.",
+  "Pricing feels low for the enterprise segment.",
+  "Happy to take the lead on due diligence.",
+  "Their competitor just raised -- timing matters.",
+  "Can we get them in for a pitch next week?",
+];
+const MESSAGE_TEXTS = [
+  "Thanks for the update, I'll review the pipeline this week.",
+  "Could you look at the new FinTech submissions?",
+  "Reminder: board meeting on Thursday.",
+  "I've approved the invitation you suggested.",
+  "Please update your profile with your current focus areas.",
+];
+
+// A tiny, fast, seedable PRNG. Returns floats in [0, 1).
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return function random() {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Seeds can be numbers or words ("demo" -> a number)
+function seedToNumber(seed) {
+  if (Number.isInteger(Number(seed))) return Number(seed);
+  let hash = 2166136261;
+  for (const ch of String(seed)) hash = Math.imul(hash ^ ch.charCodeAt(0), 16777619);
+  return hash >>> 0;
+}
+
+function createRandom(seed) {
+  const random = mulberry32(seedToNumber(seed));
+  const rand = {
+    int: (min, max) => min + Math.floor(random() * (max - min + 1)),
+    pick: (list) => list[Math.floor(random() * list.length)],
+    chance: (p) => random() < p,
+    // 0..2x the average, so totals come out near average * count
+    around: (average) => rand.int(0, Math.round(average * 2)),
+    sample: (list, n) => {
+      const copy = [...list];
+      for (let i = copy.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [copy[i], copy[j]] = [copy[j], copy[i]];
+      }
+      return copy.slice(0, n);
+    },
+  };
+  return rand;
+}
+
+// SQLite's DATETIME format
+function sqlDate(date) {
+  return date.toISOString().replace("T", " ").slice(0, 19);
+}
+
+/*
+  Generates the data in one transaction. Returns the number of rows
+  created per table. Throws if synthetic data from an earlier run is
+  still there (reset first).
+*/
+function generateSyntheticData(db, options = {}) {
+  const opts = { ...DEFAULTS, ...options };
+  const rand = createRandom(opts.seed);
+  const industries = Object.keys(INDUSTRY_CONTEXT);
+  const until = opts.until ? new Date(opts.until) : new Date(new Date().toISOString().slice(0, 10) + "T18:00:00Z");
+  const daysAgo = (days) => new Date(until.getTime() - days * 24 * 60 * 60 * 1000 - rand.int(0, 12 * 60) * 60 * 1000);
+
+  const existing = db.prepare("SELECT COUNT(*) as count FROM users WHERE email LIKE ?").get(`%@${SYNTHETIC_DOMAIN}`).count;
+  if (existing > 0) throw new Error("The database already has synthetic data. Reset it first (--reset).");
+
+  const password = bcrypt.hashSync("Demo1234!", 10);
+  const counts = { users: 0, submissions: 0, submission_ratings: 0, scorecard_scores: 0, board_notes: 0, chat_messages: 0, partnerships: 0, partnership_messages: 0, meeting_requests: 0, admin_messages: 0 };
+
+  const personName = () => `${rand.pick(NAME_PARTS.first)} ${rand.pick(NAME_PARTS.last)}`;
+  const insertUser = db.prepare(`
+    INSERT INTO users (email, password, name, role, specialty, bio, location, verified_at, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  function createUser(role, n, specialty, createdAt) {
+    const email = `${role}${n}@${SYNTHETIC_DOMAIN}`;
+    const joined = sqlDate(createdAt);
+    const result = insertUser.run(email, password, personName(), role, specialty, null, rand.pick(NAME_PARTS.location), joined, joined);
+    counts.users++;
+    return result.lastInsertRowid;
+  }
+
+  db.transaction(() => {
+    const board = [];
+    for (let n = 1; n <= opts.board; n++) {
+      const focus = rand.sample(industries, 2).join(" & ");
+      board.push(createUser("board", n, focus, daysAgo(opts.days + rand.int(30, 400))));
+    }
+    const founders = [];
+    for (let n = 1; n <= opts.founders; n++) {
+      founders.push(createUser("founder", n, null, daysAgo(rand.int(0, opts.days + 60))));
+    }
+    const admin = db.prepare("SELECT id FROM users WHERE role = 'admin' AND deleted_at IS NULL ORDER BY id LIMIT 1").get();
+
+    const insertSub = db.prepare(`
+      INSERT INTO submissions (user_id, company_name, one_liner, industry, stage, team_size, website, problem, solution,
+                               traction, looking_for, funding_target, status, submitted_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    const insertRating = db.prepare("INSERT INTO submission_ratings (submission_id, user_id, rating, created_at, updated_at) VALUES (?, ?, ?, ?, ?)");
+    const insertScore = db.prepare("INSERT INTO scorecard_scores (submission_id, user_id, criterion_id, score, updated_at) VALUES (?, ?, ?, ?, ?)");
+    const rubrics = new Map(); // "industry|stage" -> criteria
+    const insertNote = db.prepare("INSERT INTO board_notes (submission_id, user_id, text, founder_visible, created_at) VALUES (?, ?, ?, ?, ?)");
+    const insertChat = db.prepare("INSERT INTO chat_messages (submission_id, user_id, text, created_at) VALUES (?, ?, ?, ?)");
+    const insertPartnership = db.prepare("INSERT INTO partnerships (submission_id, user_id, status, created_at, responded_at) VALUES (?, ?, ?, ?, ?)");
+    const insertPartnerMessage = db.prepare("INSERT INTO partnership_messages (submission_id, user_id, text, created_at) VALUES (?, ?, ?, ?)");
+    const insertMeeting = db.prepare("INSERT INTO meeting_requests (submission_id, user_id, message, created_at) VALUES (?, ?, ?, ?)");
+
+    for (let n = 0; n < opts.submissions && founders.length > 0; n++) {
+      const industry = rand.pick(industries);
+      const words = INDUSTRY_WORDS[industry] || INDUSTRY_WORDS.SaaS;
+      const stage = rand.pick(STAGES);
+      const status = rand.pick(STATUSES);
+      const founderId = rand.pick(founders);
+      const name = `${rand.pick(NAME_PARTS.company)}${rand.pick(NAME_PARTS.suffix)}`;
+      const customers = rand.pick(words.customers);
+      const product = rand.pick(words.product);
+      const submittedDaysAgo = rand.int(0, opts.days);
+      const submittedAt = daysAgo(submittedDaysAgo);
+      const reviewed = status !== "new";
+
+      const subId = insertSub.run(
+        founderId, name,
+        `${product[0].toUpperCase()}${product.slice(1)} for ${customers} across Africa`,
+        industry, stage, rand.pick(TEAM_SIZES),
+        rand.chance(0.7) ? `https://${name.toLowerCase()}.example` : null,
+        `${customers[0].toUpperCase()}${customers.slice(1)} ${words.pain}.`,
+        `A ${product} platform built for ${customers}, priced for local budgets.`,
+        `${rand.int(1, 40)} pilots. $${rand.int(1, 900)}K ARR. ${rand.int(2, 60)}% month-on-month growth.`,
+        rand.sample(LOOKING_FOR, rand.int(1, 3)).join(","),
+        rand.pick(FUNDING_BY_STAGE[stage]),
+        status,
+        sqlDate(submittedAt)
+      ).lastInsertRowid;
+      counts.submissions++;
+
+      if (!reviewed || board.length === 0) continue;
+      // Activity happens after the submission, never in the future
+      const after = () => sqlDate(daysAgo(rand.int(0, submittedDaysAgo)));
+
+      // Raters mostly agree, give or take a star. Most fill in the scorecard too.
+      const consensus = rand.int(1, 5);
+      const nearConsensus = () => Math.min(5, Math.max(1, consensus + rand.int(-1, 1)));
+      const rubricKey = `${industry}|${stage}`;
+      if (!rubrics.has(rubricKey)) rubrics.set(rubricKey, rubricFor(db, { industry, stage }));
+      const raters = rand.sample(board, Math.min(board.length, rand.around(opts.ratingsPerSubmission)));
+      for (const raterId of raters) {
+        const ratedAt = after();
+        insertRating.run(subId, raterId, nearConsensus(), ratedAt, ratedAt);
+        counts.submission_ratings++;
+        if (!rand.chance(0.6)) continue;
+        for (const criterion of rubrics.get(rubricKey)) {
+          insertScore.run(subId, raterId, criterion.id, nearConsensus(), ratedAt);
+          counts.scorecard_scores++;
+        }
+      }
+      if (raters.length > 0) refreshRating(db, subId);
+
+      for (let i = rand.around(opts.notesPerSubmission); i > 0; i--) {
+        insertNote.run(subId, rand.pick(board), rand.pick(NOTE_TEXTS), rand.chance(0.5) ? 1 : 0, after());
+        counts.board_notes++;
+      }
+      for (let i = rand.around(opts.chatsPerSubmission); i > 0; i--) {
+        insertChat.run(subId, rand.pick(board), rand.pick(CHAT_TEXTS), after());
+        counts.chat_messages++;
+      }
+      if (status === "approved" || status === "under_review") {
+        const partners = rand.sample(board, Math.min(board.length, rand.around(opts.partnershipsPerSubmission)));
+        for (const partnerId of partners) {
+          const partnershipStatus = status === "approved" ? rand.pick(["accepted", "accepted", "pending", "declined"]) : "pending";
+          const requestedAt = after();
+          insertPartnership.run(subId, partnerId, partnershipStatus, requestedAt, partnershipStatus === "pending" ? null : requestedAt);
+          counts.partnerships++;
+          if (partnershipStatus === "accepted") {
+            insertPartnerMessage.run(subId, partnerId, "Excited to work together -- let's set up a kickoff.", requestedAt);
+            insertPartnerMessage.run(subId, founderId, "Thank you! Sending through some times now.", requestedAt);
+            counts.partnership_messages += 2;
+          }
+        }
+        for (let i = rand.around(opts.meetingsPerSubmission); i > 0; i--) {
+          insertMeeting.run(subId, rand.pick(board), `Would love to hear more about ${name}'s ${product} roadmap.`, after());
+          counts.meeting_requests++;
+        }
+      }
+    }
+
+    if (admin && board.length > 0) {
+      const insertMessage = db.prepare("INSERT INTO admin_messages (from_user_id, to_user_id, text, created_at) VALUES (?, ?, ?, ?)");
+      for (let i = 0; i < opts.adminMessages; i++) {
+        const member = rand.pick(board);
+        const fromAdmin = rand.chance(0.5);
+        insertMessage.run(fromAdmin ? admin.id : member, fromAdmin ? member : admin.id, rand.pick(MESSAGE_TEXTS), sqlDate(daysAgo(rand.int(0, opts.days))));
+        counts.admin_messages++;
+      }
+    }
+  })();
+
+  return counts;
+}
+
+module.exports = { SYNTHETIC_DOMAIN, STAGES, DEFAULTS, createRandom, generateSyntheticData };
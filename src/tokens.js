@@ -0,0 +1,28 @@
+/*
+  SECURE RANDOM TOKENS
+  =====================
+
+  Helpers for the opaque tokens we hand out (refresh tokens, reset
+  links, etc.).
+
+  KEY CONCEPT: Store the hash, not the token
+
+  A refresh token is as good as a password. If we stored it as-is,
+  anyone who got a copy of partner.db could log in as every user.
+  Instead we store a SHA-256 hash and compare hashes on the way in.
+  Unlike passwords, these tokens are long and random, so a fast hash
+  is fine here (no need for bcrypt).
+*/
+
+const crypto = require("crypto");
+
+// 32 random bytes = 256 bits of entropy, far beyond guessable
+function generateToken(bytes = 32) {
+  return crypto.randomBytes(bytes).toString("hex");
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+module.exports = { generateToken, hashToken };
@@ -0,0 +1,134 @@
+/*
+  TOTP (TIME-BASED ONE-TIME PASSWORDS)
+  ======================================
+
+  The 6-digit codes shown by Google Authenticator, 1Password, Authy etc.
+  Implemented directly with Node's crypto module (RFC 6238), so no
+  extra dependency is needed.
+
+  KEY CONCEPT: Shared secret + clock
+
+  At enrolment the server generates a random secret and shows it to
+  the user as a QR code (the otpauth:// URI). From then on, both sides
+  compute HMAC(secret, current 30-second time step) and truncate it to
+  6 digits. If the user's code matches ours, they hold the secret.
+
+  We accept codes from one step either side of "now" to allow for
+  clock drift, and remember the last step used so a code that was
+  already accepted can't be replayed.
+*/
+
+const crypto = require("crypto");
+const { hashToken } = require("./tokens");
+
+const PERIOD_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+// Authenticator apps expect secrets in base32 (A-Z, 2-7)
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+  for (const byte of buffer) {
+    value = ((value << 8) | byte) & 0xffff;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+}
+
+function base32Decode(str) {
+  const clean = str.toUpperCase().replace(/[\s=]/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const ch of clean) {
+    const idx = BASE32_ALPHABET.indexOf(ch);
+    if (idx === -1) throw new Error("Invalid base32 character");
+    value = ((value << 5) | idx) & 0xffff;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+// 20 random bytes = 160 bits, the size RFC 4226 recommends
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+function currentStep() {
+  return Math.floor(Date.now() / 1000 / PERIOD_SECONDS);
+}
+
+function generateCode(secret, step = currentStep()) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+
+  // "Dynamic truncation": the last nibble picks which 4 bytes to use
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+}
+
+/*
+  Checks a code against the secret. Returns the matching time step
+  (store it as the new lastStep), or null if the code is wrong or
+  was already used.
+*/
+function verifyCode(secret, code, lastStep = null) {
+  const clean = String(code || "").replace(/\s/g, "");
+  if (!/^\d{6}$/.test(clean)) return null;
+
+  const now = currentStep();
+  for (const step of [now - 1, now, now + 1]) {
+    if (lastStep !== null && step <= lastStep) continue;
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(clean))) return step;
+  }
+  return null;
+}
+
+// The URI authenticator apps read from a QR code
+function otpauthUri(secret, accountName, issuer) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({ secret, issuer, algorithm: "SHA1", digits: String(DIGITS), period: String(PERIOD_SECONDS) });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/*
+  Recovery codes are for when the phone is lost. Each one works once.
+  Shown to the user a single time; we only keep their hashes.
+*/
+function generateRecoveryCodes(count = 10) {
+  const codes = [];
+  for (let i = 0; i < count; i++) {
+    const raw = crypto.randomBytes(5).toString("hex");
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  return codes;
+}
+
+// Users type codes in all sorts of ways -- compare without dashes/case
+function hashRecoveryCode(code) {
+  return hashToken(String(code).toLowerCase().replace(/[^a-f0-9]/g, ""));
+}
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  otpauthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+};